@@ -1,15 +1,53 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint8, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint32, euint8, ebool, externalEuint32, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IIdentityVerification } from "./interfaces/IIdentityVerification.sol";
 
-contract AnonymousIdentityVerification is SepoliaConfig {
+contract AnonymousIdentityVerification is SepoliaConfig, IIdentityVerification {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    // Contracts (e.g. IdentityGated) allowed to call isIdentityVerified
+    bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+    // Time the holder of a lost address has to cancel a verifier-proposed recovery
+    uint64 public constant RECOVERY_DELAY = 3 days;
+    // Time after a challenge expires that a submitted proof may wait for the decryption oracle
+    uint64 public constant ORACLE_TIMEOUT = 1 days;
+    // Re-registration cooldown that never ends
+    uint64 public constant PERMANENT_BLOCK = type(uint64).max;
 
     address public owner;
+    address public pendingOwner;
     uint32 public totalVerifications;
     uint32 public activeVerificationRequests;
 
+    struct Policy {
+        uint64 proofValidityPeriod;
+        uint64 challengeValidityPeriod;
+        uint8 minIdentityScore;
+        uint32 maxRequestsPerUser;     // per rolling requestWindow
+        uint8 proofTolerancePercent;
+        uint64 requestWindow;
+    }
+
+    // Submitted: a proof was sent and the decryption oracle has not answered yet (appended so
+    // existing values keep their meaning)
+    enum RequestStatus { Pending, Approved, Rejected, Cancelled, Expired, Submitted }
+
+    enum CheckType { Verification, ScoreThreshold, ScoreRange }
+
+    enum RevocationReason { Unspecified, Fraud, KeyCompromised, InvalidDocuments, UserRequested }
+
+    struct ConsentGrant {
+        uint64 grantedAt;
+        uint64 expiresAt;   // 0 = no expiry
+        uint32 maxUses;     // 0 = unlimited
+        uint32 useCount;
+    }
+
     struct IdentityProof {
         euint32 encryptedCredential;
         euint8 identityScore;
@@ -19,95 +57,416 @@ contract AnonymousIdentityVerification is SepoliaConfig {
         uint256 expiryTime;
     }
 
+    struct Revocation {
+        address verifier;
+        uint64 revokedAt;
+        uint64 blockedUntil;    // Registering again is refused before this time (PERMANENT_BLOCK = never)
+        RevocationReason reason;
+    }
+
+    /// @dev proposedBy is the old address for a migration and the verifier for a recovery.
+    struct IdentityMigration {
+        address newAddress;
+        address proposedBy;
+        uint64 executableAt;
+    }
+
     struct VerificationRequest {
         address requester;
         euint32 encryptedChallenge;
         euint32 submittedProof;
-        bool isCompleted;
-        bool isApproved;
+        RequestStatus status;
         uint256 requestTime;
         uint256 challengeExpiryTime;
     }
 
     mapping(address => IdentityProof) public identityProofs;
     mapping(uint32 => VerificationRequest) public verificationRequests;
-    mapping(address => bool) public authorizedVerifiers;
-    mapping(address => uint32) public userRequestCounts;
+    mapping(bytes32 => address[]) private roleMembers;
+    // role => account => position in roleMembers, 1-based (0 = not a member)
+    mapping(bytes32 => mapping(address => uint256)) private roleMemberIndex;
+    mapping(address => uint32[]) private userRequestIds;
+    mapping(address => uint32) private pendingRequestCount;
+    // Old address => proposed move of its identity proof
+    mapping(address => IdentityMigration) private identityMigrations;
+    // Latest revocation of a user's proof, cleared when they register again
+    mapping(address => Revocation) private revocations;
+    // Seconds a user must wait to register again after a revocation for each reason
+    mapping(RevocationReason => uint64) public revocationCooldowns;
+    // Credentials an address has stored: 1 after the first registration, +1 per re-registration or rotation
+    mapping(address => uint32) public credentialVersions;
+    // Decryption oracle request ID => verification request ID (0 = unknown)
+    mapping(uint256 => uint32) public decryptionRequests;
+    mapping(address => mapping(address => ConsentGrant)) private consents;
+    mapping(address => address[]) private consentVerifiers;
+    // user => verifier => position in consentVerifiers, 1-based (0 = no grant)
+    mapping(address => mapping(address => uint256)) private consentIndex;
 
-    uint256 constant PROOF_VALIDITY_PERIOD = 30 days;
-    uint256 constant CHALLENGE_VALIDITY_PERIOD = 1 hours;
-    uint8 constant MIN_IDENTITY_SCORE = 75;
-    uint32 constant MAX_REQUESTS_PER_USER = 5;
+    Policy internal policy;
 
     event IdentityProofRegistered(address indexed user, uint256 timestamp);
     event VerificationRequested(uint32 indexed requestId, address indexed requester);
     event VerificationCompleted(uint32 indexed requestId, bool approved, address indexed requester);
+    event VerificationCancelled(uint32 indexed requestId, address indexed requester);
+    event VerificationExpired(uint32 indexed requestId, address indexed requester, address indexed reclaimedBy);
     event VerifierAuthorized(address indexed verifier);
     event VerifierRevoked(address indexed verifier);
     event ProofExpired(address indexed user);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event PolicyUpdated(Policy policy, address indexed sender);
+    event ConsentGranted(address indexed user, address indexed verifier, uint64 expiresAt, uint32 maxUses);
+    event ConsentRevoked(address indexed user, address indexed verifier);
+    event IdentityChecked(address indexed user, address indexed verifier, CheckType checkType);
+    event IdentityMigrationProposed(
+        address indexed from,
+        address indexed to,
+        address indexed proposedBy,
+        uint64 executableAt
+    );
+    event IdentityMigrationCancelled(address indexed from, address indexed to, address indexed sender);
+    event IdentityMigrated(address indexed from, address indexed to, address indexed proposedBy);
+    event IdentityRevoked(address indexed user, address indexed verifier, RevocationReason reasonCode);
+    event RevocationCooldownUpdated(RevocationReason indexed reason, uint64 cooldown, address indexed sender);
+    event RegistrationBlockLifted(address indexed user, address indexed sender);
+    event CredentialRotated(address indexed user, uint32 version);
+    event ScorePredicateEvaluated(
+        address indexed verifier,
+        address indexed user,
+        uint8 minScore,
+        uint8 maxScore,
+        ebool result
+    );
+
+    error Unauthorized(address account);
+    error NotAuthorizedVerifier(address account);
+    error NotPendingOwner(address account);
+    error InvalidAddress();
+    error UnknownRole(bytes32 role);
+    error CannotRevokeOwner();
+    error InvalidPolicy(string field);
+    error NoActiveIdentityProof(address user);
+    error IdentityProofExpired(address user, uint256 expiredAt);
+    error IdentityNotVerified(address user);
+    error IdentityScoreTooLow(uint8 score, uint8 minScore);
+    error InvalidCredential();
+    error RequestLimitExceeded(uint32 maxRequests, uint256 nextRequestTime);
+    error AlreadyVerified(address user);
+    error UnknownRequest(uint32 requestId);
+    error NotRequester(uint32 requestId, address requester);
+    error RequestNotPending(uint32 requestId, RequestStatus status);
+    error ChallengeExpired(uint32 requestId, uint256 expiredAt);
+    error ChallengeStillValid(uint32 requestId, uint256 expiresAt);
+    error UnknownDecryptionRequest(uint256 decryptionRequestId);
+    error InvalidConsentExpiry(uint64 expiresAt);
+    error NoConsent(address user, address verifier);
+    error ConsentExpired(address user, address verifier, uint64 expiredAt);
+    error ConsentUsesExhausted(address user, address verifier, uint32 maxUses);
+    error InvalidScoreRange(uint8 minScore, uint8 maxScore);
+    error InvalidMigrationTarget(address to);
+    error IdentityAlreadyRegistered(address user);
+    error PendingVerificationRequests(address user, uint32 count);
+    error NoPendingMigration(address from, address to);
+    error MigrationNotReady(address from, uint64 executableAt);
+    error RegistrationBlocked(address user, uint64 blockedUntil);
+    error RegistrationNotBlocked(address user);
+    error IdentityNotRegistered(address user);
 
     modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+        if (msg.sender != owner) revert Unauthorized(msg.sender);
+        _;
+    }
+
+    // Modifiers call private functions so their checks are not inlined into every function,
+    // which keeps the contract under the 24 KB code size limit
+    modifier onlyAdmin() {
+        _checkAdmin();
         _;
     }
 
     modifier onlyAuthorizedVerifier() {
-        require(authorizedVerifiers[msg.sender] || msg.sender == owner, "Not authorized verifier");
+        _checkVerifier();
+        _;
+    }
+
+    modifier onlyVerifierOrAuditor() {
+        if (!hasRole(VERIFIER_ROLE, msg.sender) && !hasRole(AUDITOR_ROLE, msg.sender) && msg.sender != owner) {
+            revert NotAuthorizedVerifier(msg.sender);
+        }
         _;
     }
 
     modifier onlyActiveProof(address user) {
-        require(identityProofs[user].isActive, "No active identity proof");
-        require(identityProofs[user].expiryTime > block.timestamp, "Identity proof expired");
+        _checkActiveProof(user);
         _;
     }
 
-    constructor() {
+    function _checkAdmin() private view {
+        if (!hasRole(ADMIN_ROLE, msg.sender)) revert Unauthorized(msg.sender);
+    }
+
+    function _checkVerifier() private view {
+        if (!hasRole(VERIFIER_ROLE, msg.sender) && msg.sender != owner) revert NotAuthorizedVerifier(msg.sender);
+    }
+
+    function _checkActiveProof(address user) private view {
+        IdentityProof storage proof = identityProofs[user];
+        if (!proof.isActive) revert NoActiveIdentityProof(user);
+        if (proof.expiryTime <= block.timestamp) revert IdentityProofExpired(user, proof.expiryTime);
+    }
+
+    constructor(Policy memory initialPolicy) {
         owner = msg.sender;
-        authorizedVerifiers[msg.sender] = true;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _setPolicy(initialPolicy);
         totalVerifications = 0;
         activeVerificationRequests = 0;
     }
 
-    function authorizeVerifier(address verifier) external onlyOwner {
-        require(verifier != address(0), "Invalid verifier address");
-        authorizedVerifiers[verifier] = true;
-        emit VerifierAuthorized(verifier);
+    function authorizeVerifier(address verifier) external onlyAdmin {
+        if (verifier == address(0)) revert InvalidAddress();
+        _grantRole(VERIFIER_ROLE, verifier);
+    }
+
+    function revokeVerifier(address verifier) external onlyAdmin {
+        if (verifier == owner) revert CannotRevokeOwner();
+        _revokeRole(VERIFIER_ROLE, verifier);
+    }
+
+    /// @notice Lets a contract gate its functions on isIdentityVerified.
+    function registerConsumer(address consumer) external onlyAdmin {
+        if (consumer == address(0)) revert InvalidAddress();
+        _grantRole(CONSUMER_ROLE, consumer);
+    }
+
+    function unregisterConsumer(address consumer) external onlyAdmin {
+        _revokeRole(CONSUMER_ROLE, consumer);
+    }
+
+    function grantRole(bytes32 role, address account) external onlyAdmin {
+        if (!_isKnownRole(role)) revert UnknownRole(role);
+        if (account == address(0)) revert InvalidAddress();
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external onlyAdmin {
+        if (!_isKnownRole(role)) revert UnknownRole(role);
+        if (account == owner) revert CannotRevokeOwner();
+        _revokeRole(role, account);
+    }
+
+    /// @notice Starts a two-step ownership transfer; the new owner must call acceptOwnership.
+    function transferOwnership(address newOwner) external onlyOwner {
+        if (newOwner == address(0)) revert InvalidAddress();
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /// @notice Completes an ownership transfer. The previous owner keeps its roles until revoked.
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner(msg.sender);
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        pendingOwner = address(0);
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    /// @notice Replaces the verification policy. Existing proofs and requests keep the expiry
+    ///         they were given; the new values apply from the next registration or request.
+    function updatePolicy(Policy calldata newPolicy) external onlyAdmin {
+        _setPolicy(newPolicy);
+    }
+
+    function getPolicy() external view returns (Policy memory) {
+        return policy;
+    }
+
+    /// @notice Sets how long users must wait to register again after a revocation for `reason`.
+    ///         0 allows it right away, PERMANENT_BLOCK never. Applies to later revocations only.
+    function setRevocationCooldown(RevocationReason reason, uint64 cooldown) external onlyAdmin {
+        revocationCooldowns[reason] = cooldown;
+        emit RevocationCooldownUpdated(reason, cooldown, msg.sender);
+    }
+
+    /// @notice Lets a revoked user register again before their cooldown ends.
+    function liftRegistrationBlock(address user) external onlyAdmin {
+        if (revocations[user].blockedUntil <= block.timestamp) revert RegistrationNotBlocked(user);
+        revocations[user].blockedUntil = 0;
+        emit RegistrationBlockLifted(user, msg.sender);
+    }
+
+    function _setPolicy(Policy memory newPolicy) private {
+        if (newPolicy.proofValidityPeriod == 0) revert InvalidPolicy("proofValidityPeriod");
+        if (newPolicy.challengeValidityPeriod == 0) revert InvalidPolicy("challengeValidityPeriod");
+        if (newPolicy.maxRequestsPerUser == 0) revert InvalidPolicy("maxRequestsPerUser");
+        if (newPolicy.requestWindow == 0) revert InvalidPolicy("requestWindow");
+        if (newPolicy.proofTolerancePercent > 100) revert InvalidPolicy("proofTolerancePercent");
+
+        policy = newPolicy;
+        emit PolicyUpdated(newPolicy, msg.sender);
+    }
+
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roleMemberIndex[role][account] != 0;
+    }
+
+    function authorizedVerifiers(address account) external view returns (bool) {
+        return hasRole(VERIFIER_ROLE, account);
+    }
+
+    function getRoles(address account) external view returns (bool isAdmin, bool isVerifier, bool isAuditor) {
+        return (hasRole(ADMIN_ROLE, account), hasRole(VERIFIER_ROLE, account), hasRole(AUDITOR_ROLE, account));
+    }
+
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return roleMembers[role];
+    }
+
+    function _isKnownRole(bytes32 role) private pure returns (bool) {
+        return role == ADMIN_ROLE || role == VERIFIER_ROLE || role == AUDITOR_ROLE || role == CONSUMER_ROLE;
+    }
+
+    function _grantRole(bytes32 role, address account) private {
+        if (hasRole(role, account)) return;
+
+        roleMembers[role].push(account);
+        roleMemberIndex[role][account] = roleMembers[role].length;
+
+        emit RoleGranted(role, account, msg.sender);
+        if (role == VERIFIER_ROLE) emit VerifierAuthorized(account);
+    }
+
+    function _revokeRole(bytes32 role, address account) private {
+        uint256 index = roleMemberIndex[role][account];
+        if (index == 0) return;
+
+        // Swap-and-pop keeps the member list dense
+        address[] storage members = roleMembers[role];
+        address last = members[members.length - 1];
+        members[index - 1] = last;
+        roleMemberIndex[role][last] = index;
+        members.pop();
+        delete roleMemberIndex[role][account];
+
+        emit RoleRevoked(role, account, msg.sender);
+        if (role == VERIFIER_ROLE) emit VerifierRevoked(account);
     }
 
-    function revokeVerifier(address verifier) external onlyOwner {
-        require(verifier != owner, "Cannot revoke owner");
-        authorizedVerifiers[verifier] = false;
-        emit VerifierRevoked(verifier);
+    /// @notice Registers an identity proof from inputs encrypted in the browser.
+    /// @dev The score and credential bounds cannot be checked on ciphertexts, so they are
+    ///      enforced homomorphically: an ineligible registration stores a random credential
+    ///      that nobody knows, which makes every later proof fail without revealing why.
+    ///      An active proof is never overwritten; replace it with rotateCredential.
+    function registerIdentityProof(
+        externalEuint32 encryptedCredentialInput,
+        externalEuint8 encryptedScoreInput,
+        bytes calldata inputProof
+    ) external {
+        _checkNotRegistered(msg.sender);
+        _storeEncryptedInputs(encryptedCredentialInput, encryptedScoreInput, inputProof);
+        emit IdentityProofRegistered(msg.sender, block.timestamp);
     }
 
+    /// @notice DEMO ONLY: registers an identity proof from plaintext calldata.
+    /// @dev The credential and score are visible to anyone reading the transaction.
+    ///      Use the encrypted overload for anything beyond local experiments.
     function registerIdentityProof(uint32 credential, uint8 score) external {
-        require(score >= MIN_IDENTITY_SCORE, "Identity score too low");
-        require(credential > 0, "Invalid credential");
+        _checkNotRegistered(msg.sender);
+        _storePlaintextInputs(credential, score);
+        emit IdentityProofRegistered(msg.sender, block.timestamp);
+    }
+
+    /// @notice Replaces the caller's active proof with a new credential and score. The proof
+    ///         starts unverified with a fresh expiry, so the user must verify again.
+    /// @dev Pending requests were issued for the old credential, so they must be finished or
+    ///      cancelled first. The request history is kept, so rotating cannot reset the request limit.
+    function rotateCredential(
+        externalEuint32 encryptedCredentialInput,
+        externalEuint8 encryptedScoreInput,
+        bytes calldata inputProof
+    ) external onlyActiveProof(msg.sender) {
+        _checkNoPendingRequests(msg.sender);
+        _storeEncryptedInputs(encryptedCredentialInput, encryptedScoreInput, inputProof);
+        emit CredentialRotated(msg.sender, credentialVersions[msg.sender]);
+    }
+
+    /// @notice DEMO ONLY: rotates the caller's credential from plaintext calldata.
+    function rotateCredential(uint32 credential, uint8 score) external onlyActiveProof(msg.sender) {
+        _checkNoPendingRequests(msg.sender);
+        _storePlaintextInputs(credential, score);
+        emit CredentialRotated(msg.sender, credentialVersions[msg.sender]);
+    }
+
+    function _storeEncryptedInputs(
+        externalEuint32 encryptedCredentialInput,
+        externalEuint8 encryptedScoreInput,
+        bytes calldata inputProof
+    ) private {
+        euint32 credential = FHE.fromExternal(encryptedCredentialInput, inputProof);
+        euint8 encryptedScore = FHE.fromExternal(encryptedScoreInput, inputProof);
+
+        ebool eligible = FHE.and(
+            FHE.ge(encryptedScore, policy.minIdentityScore),
+            FHE.gt(credential, 0)
+        );
+        euint32 encryptedCredential = FHE.select(eligible, credential, FHE.randEuint32());
+
+        _storeIdentityProof(encryptedCredential, encryptedScore);
+
+        // The caller already holds the plaintext credential, so only the score is shared back.
+        FHE.allow(encryptedScore, msg.sender);
+    }
+
+    function _storePlaintextInputs(uint32 credential, uint8 score) private {
+        if (score < policy.minIdentityScore) revert IdentityScoreTooLow(score, policy.minIdentityScore);
+        if (credential == 0) revert InvalidCredential();
 
         euint32 encryptedCredential = FHE.asEuint32(credential);
         euint8 encryptedScore = FHE.asEuint8(score);
 
+        _storeIdentityProof(encryptedCredential, encryptedScore);
+
+        FHE.allow(encryptedCredential, msg.sender);
+        FHE.allow(encryptedScore, msg.sender);
+    }
+
+    /// @dev An expired proof may be replaced by registering again, but not while requests made
+    ///      under it are open: their verdict would otherwise mark the new credential verified.
+    function _checkNotRegistered(address user) private view {
+        IdentityProof storage proof = identityProofs[user];
+        if (proof.isActive && proof.expiryTime > block.timestamp) revert IdentityAlreadyRegistered(user);
+        _checkNoPendingRequests(user);
+    }
+
+    function _storeIdentityProof(euint32 encryptedCredential, euint8 encryptedScore) private {
+        _checkNotBlocked(msg.sender);
+        delete revocations[msg.sender];
+
         identityProofs[msg.sender] = IdentityProof({
             encryptedCredential: encryptedCredential,
             identityScore: encryptedScore,
             isVerified: false,
             isActive: true,
             timestamp: block.timestamp,
-            expiryTime: block.timestamp + PROOF_VALIDITY_PERIOD
+            expiryTime: block.timestamp + policy.proofValidityPeriod
         });
+        credentialVersions[msg.sender]++;
 
         FHE.allowThis(encryptedCredential);
         FHE.allowThis(encryptedScore);
-        FHE.allow(encryptedCredential, msg.sender);
-        FHE.allow(encryptedScore, msg.sender);
-
-        emit IdentityProofRegistered(msg.sender, block.timestamp);
     }
 
     function requestVerification() external onlyActiveProof(msg.sender) returns (uint32 requestId) {
-        require(userRequestCounts[msg.sender] < MAX_REQUESTS_PER_USER, "Request limit exceeded");
-        require(!identityProofs[msg.sender].isVerified, "Already verified");
+        uint256 nextRequestTime = _nextRequestTime(msg.sender);
+        if (nextRequestTime > block.timestamp) revert RequestLimitExceeded(policy.maxRequestsPerUser, nextRequestTime);
+        if (identityProofs[msg.sender].isVerified) revert AlreadyVerified(msg.sender);
 
         totalVerifications++;
         activeVerificationRequests++;
@@ -119,13 +478,13 @@ contract AnonymousIdentityVerification is SepoliaConfig {
             requester: msg.sender,
             encryptedChallenge: challenge,
             submittedProof: FHE.asEuint32(0),
-            isCompleted: false,
-            isApproved: false,
+            status: RequestStatus.Pending,
             requestTime: block.timestamp,
-            challengeExpiryTime: block.timestamp + CHALLENGE_VALIDITY_PERIOD
+            challengeExpiryTime: block.timestamp + policy.challengeValidityPeriod
         });
 
-        userRequestCounts[msg.sender]++;
+        userRequestIds[msg.sender].push(requestId);
+        pendingRequestCount[msg.sender]++;
 
         FHE.allowThis(challenge);
         FHE.allow(challenge, msg.sender);
@@ -136,40 +495,55 @@ contract AnonymousIdentityVerification is SepoliaConfig {
 
     function submitVerificationProof(uint32 requestId, uint32 proofData) external {
         VerificationRequest storage request = verificationRequests[requestId];
-        require(request.requester == msg.sender, "Not your request");
-        require(!request.isCompleted, "Request already completed");
-        require(block.timestamp <= request.challengeExpiryTime, "Challenge expired");
+        if (request.requester != msg.sender) revert NotRequester(requestId, msg.sender);
+        if (request.status != RequestStatus.Pending) revert RequestNotPending(requestId, request.status);
+        if (block.timestamp > request.challengeExpiryTime) revert ChallengeExpired(requestId, request.challengeExpiryTime);
 
         euint32 encryptedProof = FHE.asEuint32(proofData);
         request.submittedProof = encryptedProof;
+        // One decryption per request, and the owner cannot cancel once the verdict is on its way
+        request.status = RequestStatus.Submitted;
 
         FHE.allowThis(encryptedProof);
         FHE.allow(encryptedProof, msg.sender);
 
-        bytes32[] memory cts = new bytes32[](3);
-        cts[0] = FHE.toBytes32(request.encryptedChallenge);
-        cts[1] = FHE.toBytes32(encryptedProof);
-        cts[2] = FHE.toBytes32(identityProofs[msg.sender].encryptedCredential);
+        // Only the approved/rejected bit is decrypted; challenge and credential stay encrypted
+        ebool isValid = _validateProofEncrypted(
+            request.encryptedChallenge,
+            encryptedProof,
+            identityProofs[msg.sender].encryptedCredential
+        );
+
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(isValid);
 
-        FHE.requestDecryption(cts, this.processVerification.selector);
+        uint256 decryptionRequestId = FHE.requestDecryption(cts, this.processVerification.selector);
+        decryptionRequests[decryptionRequestId] = requestId;
     }
 
+    /// @notice Decryption oracle callback for proofs submitted via submitVerificationProof.
+    /// @dev Relayers deliver the result permissionlessly, so authority comes from the KMS
+    ///      signatures: FHE.checkSignatures reverts unless `cleartexts` were signed by the
+    ///      KMS for exactly the handles recorded under `requestId`.
     function processVerification(
         uint256 requestId,
-        uint32 challenge,
-        uint32 proof,
-        uint32 credential
+        bytes memory cleartexts,
+        bytes memory decryptionProof
     ) external {
+        uint32 verificationId = decryptionRequests[requestId];
+        if (verificationId == 0) revert UnknownDecryptionRequest(requestId);
+
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+        delete decryptionRequests[requestId];
 
-        uint32 verificationId = uint32(requestId);
         VerificationRequest storage request = verificationRequests[verificationId];
-        require(!request.isCompleted, "Request already processed");
+        if (request.status != RequestStatus.Submitted) revert RequestNotPending(verificationId, request.status);
 
-        bool isValid = _validateProof(challenge, proof, credential);
+        bool isValid = abi.decode(cleartexts, (bool));
 
-        request.isCompleted = true;
-        request.isApproved = isValid;
+        request.status = isValid ? RequestStatus.Approved : RequestStatus.Rejected;
         activeVerificationRequests--;
+        pendingRequestCount[request.requester]--;
 
         if (isValid) {
             identityProofs[request.requester].isVerified = true;
@@ -178,34 +552,401 @@ contract AnonymousIdentityVerification is SepoliaConfig {
         emit VerificationCompleted(verificationId, isValid, request.requester);
     }
 
-    function _validateProof(uint32 challenge, uint32 proof, uint32 credential) private pure returns (bool) {
-        uint32 expectedProof = (challenge * credential) % 1000000;
-        uint32 tolerance = expectedProof / 100;
+    /// @notice Withdraws a pending request that has no proof yet. It still counts towards the request limit.
+    function cancelVerificationRequest(uint32 requestId) external {
+        VerificationRequest storage request = verificationRequests[requestId];
+        if (request.requester != msg.sender) revert NotRequester(requestId, msg.sender);
+        if (request.status != RequestStatus.Pending) revert RequestNotPending(requestId, request.status);
+
+        request.status = RequestStatus.Cancelled;
+        activeVerificationRequests--;
+        pendingRequestCount[msg.sender]--;
+
+        emit VerificationCancelled(requestId, msg.sender);
+    }
+
+    /// @notice Closes a pending request whose challenge expired without a proof, or a submitted one
+    ///         the decryption oracle left unanswered for ORACLE_TIMEOUT after that. Anyone may call
+    ///         this so abandoned requests stop counting as active.
+    function expireVerificationRequest(uint32 requestId) external {
+        VerificationRequest storage request = verificationRequests[requestId];
+        if (request.requester == address(0)) revert UnknownRequest(requestId);
+
+        uint256 expiresAt = request.challengeExpiryTime;
+        if (request.status == RequestStatus.Submitted) {
+            expiresAt += ORACLE_TIMEOUT;
+        } else if (request.status != RequestStatus.Pending) {
+            revert RequestNotPending(requestId, request.status);
+        }
+        if (block.timestamp <= expiresAt) revert ChallengeStillValid(requestId, expiresAt);
+
+        request.status = RequestStatus.Expired;
+        activeVerificationRequests--;
+        pendingRequestCount[request.requester]--;
+
+        emit VerificationExpired(requestId, request.requester, msg.sender);
+    }
+
+    /// @notice Requests left in the user's current window, and when the next one opens if none are.
+    function getRequestAllowance(address user) external view returns (uint32 remaining, uint256 nextRequestTime) {
+        uint32[] storage ids = userRequestIds[user];
+        uint256 windowStart = block.timestamp > policy.requestWindow ? block.timestamp - policy.requestWindow : 0;
+
+        uint32 used = 0;
+        for (uint256 i = ids.length; i > 0 && used < policy.maxRequestsPerUser; i--) {
+            if (verificationRequests[ids[i - 1]].requestTime <= windowStart) break;
+            used++;
+        }
+
+        remaining = policy.maxRequestsPerUser - used;
+        if (remaining == 0) {
+            nextRequestTime = _nextRequestTime(user);
+        }
+    }
+
+    /// @dev The limit allows maxRequestsPerUser requests in any requestWindow, so the next one
+    ///      opens once the request that many places back has left the window.
+    function _nextRequestTime(address user) private view returns (uint256) {
+        uint32[] storage ids = userRequestIds[user];
+        uint256 limit = policy.maxRequestsPerUser;
+        if (ids.length < limit) {
+            return 0;
+        }
+        return verificationRequests[ids[ids.length - limit]].requestTime + policy.requestWindow;
+    }
+
+    /// @dev Homomorphic counterpart of _validateProof; both must accept exactly the same proofs.
+    function _validateProofEncrypted(euint32 challenge, euint32 proof, euint32 credential) private returns (ebool) {
+        euint32 expectedProof = FHE.rem(FHE.mul(challenge, credential), 1000000);
+        // expectedProof < 10^6 and the percentage is at most 100, so this cannot overflow
+        euint32 tolerance = FHE.div(FHE.mul(expectedProof, uint32(policy.proofTolerancePercent)), 100);
+
+        return FHE.and(
+            FHE.ge(proof, FHE.sub(expectedProof, tolerance)),
+            FHE.le(proof, FHE.add(expectedProof, tolerance))
+        );
+    }
+
+    /// @dev Plaintext reference implementation of the proof check, kept for tests and clients.
+    function _validateProof(
+        uint32 challenge,
+        uint32 proof,
+        uint32 credential,
+        uint8 tolerancePercent
+    ) internal pure returns (bool) {
+        uint32 expectedProof;
+        // Wraps modulo 2^32 like FHE.mul, so clients can compute the same value off-chain
+        unchecked {
+            expectedProof = (challenge * credential) % 1000000;
+        }
+        uint32 tolerance = expectedProof * tolerancePercent / 100;
 
         return (proof >= expectedProof - tolerance) && (proof <= expectedProof + tolerance);
     }
 
-    function verifyIdentityAnonymously(address user) external view onlyAuthorizedVerifier returns (bool) {
+    /// @notice Lets `verifier` check the caller's identity, optionally until `expiresAt`
+    ///         and at most `maxUses` times (0 for either means no limit).
+    /// @dev Granting again replaces the previous grant and resets its use count.
+    function grantConsent(address verifier, uint64 expiresAt, uint32 maxUses) external {
+        if (verifier == address(0)) revert InvalidAddress();
+        if (expiresAt != 0 && expiresAt <= block.timestamp) revert InvalidConsentExpiry(expiresAt);
+
+        consents[msg.sender][verifier] = ConsentGrant({
+            grantedAt: uint64(block.timestamp),
+            expiresAt: expiresAt,
+            maxUses: maxUses,
+            useCount: 0
+        });
+
+        if (consentIndex[msg.sender][verifier] == 0) {
+            consentVerifiers[msg.sender].push(verifier);
+            consentIndex[msg.sender][verifier] = consentVerifiers[msg.sender].length;
+        }
+
+        emit ConsentGranted(msg.sender, verifier, expiresAt, maxUses);
+    }
+
+    function revokeConsent(address verifier) external {
+        uint256 index = consentIndex[msg.sender][verifier];
+        if (index == 0) revert NoConsent(msg.sender, verifier);
+
+        // Swap-and-pop keeps the grant list dense
+        address[] storage verifiers = consentVerifiers[msg.sender];
+        address last = verifiers[verifiers.length - 1];
+        verifiers[index - 1] = last;
+        consentIndex[msg.sender][last] = index;
+        verifiers.pop();
+        delete consentIndex[msg.sender][verifier];
+        delete consents[msg.sender][verifier];
+
+        emit ConsentRevoked(msg.sender, verifier);
+    }
+
+    /// @notice Returns every verifier the user has granted consent to, with the grant details.
+    ///         Expired and used-up grants are included until the user revokes them.
+    function getConsentGrants(address user) external view returns (
+        address[] memory verifiers,
+        ConsentGrant[] memory grants
+    ) {
+        verifiers = consentVerifiers[user];
+        grants = new ConsentGrant[](verifiers.length);
+        for (uint256 i = 0; i < verifiers.length; i++) {
+            grants[i] = consents[user][verifiers[i]];
+        }
+    }
+
+    function hasConsent(address user, address verifier) public view returns (bool) {
+        if (consentIndex[user][verifier] == 0) return false;
+
+        ConsentGrant storage grant = consents[user][verifier];
+        return (grant.expiresAt == 0 || grant.expiresAt > block.timestamp) &&
+               (grant.maxUses == 0 || grant.useCount < grant.maxUses);
+    }
+
+    /// @dev Consumes one use of the caller's consent grant and records the check for the user.
+    function _useConsent(address user, CheckType checkType) private {
+        if (consentIndex[user][msg.sender] == 0) revert NoConsent(user, msg.sender);
+
+        ConsentGrant storage grant = consents[user][msg.sender];
+        if (grant.expiresAt != 0 && grant.expiresAt <= block.timestamp) {
+            revert ConsentExpired(user, msg.sender, grant.expiresAt);
+        }
+        if (grant.maxUses != 0 && grant.useCount >= grant.maxUses) {
+            revert ConsentUsesExhausted(user, msg.sender, grant.maxUses);
+        }
+
+        grant.useCount++;
+        emit IdentityChecked(user, msg.sender, checkType);
+    }
+
+    /// @notice Reports whether the user holds a verified, unexpired identity proof.
+    /// @dev Requires the user's consent and records the check, so it is no longer a view.
+    ///      Clients should simulate it with eth_call only as a preflight before sending it.
+    function verifyIdentityAnonymously(address user) external onlyVerifierOrAuditor returns (bool) {
+        _useConsent(user, CheckType.Verification);
+        return _isIdentityVerified(user);
+    }
+
+    /// @notice Verification status for registered consumer contracts, which gate their own
+    ///         callers on it. It takes no consent because getIdentityStatus already shows the
+    ///         same flag; registration is what lets admins see and cut off consumers.
+    function isIdentityVerified(address user) external view returns (bool) {
+        if (!hasRole(CONSUMER_ROLE, msg.sender)) revert NotRegisteredConsumer(msg.sender);
+        return _isIdentityVerified(user);
+    }
+
+    function isRegisteredConsumer(address consumer) external view returns (bool) {
+        return hasRole(CONSUMER_ROLE, consumer);
+    }
+
+    function _isIdentityVerified(address user) private view returns (bool) {
         IdentityProof storage proof = identityProofs[user];
         return proof.isVerified &&
                proof.isActive &&
                proof.expiryTime > block.timestamp;
     }
 
+    /// @notice Checks whether the user's encrypted identity score is at least `threshold`.
+    /// @dev The result stays encrypted and only the calling verifier may decrypt it. Its handle
+    ///      is returned and emitted in ScorePredicateEvaluated for use after the transaction.
+    function checkScoreThreshold(address user, uint8 threshold)
+        external
+        onlyAuthorizedVerifier
+        onlyActiveProof(user)
+        returns (ebool)
+    {
+        _useConsent(user, CheckType.ScoreThreshold);
+        return _evaluateScorePredicate(user, threshold, type(uint8).max);
+    }
+
+    /// @notice Checks whether the user's encrypted identity score lies within [minScore, maxScore].
+    function checkScoreRange(address user, uint8 minScore, uint8 maxScore)
+        external
+        onlyAuthorizedVerifier
+        onlyActiveProof(user)
+        returns (ebool)
+    {
+        if (minScore > maxScore) revert InvalidScoreRange(minScore, maxScore);
+        _useConsent(user, CheckType.ScoreRange);
+        return _evaluateScorePredicate(user, minScore, maxScore);
+    }
+
+    function _evaluateScorePredicate(address user, uint8 minScore, uint8 maxScore) private returns (ebool result) {
+        euint8 score = identityProofs[user].identityScore;
+
+        result = FHE.ge(score, minScore);
+        if (maxScore < type(uint8).max) {
+            result = FHE.and(result, FHE.le(score, maxScore));
+        }
+
+        FHE.allowThis(result);
+        FHE.allow(result, msg.sender);
+
+        emit ScorePredicateEvaluated(msg.sender, user, minScore, maxScore, result);
+    }
+
     function renewIdentityProof() external onlyActiveProof(msg.sender) {
-        require(identityProofs[msg.sender].isVerified, "Must be verified first");
+        if (!identityProofs[msg.sender].isVerified) revert IdentityNotVerified(msg.sender);
+
+        identityProofs[msg.sender].expiryTime = block.timestamp + policy.proofValidityPeriod;
+    }
+
+    /// @notice Starts moving the caller's identity proof to `newAddress`, which completes the
+    ///         move with acceptIdentityMigration. Proposing again replaces the proposal.
+    function proposeIdentityMigration(address newAddress) external onlyActiveProof(msg.sender) {
+        _proposeMigration(msg.sender, newAddress, uint64(block.timestamp));
+    }
+
+    /// @notice Verifier-assisted recovery for a lost key: after the verifier has re-identified
+    ///         the holder off-chain, `newAddress` may accept the proof of `lostAddress` once
+    ///         RECOVERY_DELAY has passed. Until then the old address can still cancel it.
+    function proposeIdentityRecovery(address lostAddress, address newAddress)
+        external
+        onlyAuthorizedVerifier
+        onlyActiveProof(lostAddress)
+    {
+        _proposeMigration(lostAddress, newAddress, uint64(block.timestamp) + RECOVERY_DELAY);
+    }
+
+    /// @notice Moves the proof of `from` to the caller: credential, score, verified flag,
+    ///         expiry and request history. The old address keeps no access to it.
+    /// @dev ACL grants cannot be revoked, so the ciphertexts are copied into new handles that
+    ///      only this contract and the new address are allowed on. The new address gets the
+    ///      credential only if the old one could decrypt it (the plaintext-registration path).
+    function acceptIdentityMigration(address from) external onlyActiveProof(from) {
+        IdentityMigration memory migration = identityMigrations[from];
+        if (migration.newAddress != msg.sender) revert NoPendingMigration(from, msg.sender);
+        if (block.timestamp < migration.executableAt) revert MigrationNotReady(from, migration.executableAt);
+        _checkMigration(from, msg.sender);
+
+        IdentityProof storage proof = identityProofs[from];
+        euint32 credential = FHE.add(proof.encryptedCredential, 0);
+        euint8 score = FHE.add(proof.identityScore, 0);
+        FHE.allowThis(credential);
+        FHE.allowThis(score);
+        FHE.allow(score, msg.sender);
+        if (FHE.isAllowed(proof.encryptedCredential, from)) {
+            FHE.allow(credential, msg.sender);
+        }
+
+        identityProofs[msg.sender] = IdentityProof({
+            encryptedCredential: credential,
+            identityScore: score,
+            isVerified: proof.isVerified,
+            isActive: true,
+            timestamp: proof.timestamp,
+            expiryTime: proof.expiryTime
+        });
+        credentialVersions[msg.sender] = credentialVersions[from];
+        delete identityProofs[from];
+        delete identityMigrations[from];
+        delete revocations[msg.sender];
+        delete credentialVersions[from];
+
+        // The request limit follows the identity, so moving it cannot reset the window
+        _mergeRequestIds(from, msg.sender);
 
-        identityProofs[msg.sender].expiryTime = block.timestamp + PROOF_VALIDITY_PERIOD;
-        userRequestCounts[msg.sender] = 0;
+        emit IdentityMigrated(from, msg.sender, migration.proposedBy);
     }
 
-    function revokeIdentityProof(address user) external onlyAuthorizedVerifier {
-        require(user != address(0), "Invalid user address");
+    /// @dev Appends the request history of `from` to that of `to`, which may have one from an
+    ///      earlier proof. Request IDs grow with request time, so merging them in ID order keeps
+    ///      the list chronological, as _nextRequestTime expects.
+    function _mergeRequestIds(address from, address to) private {
+        uint32[] memory existing = userRequestIds[to];
+        uint32[] storage moved = userRequestIds[from];
+        uint32[] storage merged = userRequestIds[to];
+        if (existing.length != 0) delete userRequestIds[to];
+
+        uint256 i = 0;
+        uint256 j = 0;
+        while (i < existing.length || j < moved.length) {
+            if (j == moved.length || (i < existing.length && existing[i] < moved[j])) {
+                merged.push(existing[i++]);
+            } else {
+                merged.push(moved[j++]);
+            }
+        }
+        delete userRequestIds[from];
+    }
+
+    /// @notice Withdraws a migration or recovery proposal. The old address, the proposed new
+    ///         address and the proposing verifier may cancel.
+    function cancelIdentityMigration(address from) external {
+        IdentityMigration memory migration = identityMigrations[from];
+        if (migration.newAddress == address(0)) revert NoPendingMigration(from, address(0));
+        if (msg.sender != from && msg.sender != migration.newAddress && msg.sender != migration.proposedBy) {
+            revert Unauthorized(msg.sender);
+        }
+
+        delete identityMigrations[from];
+        emit IdentityMigrationCancelled(from, migration.newAddress, msg.sender);
+    }
+
+    function getIdentityMigration(address from) external view returns (IdentityMigration memory) {
+        return identityMigrations[from];
+    }
+
+    function _proposeMigration(address from, address to, uint64 executableAt) private {
+        _checkMigration(from, to);
+        identityMigrations[from] = IdentityMigration({
+            newAddress: to,
+            proposedBy: msg.sender,
+            executableAt: executableAt
+        });
+        emit IdentityMigrationProposed(from, to, msg.sender, executableAt);
+    }
+
+    /// @dev Pending requests are answered against the old address's credential, so they must
+    ///      be finished or cancelled first.
+    function _checkMigration(address from, address to) private view {
+        if (to == address(0) || to == from) revert InvalidMigrationTarget(to);
+        if (identityProofs[to].isActive) revert IdentityAlreadyRegistered(to);
+        _checkNoPendingRequests(from);
+        // A verdict for a request the new address made under an earlier proof would land on this one
+        _checkNoPendingRequests(to);
+        _checkNotBlocked(to);
+    }
+
+    function _checkNoPendingRequests(address user) private view {
+        if (pendingRequestCount[user] != 0) revert PendingVerificationRequests(user, pendingRequestCount[user]);
+    }
+
+    function _checkNotBlocked(address user) private view {
+        uint64 blockedUntil = revocations[user].blockedUntil;
+        if (blockedUntil > block.timestamp) revert RegistrationBlocked(user, blockedUntil);
+    }
+
+    /// @notice Deactivates the user's proof and records who revoked it and why. Registering
+    ///         again is refused until the reason's cooldown has passed.
+    /// @dev Only addresses holding a proof, even an expired or revoked one, can be revoked, so
+    ///      verifiers cannot block addresses from registering in advance.
+    function revokeIdentityProof(address user, RevocationReason reason) external onlyAuthorizedVerifier {
+        if (user == address(0)) revert InvalidAddress();
+        if (identityProofs[user].timestamp == 0) revert IdentityNotRegistered(user);
 
         identityProofs[user].isVerified = false;
         identityProofs[user].isActive = false;
+        // A proposal made before the revocation must not move the proof after a re-registration
+        delete identityMigrations[user];
+
+        uint64 cooldown = revocationCooldowns[reason];
+        uint64 blockedUntil = cooldown == 0 ? 0 : cooldown >= PERMANENT_BLOCK - block.timestamp
+            ? PERMANENT_BLOCK
+            : uint64(block.timestamp) + cooldown;
+        revocations[user] = Revocation({
+            verifier: msg.sender,
+            revokedAt: uint64(block.timestamp),
+            blockedUntil: blockedUntil,
+            reason: reason
+        });
 
-        emit ProofExpired(user);
+        emit IdentityRevoked(user, msg.sender, reason);
+    }
+
+    /// @notice The user's latest revocation; revokedAt is 0 if there is none since they last registered.
+    function getRevocation(address user) external view returns (Revocation memory) {
+        return revocations[user];
     }
 
     function getIdentityStatus(address user) external view returns (
@@ -228,18 +969,43 @@ contract AnonymousIdentityVerification is SepoliaConfig {
         bool isCompleted,
         bool isApproved,
         uint256 requestTime,
-        uint256 challengeExpiryTime
+        uint256 challengeExpiryTime,
+        RequestStatus status
     ) {
         VerificationRequest storage request = verificationRequests[requestId];
         return (
             request.requester,
-            request.isCompleted,
-            request.isApproved,
+            request.status != RequestStatus.Pending && request.status != RequestStatus.Submitted,
+            request.status == RequestStatus.Approved,
             request.requestTime,
-            request.challengeExpiryTime
+            request.challengeExpiryTime,
+            request.status
         );
     }
 
+    /// @notice Returns a page of the user's verification request IDs, oldest first, and their total count.
+    function getUserRequests(address user, uint256 offset, uint256 limit) external view returns (
+        uint32[] memory requestIds,
+        uint256 total
+    ) {
+        uint32[] storage ids = userRequestIds[user];
+        total = ids.length;
+        if (offset >= total) {
+            return (new uint32[](0), total);
+        }
+
+        uint256 end = limit > total - offset ? total : offset + limit;
+        requestIds = new uint32[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            requestIds[i - offset] = ids[i];
+        }
+    }
+
+    /// @notice Returns the encrypted challenge handle so the requester can user-decrypt it.
+    function getVerificationChallenge(uint32 requestId) external view returns (euint32) {
+        return verificationRequests[requestId].encryptedChallenge;
+    }
+
     function getContractStats() external view returns (
         uint32 totalVerificationsCount,
         uint32 activeRequests,
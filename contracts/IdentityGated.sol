@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IIdentityVerification } from "./interfaces/IIdentityVerification.sol";
+
+/// @notice Base for contracts that only serve users with a verified identity.
+/// @dev The deployed contract must be registered as a consumer on the identity contract
+///      (registerConsumer) before the checks pass; until then they revert with
+///      NotRegisteredConsumer from the identity contract.
+abstract contract IdentityGated {
+    IIdentityVerification public immutable identityVerification;
+
+    error InvalidIdentityVerification();
+    error IdentityVerificationRequired(address account);
+
+    modifier onlyVerifiedIdentity() {
+        _requireVerifiedIdentity(msg.sender);
+        _;
+    }
+
+    constructor(IIdentityVerification identityVerification_) {
+        if (address(identityVerification_) == address(0)) revert InvalidIdentityVerification();
+        identityVerification = identityVerification_;
+    }
+
+    function _isVerifiedIdentity(address account) internal view returns (bool) {
+        return identityVerification.isIdentityVerified(account);
+    }
+
+    function _requireVerifiedIdentity(address account) internal view {
+        if (!_isVerifiedIdentity(account)) revert IdentityVerificationRequired(account);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IdentityGated } from "../IdentityGated.sol";
+import { IIdentityVerification } from "../interfaces/IIdentityVerification.sol";
+
+/// @notice Example consumer: a member list that only accounts with a verified identity can join.
+/// @dev Membership is checked again on use, so members whose proof expires or is revoked
+///      lose access without being removed.
+contract VerifiedMembership is IdentityGated {
+    mapping(address => bool) public joined;
+    uint256 public memberCount;
+
+    event MemberJoined(address indexed member);
+
+    error AlreadyMember(address account);
+
+    constructor(IIdentityVerification identityVerification_) IdentityGated(identityVerification_) {}
+
+    function join() external onlyVerifiedIdentity {
+        if (joined[msg.sender]) revert AlreadyMember(msg.sender);
+
+        joined[msg.sender] = true;
+        memberCount++;
+
+        emit MemberJoined(msg.sender);
+    }
+
+    /// @notice Whether `account` joined and still holds a verified identity.
+    function isMember(address account) external view returns (bool) {
+        return joined[account] && _isVerifiedIdentity(account);
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// @notice What other contracts may ask AnonymousIdentityVerification about a user.
+/// @dev Only contracts an admin has registered as consumers (CONSUMER_ROLE) may call
+///      isIdentityVerified; anyone else gets NotRegisteredConsumer.
+interface IIdentityVerification {
+    error NotRegisteredConsumer(address account);
+
+    /// @notice Whether `user` holds a verified, active and unexpired identity proof.
+    function isIdentityVerified(address user) external view returns (bool);
+
+    /// @notice Whether `consumer` is registered to call isIdentityVerified.
+    function isRegisteredConsumer(address consumer) external view returns (bool);
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { AnonymousIdentityVerification } from "../AnonymousIdentityVerification.sol";
+
+/// @dev Test-only contract exposing internal helpers of AnonymousIdentityVerification.
+contract AnonymousIdentityVerificationHarness is AnonymousIdentityVerification {
+    constructor(Policy memory initialPolicy) AnonymousIdentityVerification(initialPolicy) {}
+
+    function validateProof(uint32 challenge, uint32 proof, uint32 credential) external view returns (bool) {
+        return _validateProof(challenge, proof, credential, policy.proofTolerancePercent);
+    }
+}
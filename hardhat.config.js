@@ -1,4 +1,5 @@
 require('@nomicfoundation/hardhat-toolbox');
+require('@fhevm/hardhat-plugin');
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -9,6 +10,8 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // FHEVM requires at least the Cancun EVM version
+      evmVersion: "cancun",
     },
   },
   networks: {
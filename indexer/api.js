@@ -0,0 +1,82 @@
+// Read-only JSON API over an EventStore, used by the Admin Panel's statistics dashboard.
+const http = require("http");
+
+const MAX_DAYS = 365;
+const MAX_EVENTS_PAGE = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseIntegerParam(params, name, { defaultValue, min, max }) {
+  const value = params.get(name);
+  if (value === null) return defaultValue;
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    throw new HttpError(400, `${name} must be an integer from ${min} to ${max}`);
+  }
+  return Number(value);
+}
+
+const ROUTES = {
+  "/api/status": (store) => ({
+    contract: store.getMeta("contract"),
+    chainId: store.getMeta("chainId"),
+    fromBlock: Number(store.getMeta("fromBlock")),
+    lastBlock: store.getLastBlock(),
+    syncedAt: Number(store.getMeta("syncedAt")) || null,
+    events: store.countEvents(),
+  }),
+  "/api/stats/summary": (store) => store.getSummary(),
+  "/api/stats/daily": (store, params) => ({
+    days: store.getDailyStats({ days: parseIntegerParam(params, "days", { defaultValue: 30, min: 1, max: MAX_DAYS }) }),
+  }),
+  "/api/stats/verifiers": (store) => ({ verifiers: store.getVerifierActivity() }),
+  "/api/events": (store, params) => store.getEvents({
+    name: params.get("name"),
+    limit: parseIntegerParam(params, "limit", { defaultValue: 100, min: 1, max: MAX_EVENTS_PAGE }),
+    offset: parseIntegerParam(params, "offset", { defaultValue: 0, min: 0, max: Number.MAX_SAFE_INTEGER }),
+  }),
+};
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    // The page is served from another origin (npm run dev, Vercel)
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * @param {EventStore} store
+ * @returns {http.Server} Not listening yet
+ */
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      send(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const route = ROUTES[url.pathname.replace(/\/$/, "")];
+    if (!route) {
+      send(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+      return;
+    }
+
+    try {
+      send(res, 200, route(store, url.searchParams));
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error(error);
+      send(res, error.status ?? 500, { error: error.status ? error.message : "Internal error" });
+    }
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,147 @@
+// Follows the contract's events into an EventStore, rolling back blocks that a reorg replaced.
+const { IdentityVerificationClient } = require("../sdk/IdentityVerificationClient");
+
+const DEFAULT_CHUNK_SIZE = 2000;        // Blocks per eth_getLogs call
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+class EventIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider ethers provider
+   * @param {string} options.address Contract address
+   * @param {EventStore} options.store
+   * @param {Array} [options.abi] Contract ABI, defaults to the SDK's
+   * @param {number} [options.fromBlock] First block to index, usually the deployment block
+   * @param {number} [options.confirmations] Blocks to stay behind the head
+   * @param {number} [options.chunkSize]
+   */
+  constructor({ provider, address, store, abi, fromBlock = 0, confirmations = 0, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    this.provider = provider;
+    this.address = address;
+    this.store = store;
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.chunkSize = chunkSize;
+    this.client = new IdentityVerificationClient(address, provider, { abi });
+    this._timer = null;
+  }
+
+  // A database belongs to one contract on one chain
+  async _checkMeta() {
+    const { chainId } = await this.provider.getNetwork();
+    const contract = this.store.getMeta("contract");
+    const storedChainId = this.store.getMeta("chainId");
+
+    if (contract === null) {
+      this.store.setMeta("contract", this.address.toLowerCase());
+      this.store.setMeta("chainId", chainId);
+      this.store.setMeta("fromBlock", this.fromBlock);
+    } else if (contract !== this.address.toLowerCase() || storedChainId !== String(chainId)) {
+      throw new Error(`The database indexes ${contract} on chain ${storedChainId}, not ${this.address} on chain ${chainId}`);
+    }
+  }
+
+  /**
+   * Compares stored checkpoints with the chain, newest first, and drops everything after the
+   * newest one that still matches.
+   * @returns {Promise<number|null>} Block the store was rolled back to, or null without a reorg
+   */
+  async _handleReorg() {
+    const checkpoints = this.store.getCheckpoints();
+    for (const [i, checkpoint] of checkpoints.entries()) {
+      const block = await this.provider.getBlock(checkpoint.number);
+      if (block?.hash === checkpoint.hash) {
+        if (i === 0) return null;
+        this.store.rollback(checkpoint.number);
+        return checkpoint.number;
+      }
+    }
+    if (checkpoints.length === 0) return null;
+
+    // Deeper than the kept checkpoints: start over
+    this.store.rollback(this.fromBlock - 1);
+    return this.fromBlock - 1;
+  }
+
+  /**
+   * Indexes one block range. Returns false, storing nothing, when a block changed while it was read.
+   */
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+
+    const blockNumbers = [...new Set([...logs.map((log) => log.blockNumber), toBlock])];
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) return false;
+      blocks.set(number, block);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      if (log.blockHash !== block.hash) return false;
+
+      const [event] = this.client.parseEvents([log]);
+      if (event) events.push({ ...event, blockHash: log.blockHash, timestamp: block.timestamp });
+    }
+
+    this.store.addRange(events, { number: toBlock, hash: blocks.get(toBlock).hash });
+    return true;
+  }
+
+  /**
+   * Brings the store up to the confirmed head.
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, rolledBackTo: number|null }>}
+   */
+  async sync() {
+    await this._checkMeta();
+    const rolledBackTo = await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const lastBlock = this.store.getLastBlock();
+    const fromBlock = lastBlock === null ? this.fromBlock : lastBlock + 1;
+    const eventsBefore = this.store.countEvents();
+
+    let toBlock = fromBlock - 1;
+    for (let start = fromBlock; start <= head; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, head);
+      // The next sync finds the reorg through the checkpoints and continues from there
+      if (!(await this._indexRange(start, end))) break;
+      toBlock = end;
+    }
+
+    this.store.setMeta("syncedAt", Math.floor(Date.now() / 1000));
+    return {
+      fromBlock,
+      toBlock,
+      events: this.store.countEvents() - eventsBefore,
+      rolledBackTo,
+    };
+  }
+
+  /**
+   * Syncs now and then every `pollInterval` ms until stop(). Sync failures go to `onError` and
+   * are retried on the next poll.
+   */
+  start({ pollInterval = DEFAULT_POLL_INTERVAL_MS, onSync = () => {}, onError = console.error } = {}) {
+    if (this._timer !== null) return;
+
+    const poll = async () => {
+      try {
+        onSync(await this.sync());
+      } catch (error) {
+        onError(error);
+      }
+      if (this._timer !== null) this._timer = setTimeout(poll, pollInterval);
+    };
+    this._timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { EventIndexer };
@@ -0,0 +1,245 @@
+// SQLite storage for indexed contract events and the statistics queries the API serves.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Block hashes kept for reorg detection; a reorg deeper than this many sync steps rebuilds everything
+const MAX_CHECKPOINTS = 256;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_name ON events (name, timestamp);
+  -- Last block of each sync step and its hash, newest kept
+  CREATE TABLE IF NOT EXISTS checkpoints (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL
+  );
+`;
+
+// Event args are stored as JSON; bigints become decimal strings
+function serializeArgs(args) {
+  return JSON.stringify(args, (_key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+function toEvent(row) {
+  return {
+    name: row.name,
+    args: JSON.parse(row.args),
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+  };
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatDay(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+class EventStore {
+  /**
+   * @param {string} file SQLite database file, created if missing (":memory:" for tests)
+   */
+  constructor(file) {
+    if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+      .run(key, String(value));
+  }
+
+  /** Checkpoints, newest first. */
+  getCheckpoints() {
+    return this.db.prepare("SELECT block_number AS number, block_hash AS hash FROM checkpoints ORDER BY block_number DESC").all();
+  }
+
+  /** @returns {number|null} Last block whose events are stored */
+  getLastBlock() {
+    return this.db.prepare("SELECT MAX(block_number) AS number FROM checkpoints").get().number;
+  }
+
+  /**
+   * Stores the events of a block range and the hash of its last block in one transaction.
+   * @param {Array<Object>} events Parsed events with blockHash and timestamp
+   * @param {{ number: number, hash: string }} checkpoint
+   */
+  addRange(events, checkpoint) {
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, log_index, block_hash, transaction_hash, timestamp, name, args)
+      VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @name, @args)
+    `);
+    const insertCheckpoint = this.db.prepare("INSERT OR REPLACE INTO checkpoints (block_number, block_hash) VALUES (?, ?)");
+    const pruneCheckpoints = this.db.prepare(`
+      DELETE FROM checkpoints WHERE block_number NOT IN (
+        SELECT block_number FROM checkpoints ORDER BY block_number DESC LIMIT ${MAX_CHECKPOINTS}
+      )
+    `);
+
+    this.db.transaction(() => {
+      for (const event of events) insertEvent.run({ ...event, args: serializeArgs(event.args) });
+      insertCheckpoint.run(checkpoint.number, checkpoint.hash);
+      pruneCheckpoints.run();
+    })();
+  }
+
+  /** Forgets everything after `blockNumber`, so those blocks are indexed again. */
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.db.prepare("DELETE FROM checkpoints WHERE block_number > ?").run(blockNumber);
+    })();
+  }
+
+  // Queries
+
+  /**
+   * Newest first.
+   * @param {Object} [options]
+   * @param {string} [options.name] Only events with this name
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   */
+  getEvents({ name = null, limit = 100, offset = 0 } = {}) {
+    const rows = this.db.prepare(`
+      SELECT * FROM events WHERE (@name IS NULL OR name = @name)
+      ORDER BY block_number DESC, log_index DESC LIMIT @limit OFFSET @offset
+    `).all({ name, limit, offset });
+    return { events: rows.map(toEvent), total: this.countEvents(name) };
+  }
+
+  countEvents(name = null) {
+    return this.db.prepare("SELECT COUNT(*) FROM events WHERE (@name IS NULL OR name = @name)").pluck().get({ name });
+  }
+
+  getSummary() {
+    const counts = this.db.prepare(`
+      SELECT
+        SUM(name = 'IdentityProofRegistered') AS registrations,
+        SUM(name = 'VerificationRequested') AS requests,
+        SUM(name = 'VerificationCompleted' AND json_extract(args, '$.approved')) AS approved,
+        SUM(name = 'VerificationCompleted' AND NOT json_extract(args, '$.approved')) AS rejected,
+        SUM(name = 'VerificationCancelled') AS cancelled,
+        SUM(name = 'VerificationExpired') AS expired,
+        SUM(name = 'ProofExpired') AS proofsExpired,
+        SUM(name = 'IdentityRevoked') AS revocations,
+        SUM(name = 'IdentityChecked') AS identityChecks
+      FROM events
+    `).get();
+    for (const key of Object.keys(counts)) counts[key] = counts[key] ?? 0;
+
+    const durations = this.getCompletionTimes();
+    const decided = counts.approved + counts.rejected;
+    return {
+      ...counts,
+      approvalRate: decided > 0 ? counts.approved / decided : null,
+      completion: {
+        count: durations.length,
+        averageSeconds: durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : null,
+        medianSeconds: median(durations),
+      },
+    };
+  }
+
+  /** Seconds from VerificationRequested to VerificationCompleted for every completed request, ascending. */
+  getCompletionTimes() {
+    return this.db.prepare(`
+      SELECT completed.timestamp - requested.timestamp AS seconds
+      FROM events completed
+      JOIN events requested
+        ON requested.name = 'VerificationRequested'
+        AND json_extract(requested.args, '$.requestId') = json_extract(completed.args, '$.requestId')
+      WHERE completed.name = 'VerificationCompleted'
+      ORDER BY seconds
+    `).pluck().all();
+  }
+
+  /**
+   * One row per UTC day for the `days` days up to `now`, including days without events.
+   * @returns {Array<{ day: string, registrations: number, requests: number, approved: number,
+   *   rejected: number, cancelled: number, expired: number, proofsExpired: number, revocations: number }>}
+   */
+  getDailyStats({ days = 30, now = Math.floor(Date.now() / 1000) } = {}) {
+    const firstDay = Math.floor(now / DAY_SECONDS) * DAY_SECONDS - (days - 1) * DAY_SECONDS;
+    const rows = this.db.prepare(`
+      SELECT
+        date(timestamp, 'unixepoch') AS day,
+        SUM(name = 'IdentityProofRegistered') AS registrations,
+        SUM(name = 'VerificationRequested') AS requests,
+        SUM(name = 'VerificationCompleted' AND json_extract(args, '$.approved')) AS approved,
+        SUM(name = 'VerificationCompleted' AND NOT json_extract(args, '$.approved')) AS rejected,
+        SUM(name = 'VerificationCancelled') AS cancelled,
+        SUM(name = 'VerificationExpired') AS expired,
+        SUM(name = 'ProofExpired') AS proofsExpired,
+        SUM(name = 'IdentityRevoked') AS revocations
+      FROM events WHERE timestamp >= ? GROUP BY day
+    `).all(firstDay);
+    const byDay = new Map(rows.map((row) => [row.day, row]));
+
+    return Array.from({ length: days }, (_, i) => {
+      const day = formatDay(firstDay + i * DAY_SECONDS);
+      const row = byDay.get(day);
+      return {
+        day,
+        registrations: row?.registrations ?? 0,
+        requests: row?.requests ?? 0,
+        approved: row?.approved ?? 0,
+        rejected: row?.rejected ?? 0,
+        cancelled: row?.cancelled ?? 0,
+        expired: row?.expired ?? 0,
+        proofsExpired: row?.proofsExpired ?? 0,
+        revocations: row?.revocations ?? 0,
+      };
+    });
+  }
+
+  /** Identity checks per verifier (and auditor), busiest first. checkType follows the contract's CheckType enum. */
+  getVerifierActivity() {
+    return this.db.prepare(`
+      SELECT
+        json_extract(args, '$.verifier') AS verifier,
+        COUNT(*) AS checks,
+        SUM(json_extract(args, '$.checkType') = 0) AS verificationChecks,
+        SUM(json_extract(args, '$.checkType') = 1) AS thresholdChecks,
+        SUM(json_extract(args, '$.checkType') = 2) AS rangeChecks,
+        COUNT(DISTINCT json_extract(args, '$.user')) AS users,
+        MAX(timestamp) AS lastCheckAt
+      FROM events WHERE name = 'IdentityChecked'
+      GROUP BY verifier ORDER BY checks DESC, verifier
+    `).all();
+  }
+}
+
+module.exports = { EventStore };
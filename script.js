@@ -1,6 +1,13 @@
 // Contract Configuration
-const CONTRACT_ADDRESS = '0x813F34aa27F893C45f419dd9d32561a2639A8E15';
+// Addresses come from deployments/<network>.json, written by scripts/deploy.js
+const DEPLOYMENT_NETWORKS = {
+    '0xaa36a7': 'sepolia',   // 11155111
+    '0x1f49': 'zama',        // 8009
+    '0x7a69': 'localhost',   // 31337 (Hardhat node)
+    '0x539': 'localhost'     // 1337
+};
 const SEPOLIA_CHAIN_ID = '0xaa36a7'; // 11155111 in hex
+const LOCAL_RPC_URL = 'http://127.0.0.1:8545'; // Used when deployments/localhost.json has no rpcUrl
 const SEPOLIA_NETWORK_CONFIG = {
     chainId: SEPOLIA_CHAIN_ID,
     chainName: 'Sepolia Test Network',
@@ -13,41 +20,99 @@ const SEPOLIA_NETWORK_CONFIG = {
     blockExplorerUrls: ['https://sepolia.etherscan.io/']
 };
 
-const CONTRACT_ABI = [
-    // Events
-    "event IdentityProofRegistered(address indexed user, uint256 timestamp)",
-    "event VerificationRequested(uint32 indexed requestId, address indexed requester)",
-    "event VerificationCompleted(uint32 indexed requestId, bool approved, address indexed requester)",
-    "event VerifierAuthorized(address indexed verifier)",
-    "event VerifierRevoked(address indexed verifier)",
-    "event ProofExpired(address indexed user)",
-
-    // View Functions
-    "function owner() view returns (address)",
-    "function totalVerifications() view returns (uint32)",
-    "function activeVerificationRequests() view returns (uint32)",
-    "function authorizedVerifiers(address) view returns (bool)",
-    "function getIdentityStatus(address user) view returns (bool isActive, bool isVerified, uint256 expiryTime, uint256 timestamp)",
-    "function getVerificationRequestInfo(uint32 requestId) view returns (address requester, bool isCompleted, bool isApproved, uint256 requestTime, uint256 challengeExpiryTime)",
-    "function getContractStats() view returns (uint32 totalVerificationsCount, uint32 activeRequests, uint256 currentTime)",
-    "function verifyIdentityAnonymously(address user) view returns (bool)",
-
-    // Write Functions
-    "function registerIdentityProof(uint32 credential, uint8 score)",
-    "function requestVerification() returns (uint32 requestId)",
-    "function submitVerificationProof(uint32 requestId, uint32 proofData)",
-    "function renewIdentityProof()",
-    "function authorizeVerifier(address verifier)",
-    "function revokeVerifier(address verifier)",
-    "function revokeIdentityProof(address user)",
-    "function cleanupExpiredProofs(address[] calldata users)"
+// Contract access goes through sdk/IdentityVerificationClient.js
+const {
+    IdentityVerificationClient,
+    IDENTITY_VERIFICATION_ABI,
+    REQUEST_STATUSES,
+    REVOCATION_REASONS,
+    PERMANENT_BLOCK,
+    ORACLE_TIMEOUT,
+    computeProof,
+    encodePresentation
+} = window.IdentityVerificationSDK;
+
+const ACTIVITY_EVENTS = [
+    'IdentityProofRegistered',
+    'VerificationRequested',
+    'VerificationCompleted',
+    'VerificationCancelled',
+    'VerificationExpired',
+    'VerifierAuthorized',
+    'VerifierRevoked',
+    'ProofExpired',
+    'PolicyUpdated',
+    'ConsentGranted',
+    'ConsentRevoked',
+    'IdentityChecked',
+    'IdentityMigrationProposed',
+    'IdentityMigrationCancelled',
+    'IdentityMigrated',
+    'IdentityRevoked',
+    'RevocationCooldownUpdated',
+    'RegistrationBlockLifted',
+    'CredentialRotated'
+];
+const IDENTITY_CHECK_LABELS = ['verification status', 'score threshold', 'score range'];
+const REVOCATION_REASON_LABELS = {
+    Unspecified: 'no reason given',
+    Fraud: 'fraud',
+    KeyCompromised: 'compromised key',
+    InvalidDocuments: 'invalid documents',
+    UserRequested: 'at your request'
+};
+const ACTIVITY_LOOKBACK_BLOCKS = 50000; // Used when the deployment registry has no deploy block
+const LOG_QUERY_CHUNK_SIZE = 10000;     // Stay under common eth_getLogs range limits
+const MAX_ACTIVITY_ITEMS = 100;
+const REQUESTS_PAGE_SIZE = 10;
+const ROLE_LABELS = { owner: 'Owner', admin: 'Admin', verifier: 'Verifier', auditor: 'Auditor' };
+const WALLET_STORAGE_KEY = 'selectedWallet';   // rdns of the last connected wallet
+const WALLET_DISCOVERY_DELAY_MS = 300;         // Time for late extensions to announce themselves
+const LEGACY_WALLET_RDNS = 'window.ethereum';
+const PENDING_TX_STORAGE_KEY = 'pendingTransactions'; // Sent but unconfirmed, resumed after a reload
+// Outcomes after which a sent transaction can no longer be mined; on other errors (e.g. the RPC
+// being unreachable) it stays stored so the next load checks it again
+const FINAL_TRANSACTION_ERRORS = ['CONTRACT_REVERT', 'TRANSACTION_REPLACED', 'TRANSACTION_DROPPED'];
+const TX_DISMISS_DELAY_MS = 15000;             // Confirmed entries leave the status list after this
+const INDEXER_URL_STORAGE_KEY = 'indexerUrl';
+const DEFAULT_INDEXER_URL = 'http://127.0.0.1:8081';  // scripts/indexer.js default
+const CHART_HEIGHT = 140;
+const OUTCOME_SERIES = [
+    { key: 'approved', label: 'Approved', color: '#10b981' },
+    { key: 'rejected', label: 'Rejected', color: '#ef4444' },
+    { key: 'expired', label: 'Expired', color: '#f59e0b' },
+    { key: 'cancelled', label: 'Cancelled', color: '#94a3b8' }
 ];
+const EXPLORER_URLS = {
+    [Number(SEPOLIA_CHAIN_ID)]: SEPOLIA_NETWORK_CONFIG.blockExplorerUrls[0]
+};
 
 // Global Variables
 let provider;
 let signer;
-let contract;
+let client;
+let selectedWallet = null;                     // { info, provider } from EIP-6963 discovery
+const walletProviders = new Map();             // rdns => { info, provider }
+let contractAddress;
+let contractDeployBlock;
 let userAddress;
+let fhevmInstance;
+let localRpcUrl = null;                        // Set on local chains, where the FHEVM mock replaces the relayer
+let currentChallenge = null;
+let activityEntries = new Map();
+const transactionEntries = new Map();          // entry id => { id, label, state, transaction, element }
+let nextTransactionEntryId = 1;
+const blockTimestamps = new Map();
+let myRequests = [];
+let myRequestsTotal = 0;
+let requestCountdownTimer = null;
+let requestAllowanceTimer = null;
+let presentationTimer = null;
+let pendingRotation = null;                     // Register form values waiting for the user to confirm a rotation
+let userRoles = {};
+let contractOwner = null;
+let contractPolicy = null;
+let dashboardData = null;                      // Last indexer response, kept for CSV export
 
 // Initialize Application
 document.addEventListener('DOMContentLoaded', function() {
@@ -56,13 +121,16 @@ document.addEventListener('DOMContentLoaded', function() {
 
 async function initializeApp() {
     setupEventListeners();
+    document.getElementById('indexerUrl').value = localStorage.getItem(INDEXER_URL_STORAGE_KEY) ?? DEFAULT_INDEXER_URL;
+    discoverWallets();
     await checkWalletConnection();
 }
 
 // Event Listeners Setup
 function setupEventListeners() {
     // Wallet Connection
-    document.getElementById('connectWallet').addEventListener('click', connectWallet);
+    document.getElementById('connectWallet').addEventListener('click', handleConnectClick);
+    document.getElementById('changeWallet').addEventListener('click', () => showWalletPicker(true));
 
     // Tab Navigation
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -71,70 +139,198 @@ function setupEventListeners() {
 
     // Register Identity Form
     document.getElementById('registerForm').addEventListener('submit', handleRegisterIdentity);
+    document.getElementById('confirmRotation').addEventListener('click', handleConfirmRotation);
+    document.getElementById('cancelRotation').addEventListener('click', clearPendingRotation);
 
     // Verification Functions
     document.getElementById('requestVerification').addEventListener('click', handleRequestVerification);
     document.getElementById('proofForm').addEventListener('submit', handleSubmitProof);
+    document.getElementById('proofCredential').addEventListener('input', updateComputedProof);
 
     // Status Functions
     document.getElementById('checkStatus').addEventListener('click', handleCheckStatus);
     document.getElementById('renewProof').addEventListener('click', handleRenewProof);
-    document.getElementById('checkRequestStatus').addEventListener('click', handleCheckRequestStatus);
+    document.getElementById('refreshRequests').addEventListener('click', () => loadMyRequests());
+    document.getElementById('loadMoreRequests').addEventListener('click', () => loadMyRequests(true));
+    document.getElementById('consentForm').addEventListener('submit', handleGrantConsent);
+    document.getElementById('createPresentation').addEventListener('click', handleCreatePresentation);
+    document.getElementById('copyPresentationLink').addEventListener('click', handleCopyPresentationLink);
+    document.getElementById('proposeMigration').addEventListener('click', handleProposeMigration);
+    document.getElementById('cancelMigration').addEventListener('click', handleCancelMigration);
+    document.getElementById('acceptMigration').addEventListener('click', handleAcceptMigration);
 
     // Admin Functions
     document.getElementById('authorizeVerifier').addEventListener('click', handleAuthorizeVerifier);
     document.getElementById('revokeVerifier').addEventListener('click', handleRevokeVerifier);
     document.getElementById('verifyIdentity').addEventListener('click', handleVerifyIdentity);
+    document.getElementById('proposeRecovery').addEventListener('click', handleProposeRecovery);
+    document.getElementById('revokeProof').addEventListener('click', handleRevokeProof);
+    document.getElementById('setCooldown').addEventListener('click', handleSetCooldown);
+    document.getElementById('liftBlock').addEventListener('click', handleLiftBlock);
     document.getElementById('getStats').addEventListener('click', handleGetStats);
+    document.getElementById('grantRole').addEventListener('click', handleGrantRole);
+    document.getElementById('revokeRole').addEventListener('click', handleRevokeRole);
+    document.getElementById('transferOwnership').addEventListener('click', handleTransferOwnership);
+    document.getElementById('acceptOwnership').addEventListener('click', handleAcceptOwnership);
+
+    // Statistics Dashboard
+    document.getElementById('loadDashboard').addEventListener('click', loadDashboard);
+    document.getElementById('exportDailyCsv').addEventListener('click', () => exportCsv('daily-stats.csv', dashboardData.daily));
+    document.getElementById('exportVerifierCsv').addEventListener('click', () => exportCsv('verifier-activity.csv', dashboardData.verifiers));
+
+    // Activity Feed
+    document.getElementById('refreshActivity').addEventListener('click', loadActivity);
 }
 
-// Wallet Functions
-async function checkWalletConnection() {
-    if (typeof window.ethereum !== 'undefined') {
-        try {
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-            if (accounts.length > 0) {
-                await connectWallet();
-            }
-        } catch (error) {
-            console.error('Error checking wallet connection:', error);
+// Wallet Discovery (EIP-6963)
+function discoverWallets() {
+    window.addEventListener('eip6963:announceProvider', (event) => {
+        const { info, provider } = event.detail;
+        walletProviders.set(info.rdns, { info, provider });
+        renderWalletPicker();
+    });
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+function getAvailableWallets() {
+    const wallets = [...walletProviders.values()];
+
+    // Wallets that predate EIP-6963 only inject window.ethereum
+    if (wallets.length === 0 && typeof window.ethereum !== 'undefined') {
+        wallets.push({
+            info: { rdns: LEGACY_WALLET_RDNS, name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet', icon: '' },
+            provider: window.ethereum
+        });
+    }
+    return wallets;
+}
+
+function handleConnectClick() {
+    const wallets = getAvailableWallets();
+
+    if (wallets.length === 0) {
+        showResult('walletInfo', '⚠️ No wallet found. Please install a browser wallet such as MetaMask, Rabby, Coinbase Wallet or Frame.', 'error');
+    } else if (wallets.length === 1) {
+        connectWallet(wallets[0]);
+    } else {
+        showWalletPicker(true);
+    }
+}
+
+function showWalletPicker(show) {
+    renderWalletPicker();
+    document.getElementById('walletPicker').classList.toggle('hidden', !show);
+}
+
+function renderWalletPicker() {
+    const list = document.getElementById('walletList');
+    const lastUsed = localStorage.getItem(WALLET_STORAGE_KEY);
+    list.innerHTML = '';
+
+    getAvailableWallets().forEach(wallet => {
+        const button = document.createElement('button');
+        button.className = 'wallet-option';
+        button.classList.toggle('selected', wallet.provider === selectedWallet?.provider);
+
+        // Announced icons are data URIs; anything else is not loaded
+        if (wallet.info.icon?.startsWith('data:image/')) {
+            const icon = document.createElement('img');
+            icon.src = wallet.info.icon;
+            icon.alt = '';
+            button.appendChild(icon);
+        }
+
+        const name = document.createElement('span');
+        name.textContent = wallet.info.name;
+        button.appendChild(name);
+
+        if (wallet.info.rdns === lastUsed) {
+            const badge = document.createElement('small');
+            badge.textContent = 'Last used';
+            button.appendChild(badge);
         }
+
+        button.addEventListener('click', () => connectWallet(wallet));
+        list.appendChild(button);
+    });
+
+    document.getElementById('changeWallet').classList.toggle('hidden', !selectedWallet || walletProviders.size < 2);
+}
+
+function selectWallet(wallet) {
+    if (selectedWallet?.provider === wallet.provider) return;
+
+    // Only the chosen wallet's events matter; another extension's account changes are not ours
+    if (selectedWallet) {
+        selectedWallet.provider.removeListener('accountsChanged', handleAccountsChanged);
+        selectedWallet.provider.removeListener('chainChanged', handleChainChanged);
     }
+    selectedWallet = wallet;
+    wallet.provider.on('accountsChanged', handleAccountsChanged);
+    wallet.provider.on('chainChanged', handleChainChanged);
 }
 
-async function connectWallet() {
+// Wallet Functions
+async function checkWalletConnection() {
+    // Give extensions that inject late a moment to announce themselves
+    await new Promise(resolve => setTimeout(resolve, WALLET_DISCOVERY_DELAY_MS));
+
+    const wallets = getAvailableWallets();
+    const lastUsed = localStorage.getItem(WALLET_STORAGE_KEY);
+    const wallet = wallets.find(w => w.info.rdns === lastUsed) ?? (wallets.length === 1 ? wallets[0] : null);
+    if (!wallet) return;
+
     try {
-        // 1. Detection: Check window.ethereum (MetaMask provider)
-        if (typeof window.ethereum === 'undefined') {
-            showResult('walletInfo', '⚠️ Please install MetaMask to use this application.', 'error');
-            return;
+        const accounts = await wallet.provider.request({ method: 'eth_accounts' });
+        if (accounts.length > 0) {
+            await connectWallet(wallet);
         }
+    } catch (error) {
+        console.error('Error checking wallet connection:', error);
+    }
+}
 
-        if (!window.ethereum.isMetaMask) {
-            showResult('walletInfo', '⚠️ This application only supports MetaMask wallet.', 'error');
+async function connectWallet(wallet = selectedWallet) {
+    try {
+        // 1. Detection: Use the wallet picked from EIP-6963 discovery
+        if (!wallet) {
+            handleConnectClick();
             return;
         }
 
         showLoading(true);
+        document.getElementById('walletPicker').classList.add('hidden');
+        selectWallet(wallet);
+        const ethereum = wallet.provider;
 
         // 2. Request Access: Use eth_requestAccounts to get user permission
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
+        await ethereum.request({ method: 'eth_requestAccounts' });
 
-        // 3. Network Verification: Check connection to Sepolia testnet
-        const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+        // 3. Network Verification: Check for a chain with a known deployment
+        let currentChainId = await ethereum.request({ method: 'eth_chainId' });
 
-        if (currentChainId !== SEPOLIA_CHAIN_ID) {
+        if (!DEPLOYMENT_NETWORKS[currentChainId]) {
             // 4. Network Switch: Automatically switch/add Sepolia if needed
             await switchToSepolia();
+            currentChainId = SEPOLIA_CHAIN_ID;
         }
 
         // 5. Provider Setup: Create ethers.js v6 BrowserProvider and signer
-        provider = new ethers.BrowserProvider(window.ethereum);
+        provider = new ethers.BrowserProvider(ethereum);
         signer = await provider.getSigner();
         userAddress = await signer.getAddress();
 
-        // 6. Contract Initialization: Create contract instance
-        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+        // 6. Contract Initialization: Load this chain's deployment and create the SDK client
+        const deployment = await loadDeployment(currentChainId);
+        if (client) await client.close();
+        contractAddress = deployment.address;
+        contractDeployBlock = deployment.deployBlock;
+        fhevmInstance = null;
+        localRpcUrl = DEPLOYMENT_NETWORKS[currentChainId] === 'localhost' ? (deployment.rpcUrl ?? LOCAL_RPC_URL) : null;
+        client = new IdentityVerificationClient(contractAddress, signer, {
+            abi: deployment.abi ?? IDENTITY_VERIFICATION_ABI,
+            fhevm: getFhevmInstance
+        });
 
         // 7. State Update: Update React state with account and contract
         updateConnectionStatus(true);
@@ -142,17 +338,40 @@ async function connectWallet() {
 
         // Get network info
         const network = await provider.getNetwork();
-        document.getElementById('networkName').textContent = getNetworkName(network.chainId);
+        const networkName = getNetworkName(network.chainId);
+        document.getElementById('networkName').textContent = networkName;
 
         document.getElementById('walletInfo').classList.remove('hidden');
-        document.getElementById('connectWallet').textContent = 'Connected to MetaMask';
+        document.getElementById('connectWallet').textContent = `Connected to ${wallet.info.name}`;
         document.getElementById('connectWallet').disabled = true;
+        localStorage.setItem(WALLET_STORAGE_KEY, wallet.info.rdns);
+        renderWalletPicker();
 
         // Success Handling: Show success message
-        showResult('walletInfo', '✅ Successfully connected to Sepolia testnet!', 'success');
+        showResult('walletInfo', `✅ Successfully connected to ${networkName}!`, 'success');
+
+        // Get Initial State: Load the verification policy and user's current status
+        await loadPolicy();
+        await loadInitialState(networkName);
+
+        // Request History: List this user's verification requests
+        loadMyRequests();
+
+        // Sharing: List the verifiers this user has granted access to
+        loadConsentGrants();
 
-        // Get Initial State: Load user's current status
-        await loadInitialState();
+        // Migration: Show a proposed move of this user's identity proof
+        loadIdentityMigration();
+
+        // Roles: Show only the admin sections this address can use
+        loadUserRoles();
+
+        // Activity Feed: Backfill history, then follow new events
+        subscribeToActivity();
+        loadActivity();
+
+        // Transactions: Keep watching the ones sent before the last reload
+        resumePendingTransactions(Number(currentChainId));
 
         showLoading(false);
     } catch (error) {
@@ -162,10 +381,25 @@ async function connectWallet() {
     }
 }
 
+async function loadDeployment(chainId) {
+    const networkKey = DEPLOYMENT_NETWORKS[chainId];
+    const response = await fetch(`deployments/${networkKey}.json`, { cache: 'no-cache' });
+
+    if (!response.ok) {
+        throw new Error(`No contract deployment found for ${getNetworkName(chainId)}. Run the deploy script for "${networkKey}" first.`);
+    }
+
+    const deployment = await response.json();
+    if (!ethers.isAddress(deployment.address)) {
+        throw new Error(`deployments/${networkKey}.json does not contain a valid contract address.`);
+    }
+    return deployment;
+}
+
 async function switchToSepolia() {
     try {
         // Try to switch to Sepolia
-        await window.ethereum.request({
+        await selectedWallet.provider.request({
             method: 'wallet_switchEthereumChain',
             params: [{ chainId: SEPOLIA_CHAIN_ID }],
         });
@@ -173,12 +407,12 @@ async function switchToSepolia() {
         // If the chain is not added, add it
         if (switchError.code === 4902) {
             try {
-                await window.ethereum.request({
+                await selectedWallet.provider.request({
                     method: 'wallet_addEthereumChain',
                     params: [SEPOLIA_NETWORK_CONFIG],
                 });
             } catch (addError) {
-                throw new Error('Failed to add Sepolia network to MetaMask');
+                throw new Error(`Failed to add Sepolia network to ${selectedWallet.info.name}`);
             }
         } else {
             throw new Error('Failed to switch to Sepolia network');
@@ -186,12 +420,12 @@ async function switchToSepolia() {
     }
 }
 
-async function loadInitialState() {
+async function loadInitialState(networkName) {
     try {
-        if (!contract || !userAddress) return;
+        if (!client || !userAddress) return;
 
         // Check user's identity status
-        const status = await contract.getIdentityStatus(userAddress);
+        const status = await client.getIdentityStatus(userAddress);
 
         if (status.isActive) {
             // Update status tab with current information
@@ -200,9 +434,11 @@ async function loadInitialState() {
             document.getElementById('registrationTime').textContent = formatTimestamp(status.timestamp);
             document.getElementById('expiryTime').textContent = formatTimestamp(status.expiryTime);
 
-            showResult('walletInfo', '✅ Connected to Sepolia! Identity proof found.', 'success');
+            showResult('walletInfo', `✅ Connected to ${networkName}! Identity proof found.`, 'success');
+        } else if (await client.getRevocation(userAddress)) {
+            showResult('walletInfo', `✅ Connected to ${networkName}. Your identity proof was revoked; see the Status tab for details.`, 'error');
         } else {
-            showResult('walletInfo', '✅ Connected to Sepolia! Ready to register identity.', 'info');
+            showResult('walletInfo', `✅ Connected to ${networkName}! Ready to register identity.`, 'info');
         }
     } catch (error) {
         console.error('Error loading initial state:', error);
@@ -228,6 +464,7 @@ function getNetworkName(chainId) {
         1n: 'Ethereum Mainnet',
         11155111n: 'Sepolia Testnet',
         8009n: 'Zama Devnet',
+        31337n: 'Localhost',
         1337n: 'Localhost'
     };
     return networks[BigInt(chainId)] || `Chain ID: ${chainId}`;
@@ -248,122 +485,282 @@ function switchTab(tabName) {
     document.getElementById(tabName).classList.add('active');
 }
 
+async function loadPolicy() {
+    try {
+        contractPolicy = await client.getPolicy();
+
+        const minScore = contractPolicy.minIdentityScore;
+        document.getElementById('score').min = minScore;
+        document.getElementById('scoreHint').textContent = `Your identity verification score (minimum ${minScore})`;
+    } catch (error) {
+        console.error('Error loading policy:', error);
+        contractPolicy = null;
+    }
+}
+
 // Identity Registration
 async function handleRegisterIdentity(e) {
     e.preventDefault();
 
-    if (!contract) {
+    if (!client) {
         showResult('registerResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
-    const credential = parseInt(document.getElementById('credential').value);
+    const credentialValue = document.getElementById('credential').value.trim();
+    const credential = parseInt(credentialValue);
     const score = parseInt(document.getElementById('score').value);
+    const usePlaintext = document.getElementById('plaintextDemo').checked;
 
-    if (score < 75) {
-        showResult('registerResult', 'Identity score must be at least 75.', 'error');
+    // An encrypted registration with an invalid credential succeeds but can never be verified
+    if (!/^\d+$/.test(credentialValue) || !isValidCredential(BigInt(credentialValue))) {
+        showResult('registerResult', 'The credential must be a whole number from 1 to 4294967295.', 'error');
         return;
     }
 
-    try {
-        showLoading(true);
+    if (!contractPolicy) {
+        showResult('registerResult', 'The verification policy could not be loaded. Please reconnect your wallet.', 'error');
+        return;
+    }
+
+    const minScore = contractPolicy.minIdentityScore;
+    if (!(score >= minScore)) {
+        showResult('registerResult', `Identity score must be at least ${minScore}.`, 'error');
+        return;
+    }
 
-        const tx = await contract.registerIdentityProof(credential, score);
-        showResult('registerResult', `Transaction submitted: ${tx.hash}`, 'info');
+    const registration = {
+        credential,
+        score,
+        usePlaintext,
+        remember: document.getElementById('rememberCredential').checked
+    };
 
-        await tx.wait();
-        showResult('registerResult', 'Identity proof registered successfully!', 'success');
+    // Registering over an active proof is refused by the contract; offer to rotate it instead
+    try {
+        const status = await client.getIdentityStatus(userAddress);
+        if (status.isActive && Number(status.expiryTime) > Date.now() / 1000) {
+            showRotationConfirm(registration, status);
+            return;
+        }
+    } catch (error) {
+        console.error('Identity status error:', error);
+    }
 
-        // Reset form
-        document.getElementById('registerForm').reset();
+    try {
+        // Demo only: the plaintext path makes credential and score readable in the transaction calldata
+        if (usePlaintext) {
+            await runTransaction('Register identity (plaintext demo)', c => c.registerIdentityPlaintext(credential, score));
+        } else {
+            await runTransaction('Register identity', c => c.registerIdentity(credential, score));
+        }
+        // The contract only enforces the minimum on plaintext input; an encrypted ineligible proof is stored silently
+        const eligibilityNote = usePlaintext ? '' :
+            `<br>The contract cannot check encrypted values: a score below ${minScore} stores a proof that never passes verification. ` +
+            'If verification keeps failing, register again to rotate your credential.';
+        showResult('registerResult', `Identity proof registered successfully!${eligibilityNote}`, 'success');
+        finishRegistration(registration);
 
     } catch (error) {
         console.error('Registration error:', error);
         showResult('registerResult', `Registration failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
     }
 }
 
+function showRotationConfirm(registration, status) {
+    pendingRotation = registration;
+    const verified = status.isVerified ? 'a verified' : 'an unverified';
+    document.getElementById('rotationConfirmText').textContent =
+        `You already have ${verified} identity proof, valid until ${formatTimestamp(status.expiryTime)}. ` +
+        'Rotating replaces its credential and score and starts a new validity period. ' +
+        'Your identity becomes unverified until you complete a verification with the new credential.';
+    document.getElementById('rotationConfirm').classList.remove('hidden');
+    document.getElementById('registerResult').classList.add('hidden');
+}
+
+function clearPendingRotation() {
+    pendingRotation = null;
+    document.getElementById('rotationConfirm').classList.add('hidden');
+}
+
+async function handleConfirmRotation() {
+    if (!client || !pendingRotation) return;
+
+    const registration = pendingRotation;
+    const { credential, score } = registration;
+    clearPendingRotation();
+
+    try {
+        const result = registration.usePlaintext
+            ? await runTransaction('Rotate credential (plaintext demo)', c => c.rotateCredentialPlaintext(credential, score))
+            : await runTransaction('Rotate credential', c => c.rotateCredential(credential, score));
+        const rotated = result.events.find(event => event.name === 'CredentialRotated');
+        showResult('registerResult', `Credential rotated to version ${rotated.args.version}. Request a verification to verify your identity again.`, 'success');
+        finishRegistration(registration);
+
+    } catch (error) {
+        console.error('Rotation error:', error);
+        showResult('registerResult', `Rotation failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+function finishRegistration({ credential, remember }) {
+    if (remember) {
+        storeCredential(credential);
+    } else {
+        clearStoredCredential();
+    }
+
+    // Reset form
+    document.getElementById('registerForm').reset();
+}
+
+// FHE Encryption
+async function getFhevmInstance() {
+    if (fhevmInstance) return fhevmInstance;
+
+    // Local node (npm run dev): the FHEVM mock answers relayer requests over the node's RPC
+    if (localRpcUrl) {
+        fhevmInstance = await window.LocalFhevm.createLocalFhevmInstance(localRpcUrl);
+        return fhevmInstance;
+    }
+
+    if (typeof window.relayerSDK === 'undefined') {
+        throw new Error('Zama relayer SDK failed to load. Enable the plaintext demo mode or reload the page.');
+    }
+
+    const { initSDK, createInstance, SepoliaConfig } = window.relayerSDK;
+    await initSDK();
+    fhevmInstance = await createInstance({ ...SepoliaConfig, network: selectedWallet.provider });
+    return fhevmInstance;
+}
+
 // Verification Request
 async function handleRequestVerification() {
-    if (!contract) {
+    if (!client) {
         showResult('verificationResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
+        const { requestId } = await runTransaction('Request verification', c => c.requestVerification());
 
-        const tx = await contract.requestVerification();
-        showResult('verificationResult', `Transaction submitted: ${tx.hash}`, 'info');
+        document.getElementById('requestId').value = requestId;
+        document.getElementById('proofCredential').value = loadStoredCredential() ?? '';
+        document.getElementById('challengeSection').classList.remove('hidden');
+        showResult('verificationResult', `Verification requested! Request ID: ${requestId}. Decrypting your challenge...`, 'info');
 
-        const receipt = await tx.wait();
+        loadMyRequests();
+        await prepareProof(requestId);
 
-        // Extract request ID from events (ethers v6 syntax)
-        const event = receipt.logs?.find(log => {
-            try {
-                const parsed = contract.interface.parseLog(log);
-                return parsed.name === 'VerificationRequested';
-            } catch (e) {
-                return false;
-            }
-        });
+    } catch (error) {
+        console.error('Verification request error:', error);
+        showResult('verificationResult', `Request failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+// Challenge Decryption & Proof Computation
+async function prepareProof(requestId) {
+    try {
+        currentChallenge = await client.decryptChallenge(requestId);
+        updateComputedProof();
 
-        if (event) {
-            const parsed = contract.interface.parseLog(event);
-            const requestId = parsed.args.requestId.toString();
-            document.getElementById('requestId').value = requestId;
-            document.getElementById('challengeSection').classList.remove('hidden');
-            showResult('verificationResult', `Verification requested! Request ID: ${requestId}`, 'success');
+        if (document.getElementById('proofData').value) {
+            showResult('verificationResult', `Request ID: ${requestId}. Challenge decrypted and proof computed. Submit it before the challenge expires.`, 'success');
         } else {
-            showResult('verificationResult', 'Verification requested successfully!', 'success');
+            showResult('verificationResult', `Request ID: ${requestId}. Challenge decrypted. Enter your credential to compute the proof.`, 'info');
         }
-
     } catch (error) {
-        console.error('Verification request error:', error);
-        showResult('verificationResult', `Request failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Challenge decryption error:', error);
+        showResult('verificationResult', `Challenge decryption failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+function updateComputedProof() {
+    const credentialValue = document.getElementById('proofCredential').value.trim();
+    const proofInput = document.getElementById('proofData');
+
+    // Runs on every keystroke, so partial input such as "-" or "12a" just clears the proof
+    const credential = /^\d+$/.test(credentialValue) ? BigInt(credentialValue) : null;
+    if (currentChallenge === null || credential === null || !isValidCredential(credential)) {
+        proofInput.value = '';
+        return;
     }
+
+    proofInput.value = computeProof(currentChallenge, credential).toString();
+}
+
+// Credentials are uint32 values above zero, as the register form accepts them
+function isValidCredential(credential) {
+    return credential > 0n && credential <= 4294967295n;
+}
+
+// Form value as a uint32, or null when it is not a whole number in range
+function parseUint32(value) {
+    const trimmed = value.trim();
+    if (!/^\d+$/.test(trimmed)) return null;
+    const number = Number(trimmed);
+    return number <= 4294967295 ? number : null;
+}
+
+function credentialStorageKey() {
+    return `identityCredential:${contractAddress}:${userAddress}`.toLowerCase();
+}
+
+function storeCredential(credential) {
+    localStorage.setItem(credentialStorageKey(), credential.toString());
+}
+
+function loadStoredCredential() {
+    return localStorage.getItem(credentialStorageKey());
+}
+
+function clearStoredCredential() {
+    localStorage.removeItem(credentialStorageKey());
 }
 
 // Submit Proof
 async function handleSubmitProof(e) {
     e.preventDefault();
 
-    if (!contract) {
+    if (!client) {
         showResult('verificationResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
-    const requestId = parseInt(document.getElementById('requestId').value);
-    const proofData = parseInt(document.getElementById('proofData').value);
-
-    try {
-        showLoading(true);
+    const requestId = parseUint32(document.getElementById('requestId').value);
+    const proofData = parseUint32(document.getElementById('proofData').value);
 
-        const tx = await contract.submitVerificationProof(requestId, proofData);
-        showResult('verificationResult', `Proof submitted: ${tx.hash}`, 'info');
+    if (requestId === null || requestId === 0) {
+        showResult('verificationResult', 'Enter the ID of the request the proof answers.', 'error');
+        return;
+    }
+    if (proofData === null) {
+        showResult('verificationResult', 'The proof must be a whole number from 0 to 4294967295. Enter your credential to compute it.', 'error');
+        return;
+    }
 
-        await tx.wait();
+    try {
+        await runTransaction(`Submit proof for request #${requestId}`, c => c.submitProof(requestId, proofData));
         showResult('verificationResult', 'Verification proof submitted successfully!', 'success');
 
         // Hide challenge section and reset form
         document.getElementById('challengeSection').classList.add('hidden');
         document.getElementById('proofForm').reset();
+        currentChallenge = null;
+
+        // The request now awaits the oracle, so its row loses the submit and cancel buttons
+        await loadMyRequests();
 
     } catch (error) {
         console.error('Proof submission error:', error);
         showResult('verificationResult', `Submission failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
     }
 }
 
 // Check Status
 async function handleCheckStatus() {
-    if (!contract || !userAddress) {
+    if (!client || !userAddress) {
         showResult('statusResult', 'Please connect your wallet first.', 'error');
         return;
     }
@@ -371,14 +768,7 @@ async function handleCheckStatus() {
     try {
         showLoading(true);
 
-        const status = await contract.getIdentityStatus(userAddress);
-
-        document.getElementById('isActive').textContent = status.isActive ? '✅ Yes' : '❌ No';
-        document.getElementById('isVerified').textContent = status.isVerified ? '✅ Verified' : '❌ Not Verified';
-        document.getElementById('registrationTime').textContent = formatTimestamp(status.timestamp);
-        document.getElementById('expiryTime').textContent = formatTimestamp(status.expiryTime);
-
-        document.getElementById('statusDetails').classList.remove('hidden');
+        await refreshIdentityStatus();
         showResult('statusResult', 'Status retrieved successfully!', 'success');
 
     } catch (error) {
@@ -389,20 +779,44 @@ async function handleCheckStatus() {
     }
 }
 
+async function refreshIdentityStatus() {
+    const [status, revocation] = await Promise.all([
+        client.getIdentityStatus(userAddress),
+        client.getRevocation(userAddress)
+    ]);
+
+    document.getElementById('isActive').textContent = status.isActive ? '✅ Yes' : '❌ No';
+    document.getElementById('isVerified').textContent = status.isVerified ? '✅ Verified' : '❌ Not Verified';
+    document.getElementById('registrationTime').textContent = formatTimestamp(status.timestamp);
+    document.getElementById('expiryTime').textContent = formatTimestamp(status.expiryTime);
+
+    const revocationInfo = document.getElementById('revocationInfo');
+    revocationInfo.classList.toggle('hidden', !revocation);
+    if (revocation) revocationInfo.textContent = describeRevocation(revocation);
+
+    document.getElementById('statusDetails').classList.remove('hidden');
+}
+
+function describeRevocation({ verifier, revokedAt, blockedUntil, reason }) {
+    let registration = 'You can register again now.';
+    if (blockedUntil === PERMANENT_BLOCK) {
+        registration = 'You cannot register again unless an admin lifts the block.';
+    } else if (Number(blockedUntil) > Date.now() / 1000) {
+        registration = `You can register again from ${formatTimestamp(blockedUntil)}.`;
+    }
+    return `🚫 Your identity proof was revoked on ${formatTimestamp(revokedAt)} by verifier ${shortenAddress(verifier)} ` +
+        `(${REVOCATION_REASON_LABELS[reason]}). ${registration}`;
+}
+
 // Renew Proof
 async function handleRenewProof() {
-    if (!contract) {
+    if (!client) {
         showResult('statusResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
-
-        const tx = await contract.renewIdentityProof();
-        showResult('statusResult', `Transaction submitted: ${tx.hash}`, 'info');
-
-        await tx.wait();
+        await runTransaction('Renew identity proof', c => c.renewIdentityProof());
         showResult('statusResult', 'Identity proof renewed successfully!', 'success');
 
         // Refresh status
@@ -411,189 +825,1451 @@ async function handleRenewProof() {
     } catch (error) {
         console.error('Renewal error:', error);
         showResult('statusResult', `Renewal failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
     }
 }
 
-// Check Request Status
-async function handleCheckRequestStatus() {
-    if (!contract) {
-        showResult('requestStatusResult', 'Please connect your wallet first.', 'error');
-        return;
-    }
-
-    const requestId = parseInt(document.getElementById('requestIdCheck').value);
-    if (!requestId) {
-        showResult('requestStatusResult', 'Please enter a request ID.', 'error');
+// Presentations
+// Signed off-chain and checked on verify.html, which reads the holder's status without a wallet
+async function handleCreatePresentation() {
+    if (!client) {
+        showResult('presentationResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
+        const status = await client.getIdentityStatus(userAddress);
+        if (!status.isActive || !status.isVerified) {
+            showResult('presentationResult', 'Only verified identities can be presented. Complete a verification first.', 'error');
+            return;
+        }
 
-        const requestInfo = await contract.getVerificationRequestInfo(requestId);
+        const ttlSeconds = Number(document.getElementById('presentationTtl').value);
+        showResult('presentationResult', '✍️ Sign the presentation in your wallet. It costs no gas.', 'info');
+        const presentation = await client.createPresentation({ ttlSeconds });
 
-        let statusText = `
-            <strong>Requester:</strong> ${requestInfo.requester}<br>
-            <strong>Completed:</strong> ${requestInfo.isCompleted ? 'Yes' : 'No'}<br>
-            <strong>Approved:</strong> ${requestInfo.isApproved ? 'Yes' : 'No'}<br>
-            <strong>Request Time:</strong> ${formatTimestamp(requestInfo.requestTime)}<br>
-            <strong>Challenge Expiry:</strong> ${formatTimestamp(requestInfo.challengeExpiryTime)}
-        `;
+        const link = new URL('verify.html', window.location.href);
+        link.hash = `p=${encodePresentation(presentation)}`;
+        const qr = qrcode(0, 'L');
+        qr.addData(link.href);
+        qr.make();
 
-        showResult('requestStatusResult', statusText, 'info');
+        document.getElementById('presentationQr').innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+        document.getElementById('presentationLink').value = link.href;
+        document.getElementById('presentationOutput').classList.remove('hidden');
+        document.getElementById('presentationResult').classList.add('hidden');
 
+        clearInterval(presentationTimer);
+        presentationTimer = setInterval(() => updatePresentationExpiry(presentation.expiresAt), 1000);
+        updatePresentationExpiry(presentation.expiresAt);
     } catch (error) {
-        console.error('Request status error:', error);
-        showResult('requestStatusResult', `Request status check failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Presentation error:', error);
+        showResult('presentationResult', `Creating the presentation failed: ${getErrorMessage(error)}`, 'error');
     }
 }
 
-// Admin Functions
-async function handleAuthorizeVerifier() {
-    if (!contract) {
-        showResult('adminResult', 'Please connect your wallet first.', 'error');
+function updatePresentationExpiry(expiresAt) {
+    const remaining = expiresAt - Math.floor(Date.now() / 1000);
+    if (remaining > 0) {
+        document.getElementById('presentationExpiry').textContent = `Valid for ${formatCountdown(remaining)}. Anyone holding the code or link can check it until then.`;
         return;
     }
+    clearPresentation();
+    showResult('presentationResult', 'Your presentation expired. Create a new one when you need it.', 'info');
+}
 
-    const verifierAddress = document.getElementById('verifierAddress').value;
-    if (!ethers.isAddress(verifierAddress)) {
-        showResult('adminResult', 'Please enter a valid address.', 'error');
-        return;
-    }
+function clearPresentation() {
+    clearInterval(presentationTimer);
+    presentationTimer = null;
+    document.getElementById('presentationOutput').classList.add('hidden');
+    document.getElementById('presentationQr').innerHTML = '';
+    document.getElementById('presentationLink').value = '';
+}
 
+async function handleCopyPresentationLink() {
+    const link = document.getElementById('presentationLink').value;
     try {
-        showLoading(true);
-
-        const tx = await contract.authorizeVerifier(verifierAddress);
-        showResult('adminResult', `Transaction submitted: ${tx.hash}`, 'info');
-
-        await tx.wait();
-        showResult('adminResult', 'Verifier authorized successfully!', 'success');
+        await navigator.clipboard.writeText(link);
+        showResult('presentationResult', 'Link copied.', 'success');
+    } catch (error) {
+        document.getElementById('presentationLink').select();
+        showResult('presentationResult', 'Copying is blocked here. The link is selected; copy it manually.', 'info');
+    }
+}
 
-        document.getElementById('verifierAddress').value = '';
+// Identity Migration
+// The old address proposes and the new one accepts; a verifier may propose for a lost key
+async function loadIdentityMigration() {
+    if (!client || !userAddress) return;
 
+    try {
+        const migration = await client.getIdentityMigration(userAddress);
+        const pending = document.getElementById('migrationPending');
+        pending.classList.toggle('hidden', !migration);
+        if (!migration) return;
+
+        const readyAt = Number(migration.executableAt) <= Date.now() / 1000 ? 'now' : `from ${formatTimestamp(migration.executableAt)}`;
+        const text = migration.proposedBy === userAddress
+            ? `Your identity proof is offered to ${shortenAddress(migration.newAddress)}, which can accept it ${readyAt}.`
+            : `⚠️ Verifier ${shortenAddress(migration.proposedBy)} started recovering your identity proof to ${shortenAddress(migration.newAddress)}, which can accept it ${readyAt}. Cancel it if you did not ask for this.`;
+        document.getElementById('migrationPendingText').textContent = text;
     } catch (error) {
-        console.error('Authorization error:', error);
-        showResult('adminResult', `Authorization failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Migration load error:', error);
+        showResult('migrationResult', `Failed to load your pending move: ${getErrorMessage(error)}`, 'error');
     }
 }
 
-async function handleRevokeVerifier() {
-    if (!contract) {
-        showResult('adminResult', 'Please connect your wallet first.', 'error');
+async function handleProposeMigration() {
+    if (!client) {
+        showResult('migrationResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
-    const revokeAddress = document.getElementById('revokeAddress').value;
-    if (!ethers.isAddress(revokeAddress)) {
-        showResult('adminResult', 'Please enter a valid address.', 'error');
+    const newAddress = document.getElementById('migrationNewAddress').value;
+    if (!ethers.isAddress(newAddress)) {
+        showResult('migrationResult', 'Please enter a valid address.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
+        await runTransaction(`Offer identity to ${shortenAddress(newAddress)}`, c => c.proposeIdentityMigration(newAddress));
+        showResult('migrationResult', `Switch your wallet to ${shortenAddress(newAddress)} and accept the move from ${shortenAddress(userAddress)}.`, 'success');
 
-        const tx = await contract.revokeVerifier(revokeAddress);
-        showResult('adminResult', `Transaction submitted: ${tx.hash}`, 'info');
+        document.getElementById('migrationNewAddress').value = '';
+        await loadIdentityMigration();
 
-        await tx.wait();
-        showResult('adminResult', 'Verifier revoked successfully!', 'success');
+    } catch (error) {
+        console.error('Migration proposal error:', error);
+        showResult('migrationResult', `Proposing the move failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
 
-        document.getElementById('revokeAddress').value = '';
+async function handleCancelMigration() {
+    try {
+        await runTransaction('Cancel identity move', c => c.cancelIdentityMigration(userAddress));
+        showResult('migrationResult', 'The move was cancelled.', 'success');
+
+        await loadIdentityMigration();
 
     } catch (error) {
-        console.error('Revocation error:', error);
-        showResult('adminResult', `Revocation failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Migration cancel error:', error);
+        showResult('migrationResult', `Cancelling failed: ${getErrorMessage(error)}`, 'error');
     }
 }
 
-async function handleVerifyIdentity() {
-    if (!contract) {
-        showResult('adminResult', 'Please connect your wallet first.', 'error');
+async function handleAcceptMigration() {
+    if (!client) {
+        showResult('migrationResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
-    const userAddr = document.getElementById('verifyUserAddress').value;
-    if (!ethers.isAddress(userAddr)) {
-        showResult('adminResult', 'Please enter a valid address.', 'error');
+    const oldAddress = document.getElementById('migrationOldAddress').value;
+    if (!ethers.isAddress(oldAddress)) {
+        showResult('migrationResult', 'Please enter a valid address.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
-
-        const isVerified = await contract.verifyIdentityAnonymously(userAddr);
-        showResult('adminResult', `Identity verification result: ${isVerified ? 'VERIFIED ✅' : 'NOT VERIFIED ❌'}`, isVerified ? 'success' : 'error');
+        await runTransaction(`Accept identity from ${shortenAddress(oldAddress)}`, c => c.acceptIdentityMigration(oldAddress));
+        showResult('migrationResult', `The identity proof of ${shortenAddress(oldAddress)} now belongs to this address.`, 'success');
 
-        document.getElementById('verifyUserAddress').value = '';
+        document.getElementById('migrationOldAddress').value = '';
+        await refreshIdentityStatus();
+        await loadMyRequests();
 
     } catch (error) {
-        console.error('Verification error:', error);
-        showResult('adminResult', `Verification failed: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Migration accept error:', error);
+        showResult('migrationResult', `Accepting the move failed: ${getErrorMessage(error)}`, 'error');
     }
 }
 
-async function handleGetStats() {
-    if (!contract) {
-        showResult('statsResult', 'Please connect your wallet first.', 'error');
+// My Verification Requests
+async function loadMyRequests(append = false) {
+    if (!client || !userAddress) {
+        showResult('requestStatusResult', 'Please connect your wallet first.', 'error');
         return;
     }
 
     try {
-        showLoading(true);
-
-        const stats = await contract.getContractStats();
-
-        let statsText = `
-            <strong>Total Verifications:</strong> ${stats.totalVerificationsCount.toString()}<br>
-            <strong>Active Requests:</strong> ${stats.activeRequests.toString()}<br>
-            <strong>Current Timestamp:</strong> ${formatTimestamp(stats.currentTime)}
-        `;
-
-        showResult('statsResult', statsText, 'info');
-
+        const { total } = await client.getUserRequests(userAddress, 0, 0);
+
+        // Newest first: fetch the page that ends just before what is already shown
+        const alreadyLoaded = append ? myRequests.length : 0;
+        const end = Math.max(0, total - alreadyLoaded);
+        const offset = Math.max(0, end - REQUESTS_PAGE_SIZE);
+        const { requestIds } = await client.getUserRequests(userAddress, offset, end - offset);
+
+        const rows = await Promise.all([...requestIds].reverse().map(async (requestId) => ({
+            requestId,
+            info: await client.getVerificationRequest(requestId)
+        })));
+
+        myRequests = append ? [...myRequests, ...rows] : rows;
+        myRequestsTotal = total;
+        renderMyRequests();
+        await loadRequestAllowance();
     } catch (error) {
-        console.error('Stats error:', error);
-        showResult('statsResult', `Failed to get stats: ${getErrorMessage(error)}`, 'error');
-    } finally {
-        showLoading(false);
+        console.error('Request list error:', error);
+        showResult('requestStatusResult', `Failed to load your requests: ${getErrorMessage(error)}`, 'error');
     }
 }
 
-// Utility Functions
-function showResult(elementId, message, type) {
-    const element = document.getElementById(elementId);
-    element.innerHTML = message;
-    element.className = `result ${type}`;
-    element.classList.remove('hidden');
+function renderMyRequests() {
+    const table = document.getElementById('requestTable');
+    const body = document.getElementById('requestTableBody');
+    body.innerHTML = '';
 
-    // Auto-hide after 10 seconds for success messages
-    if (type === 'success') {
-        setTimeout(() => {
-            element.classList.add('hidden');
-        }, 10000);
+    if (myRequests.length === 0) {
+        table.classList.add('hidden');
+        showResult('requestStatusResult', 'You have no verification requests yet.', 'info');
+    } else {
+        table.classList.remove('hidden');
+        document.getElementById('requestStatusResult').classList.add('hidden');
     }
-}
 
-function showLoading(show) {
-    const overlay = document.getElementById('loadingOverlay');
-    if (show) {
-        overlay.classList.remove('hidden');
-    } else {
+    myRequests.forEach(({ requestId, info }) => {
+        const state = getRequestState(info);
+        const row = document.createElement('tr');
+
+        const idCell = document.createElement('td');
+        idCell.textContent = `#${requestId}`;
+
+        const timeCell = document.createElement('td');
+        timeCell.textContent = formatTimestamp(info.requestTime);
+
+        const stateCell = document.createElement('td');
+        const stateLabel = state === 'Submitted' ? 'Awaiting oracle' : state;
+        stateCell.innerHTML = `<span class="request-state request-state-${state.toLowerCase()}">${stateLabel}</span>`;
+
+        const expiryCell = document.createElement('td');
+        if (state === 'Pending') {
+            expiryCell.dataset.expiry = info.challengeExpiryTime.toString();
+            expiryCell.className = 'request-countdown';
+        } else {
+            expiryCell.textContent = '—';
+        }
+
+        const actionCell = document.createElement('td');
+        if (state === 'Pending') {
+            actionCell.append(
+                createRequestButton('Submit Proof', 'btn-success', () => startProofForRequest(requestId)),
+                createRequestButton('Cancel', 'btn-secondary', () => handleCloseRequest(requestId, 'cancel'))
+            );
+        } else if (state === 'Expired' && REQUEST_STATUSES[info.status] !== 'Expired') {
+            // Still open on-chain: closing it frees the slot in the contract's active request count
+            actionCell.appendChild(createRequestButton('Close', 'btn-secondary', () => handleCloseRequest(requestId, 'expire')));
+        }
+
+        row.append(idCell, timeCell, stateCell, expiryCell, actionCell);
+        body.appendChild(row);
+    });
+
+    document.getElementById('loadMoreRequests').classList.toggle('hidden', myRequests.length >= myRequestsTotal);
+
+    clearInterval(requestCountdownTimer);
+    requestCountdownTimer = setInterval(updateRequestCountdowns, 1000);
+    updateRequestCountdowns();
+}
+
+function createRequestButton(label, style, onClick) {
+    const button = document.createElement('button');
+    button.className = `btn ${style} btn-small`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Submitted requests keep waiting for the oracle's verdict for ORACLE_TIMEOUT after their challenge expires
+function getRequestState(info) {
+    const status = REQUEST_STATUSES[info.status];
+    if (status !== 'Pending' && status !== 'Submitted') return status;
+
+    const grace = status === 'Submitted' ? ORACLE_TIMEOUT : 0;
+    if (Number(info.challengeExpiryTime) + grace <= Date.now() / 1000) return 'Expired';
+    return status;
+}
+
+async function handleCloseRequest(requestId, action) {
+    try {
+        if (action === 'cancel') {
+            await runTransaction(`Cancel request #${requestId}`, c => c.cancelRequest(requestId));
+            showResult('requestStatusResult', `Request #${requestId} cancelled.`, 'success');
+        } else {
+            await runTransaction(`Close expired request #${requestId}`, c => c.expireRequest(requestId));
+            showResult('requestStatusResult', `Expired request #${requestId} closed.`, 'success');
+        }
+
+        await loadMyRequests();
+
+    } catch (error) {
+        console.error('Close request error:', error);
+        showResult('requestStatusResult', `Failed to close request #${requestId}: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function loadRequestAllowance() {
+    const { remaining, nextRequestTime } = await client.getRequestAllowance(userAddress);
+    const policy = contractPolicy ?? await client.getPolicy();
+    const windowText = formatDuration(policy.requestWindow);
+    const element = document.getElementById('requestAllowance');
+
+    clearTimeout(requestAllowanceTimer);
+    if (remaining > 0) {
+        element.textContent = `Attempts remaining: ${remaining} of ${policy.maxRequestsPerUser} in any ${windowText}.`;
+    } else {
+        element.textContent = `No attempts left. Your next attempt opens ${formatTimestamp(nextRequestTime)}.`;
+        // Refresh once the oldest attempt leaves the window
+        const delay = Number(nextRequestTime) * 1000 - Date.now();
+        requestAllowanceTimer = setTimeout(() => loadRequestAllowance().catch(console.error), Math.max(delay, 0) + 1000);
+    }
+
+    element.classList.remove('hidden');
+    document.getElementById('requestVerification').disabled = remaining === 0;
+}
+
+function updateRequestCountdowns() {
+    const cells = document.querySelectorAll('#requestTableBody [data-expiry]');
+    if (cells.length === 0) {
+        clearInterval(requestCountdownTimer);
+        return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let anyExpired = false;
+
+    cells.forEach(cell => {
+        const remaining = Number(cell.dataset.expiry) - now;
+        if (remaining <= 0) {
+            anyExpired = true;
+        } else {
+            cell.textContent = formatCountdown(remaining);
+        }
+    });
+
+    // Re-render so expired rows lose their submit button
+    if (anyExpired) renderMyRequests();
+}
+
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    const pad = (value) => value.toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${pad(minutes)}:${pad(secs)}`;
+}
+
+async function startProofForRequest(requestId) {
+    switchTab('verify');
+
+    document.getElementById('requestId').value = requestId.toString();
+    document.getElementById('proofCredential').value = loadStoredCredential() ?? '';
+    document.getElementById('proofData').value = '';
+    document.getElementById('challengeSection').classList.remove('hidden');
+    currentChallenge = null;
+
+    showResult('verificationResult', `Request ID: ${requestId}. Decrypting your challenge...`, 'info');
+    await prepareProof(requestId);
+}
+
+// Sharing (Consent Grants)
+async function loadConsentGrants() {
+    if (!client || !userAddress) {
+        showResult('consentResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    try {
+        renderConsentGrants(await client.getConsentGrants(userAddress));
+    } catch (error) {
+        console.error('Consent list error:', error);
+        showResult('consentResult', `Failed to load your grants: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+function renderConsentGrants(grants) {
+    const table = document.getElementById('consentTable');
+    const body = document.getElementById('consentTableBody');
+    body.innerHTML = '';
+    table.classList.toggle('hidden', grants.length === 0);
+
+    grants.forEach(grant => {
+        const { verifier } = grant;
+        const state = getConsentState(grant);
+        const row = document.createElement('tr');
+
+        const verifierCell = document.createElement('td');
+        verifierCell.textContent = shortenAddress(verifier);
+        verifierCell.title = verifier;
+
+        const expiryCell = document.createElement('td');
+        expiryCell.textContent = grant.expiresAt === 0n ? 'Never' : formatTimestamp(grant.expiresAt);
+
+        const usesCell = document.createElement('td');
+        usesCell.textContent = grant.maxUses === 0 ? `${grant.useCount} (unlimited)` : `${grant.useCount} / ${grant.maxUses}`;
+
+        const stateCell = document.createElement('td');
+        const stateClass = state === 'Active' ? 'approved' : 'expired';
+        stateCell.innerHTML = `<span class="request-state request-state-${stateClass}">${state}</span>`;
+
+        const actionCell = document.createElement('td');
+        const button = document.createElement('button');
+        button.className = 'btn btn-danger btn-small';
+        button.textContent = 'Revoke';
+        button.addEventListener('click', () => handleRevokeConsent(verifier));
+        actionCell.appendChild(button);
+
+        row.append(verifierCell, expiryCell, usesCell, stateCell, actionCell);
+        body.appendChild(row);
+    });
+
+    if (grants.length === 0) {
+        showResult('consentResult', 'No verifier can check your identity right now.', 'info');
+    }
+}
+
+function getConsentState(grant) {
+    if (grant.expiresAt !== 0n && Number(grant.expiresAt) <= Date.now() / 1000) return 'Expired';
+    if (grant.maxUses !== 0 && grant.useCount >= grant.maxUses) return 'Used Up';
+    return 'Active';
+}
+
+async function handleGrantConsent(e) {
+    e.preventDefault();
+
+    if (!client) {
+        showResult('consentResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const verifier = document.getElementById('consentVerifier').value;
+    if (!ethers.isAddress(verifier)) {
+        showResult('consentResult', 'Please enter a valid verifier address.', 'error');
+        return;
+    }
+
+    const expiryValue = document.getElementById('consentExpiry').value;
+    const expiresAt = expiryValue ? Math.floor(new Date(expiryValue).getTime() / 1000) : 0;
+    if (expiresAt !== 0 && expiresAt <= Date.now() / 1000) {
+        showResult('consentResult', 'The expiry must be in the future.', 'error');
+        return;
+    }
+
+    const maxUses = parseInt(document.getElementById('consentMaxUses').value) || 0;
+
+    try {
+        await runTransaction(`Grant access to ${shortenAddress(verifier)}`, c => c.grantConsent(verifier, { expiresAt, maxUses }));
+        showResult('consentResult', `Access granted to ${shortenAddress(verifier)}.`, 'success');
+
+        document.getElementById('consentForm').reset();
+        await loadConsentGrants();
+
+    } catch (error) {
+        console.error('Grant consent error:', error);
+        showResult('consentResult', `Granting access failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleRevokeConsent(verifier) {
+    try {
+        await runTransaction(`Revoke access for ${shortenAddress(verifier)}`, c => c.revokeConsent(verifier));
+        showResult('consentResult', `Access revoked for ${shortenAddress(verifier)}.`, 'success');
+
+        await loadConsentGrants();
+
+    } catch (error) {
+        console.error('Revoke consent error:', error);
+        showResult('consentResult', `Revoking access failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+// Admin Functions
+async function handleAuthorizeVerifier() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const verifierAddress = document.getElementById('verifierAddress').value;
+    if (!ethers.isAddress(verifierAddress)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`Authorize verifier ${shortenAddress(verifierAddress)}`, c => c.authorizeVerifier(verifierAddress));
+        showResult('adminResult', 'Verifier authorized successfully!', 'success');
+
+        document.getElementById('verifierAddress').value = '';
+        await loadUserRoles();
+
+    } catch (error) {
+        console.error('Authorization error:', error);
+        showResult('adminResult', `Authorization failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleRevokeVerifier() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const revokeAddress = document.getElementById('revokeAddress').value;
+    if (!ethers.isAddress(revokeAddress)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`Revoke verifier ${shortenAddress(revokeAddress)}`, c => c.revokeVerifier(revokeAddress));
+        showResult('adminResult', 'Verifier revoked successfully!', 'success');
+
+        document.getElementById('revokeAddress').value = '';
+        await loadUserRoles();
+
+    } catch (error) {
+        console.error('Revocation error:', error);
+        showResult('adminResult', `Revocation failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleProposeRecovery() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const lostAddress = document.getElementById('recoveryLostAddress').value;
+    const newAddress = document.getElementById('recoveryNewAddress').value;
+    if (!ethers.isAddress(lostAddress) || !ethers.isAddress(newAddress)) {
+        showResult('adminResult', 'Please enter valid lost and new addresses.', 'error');
+        return;
+    }
+
+    try {
+        const { events } = await runTransaction(
+            `Recover identity of ${shortenAddress(lostAddress)}`,
+            c => c.proposeIdentityRecovery(lostAddress, newAddress)
+        );
+        const proposal = events.find(event => event.name === 'IdentityMigrationProposed');
+        showResult('adminResult', `Recovery proposed. ${shortenAddress(newAddress)} can accept it from ${formatTimestamp(proposal.args.executableAt)}.`, 'success');
+
+        document.getElementById('recoveryLostAddress').value = '';
+        document.getElementById('recoveryNewAddress').value = '';
+
+    } catch (error) {
+        console.error('Recovery error:', error);
+        showResult('adminResult', `Recovery failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+// Revocation
+async function handleRevokeProof() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const user = document.getElementById('revokeProofAddress').value;
+    const reason = document.getElementById('revocationReason').value;
+    if (!ethers.isAddress(user)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`Revoke identity proof of ${shortenAddress(user)}`, c => c.revokeIdentityProof(user, reason));
+        showResult('adminResult', `Identity proof of ${shortenAddress(user)} revoked.`, 'success');
+        document.getElementById('revokeProofAddress').value = '';
+
+    } catch (error) {
+        console.error('Proof revocation error:', error);
+        showResult('adminResult', `Revocation failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function loadRevocationCooldowns() {
+    if (!client || !userRoles.admin) return;
+
+    try {
+        const cooldowns = await client.getRevocationCooldowns();
+        const summary = REVOCATION_REASONS.map(reason => {
+            const cooldown = cooldowns[reason];
+            const label = cooldown === PERMANENT_BLOCK ? 'blocked' : cooldown === 0n ? 'none' : formatDuration(cooldown);
+            return `${REVOCATION_REASON_LABELS[reason]}: ${label}`;
+        });
+        document.getElementById('cooldownInfo').textContent = `Current cooldowns (later revocations only): ${summary.join(', ')}`;
+    } catch (error) {
+        console.error('Cooldown load error:', error);
+    }
+}
+
+async function handleSetCooldown() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const reason = document.getElementById('cooldownReason').value;
+    const duration = document.getElementById('cooldownDuration').value;
+    const cooldown = duration === 'permanent' ? PERMANENT_BLOCK : BigInt(duration);
+
+    try {
+        await runTransaction(`Set re-registration cooldown for ${REVOCATION_REASON_LABELS[reason]}`, c => c.setRevocationCooldown(reason, cooldown));
+        showResult('adminResult', 'Re-registration cooldown updated.', 'success');
+        await loadRevocationCooldowns();
+
+    } catch (error) {
+        console.error('Cooldown update error:', error);
+        showResult('adminResult', `Cooldown update failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleLiftBlock() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const user = document.getElementById('liftBlockAddress').value;
+    if (!ethers.isAddress(user)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`Lift registration block of ${shortenAddress(user)}`, c => c.liftRegistrationBlock(user));
+        showResult('adminResult', `${shortenAddress(user)} can register again.`, 'success');
+        document.getElementById('liftBlockAddress').value = '';
+
+    } catch (error) {
+        console.error('Lift block error:', error);
+        showResult('adminResult', `Lifting the block failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleVerifyIdentity() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const userAddr = document.getElementById('verifyUserAddress').value;
+    if (!ethers.isAddress(userAddr)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    const thresholdValue = document.getElementById('verifyThreshold').value;
+    const threshold = thresholdValue === '' ? null : parseInt(thresholdValue);
+    if (threshold !== null && !(threshold >= 0 && threshold <= 255)) {
+        showResult('adminResult', 'Score threshold must be between 0 and 255.', 'error');
+        return;
+    }
+    if (threshold !== null && !userRoles.verifier) {
+        showResult('adminResult', 'Only verifiers can check score thresholds.', 'error');
+        return;
+    }
+
+    try {
+        // The client simulates first, so a missing consent fails before the check is recorded on-chain.
+        // With a threshold only the score check is sent, so both cost the user a single consent use.
+        const { verified: isVerified } = threshold === null
+            ? await runTransaction(`Verify ${shortenAddress(userAddr)}`, c => c.verifyIdentity(userAddr))
+            : await client.verifyIdentity(userAddr, { record: false });
+
+        let message = `Identity verification result: ${isVerified ? 'VERIFIED ✅' : 'NOT VERIFIED ❌'}`;
+        let passed = isVerified;
+
+        if (threshold !== null) {
+            showResult('adminResult', `${message}<br>Checking encrypted score against ${threshold}...`, 'info');
+            const { result: meetsThreshold } = await runTransaction(
+                `Check score of ${shortenAddress(userAddr)} ≥ ${threshold}`,
+                c => c.checkScoreThreshold(userAddr, threshold)
+            );
+            message += `<br>Score ≥ ${threshold}: ${meetsThreshold ? 'YES ✅' : 'NO ❌'}`;
+            passed = passed && meetsThreshold;
+        }
+
+        showResult('adminResult', message, passed ? 'success' : 'error');
+
+        document.getElementById('verifyUserAddress').value = '';
+
+    } catch (error) {
+        console.error('Verification error:', error);
+        showResult('adminResult', `Verification failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleGetStats() {
+    if (!client) {
+        showResult('statsResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    try {
+        showLoading(true);
+
+        const [stats, policy] = await Promise.all([client.getContractStats(), client.getPolicy()]);
+        contractPolicy = policy;
+
+        let statsText = `
+            <strong>Total Verifications:</strong> ${stats.totalVerifications}<br>
+            <strong>Active Requests:</strong> ${stats.activeRequests}<br>
+            <strong>Current Timestamp:</strong> ${formatTimestamp(stats.currentTime)}<br>
+            <strong>Proof Validity:</strong> ${formatDuration(policy.proofValidityPeriod)}<br>
+            <strong>Challenge Validity:</strong> ${formatDuration(policy.challengeValidityPeriod)}<br>
+            <strong>Minimum Score:</strong> ${policy.minIdentityScore}<br>
+            <strong>Request Limit:</strong> ${policy.maxRequestsPerUser} per ${formatDuration(policy.requestWindow)}<br>
+            <strong>Proof Tolerance:</strong> ${policy.proofTolerancePercent}%
+        `;
+
+        showResult('statsResult', statsText, 'info');
+
+    } catch (error) {
+        console.error('Stats error:', error);
+        showResult('statsResult', `Failed to get stats: ${getErrorMessage(error)}`, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Roles & Ownership
+async function loadUserRoles() {
+    if (!client || !userAddress) return;
+
+    try {
+        const [roles, owner, pendingOwner] = await Promise.all([
+            client.getRoles(userAddress),
+            client.getOwner(),
+            client.getPendingOwner()
+        ]);
+
+        contractOwner = owner;
+        userRoles = {
+            ...roles,
+            owner: owner.toLowerCase() === userAddress.toLowerCase(),
+            pendingOwner: pendingOwner.toLowerCase() === userAddress.toLowerCase()
+        };
+
+        const pendingInfo = document.getElementById('pendingOwnerInfo');
+        pendingInfo.textContent = `Pending transfer to ${pendingOwner}. The new owner must accept it.`;
+        pendingInfo.classList.toggle('hidden', pendingOwner === ethers.ZeroAddress);
+
+        applyRoleVisibility();
+        await loadVerifierTable();
+        await loadRevocationCooldowns();
+    } catch (error) {
+        console.error('Role loading error:', error);
+        showResult('adminResult', `Failed to load roles: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+function applyRoleVisibility() {
+    // A section is shown when the user holds any of the roles listed in data-requires
+    document.querySelectorAll('[data-requires]').forEach(section => {
+        const allowed = section.dataset.requires.split(' ').some(role => userRoles[role]);
+        section.classList.toggle('hidden', !allowed);
+    });
+
+    const badges = Object.entries(ROLE_LABELS)
+        .filter(([role]) => userRoles[role])
+        .map(([, label]) => `<span class="role-badge">${label}</span>`);
+
+    document.getElementById('roleSummary').innerHTML = badges.length > 0
+        ? `Your roles: ${badges.join('')}`
+        : 'Your address holds no administrative roles.';
+}
+
+async function loadVerifierTable() {
+    const body = document.getElementById('verifierTableBody');
+    const [verifiers, admins, auditors] = await Promise.all([
+        client.getRoleMembers('VERIFIER'),
+        client.getRoleMembers('ADMIN'),
+        client.getRoleMembers('AUDITOR')
+    ]);
+    const adminSet = new Set(admins.map(address => address.toLowerCase()));
+    const auditorSet = new Set(auditors.map(address => address.toLowerCase()));
+
+    body.innerHTML = '';
+    if (verifiers.length === 0) {
+        body.innerHTML = '<tr><td colspan="3">No verifiers authorized.</td></tr>';
+        return;
+    }
+
+    verifiers.forEach(verifier => {
+        const isOwner = verifier.toLowerCase() === contractOwner.toLowerCase();
+        const roles = [];
+        if (isOwner) roles.push('Owner');
+        if (adminSet.has(verifier.toLowerCase())) roles.push('Admin');
+        roles.push('Verifier');
+        if (auditorSet.has(verifier.toLowerCase())) roles.push('Auditor');
+
+        const row = document.createElement('tr');
+
+        const addressCell = document.createElement('td');
+        addressCell.textContent = shortenAddress(verifier);
+        addressCell.title = verifier;
+
+        const rolesCell = document.createElement('td');
+        rolesCell.innerHTML = roles.map(role => `<span class="role-badge">${role}</span>`).join('');
+
+        // The contract refuses to revoke the owner, so don't offer it
+        const actionCell = document.createElement('td');
+        if (userRoles.admin && !isOwner) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-danger btn-small';
+            button.textContent = 'Revoke';
+            button.addEventListener('click', () => {
+                document.getElementById('revokeAddress').value = verifier;
+                handleRevokeVerifier();
+            });
+            actionCell.appendChild(button);
+        }
+
+        row.append(addressCell, rolesCell, actionCell);
+        body.appendChild(row);
+    });
+}
+
+async function handleGrantRole() {
+    await submitRoleChange('grantRole', 'granted');
+}
+
+async function handleRevokeRole() {
+    await submitRoleChange('revokeRole', 'revoked');
+}
+
+async function submitRoleChange(method, verb) {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const roleName = document.getElementById('roleSelect').value;
+    const account = document.getElementById('roleAddress').value;
+    if (!ethers.isAddress(account)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`${method === 'grantRole' ? 'Grant' : 'Revoke'} ${roleName} role for ${shortenAddress(account)}`, c => c[method](roleName, account));
+        showResult('adminResult', `Role ${verb} successfully!`, 'success');
+
+        document.getElementById('roleAddress').value = '';
+        await loadUserRoles();
+
+    } catch (error) {
+        console.error('Role change error:', error);
+        showResult('adminResult', `Role change failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleTransferOwnership() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    const newOwner = document.getElementById('newOwnerAddress').value;
+    if (!ethers.isAddress(newOwner)) {
+        showResult('adminResult', 'Please enter a valid address.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction(`Transfer ownership to ${shortenAddress(newOwner)}`, c => c.transferOwnership(newOwner));
+        showResult('adminResult', `Ownership transfer started. ${shortenAddress(newOwner)} must accept it to complete the transfer.`, 'success');
+
+        document.getElementById('newOwnerAddress').value = '';
+        await loadUserRoles();
+
+    } catch (error) {
+        console.error('Ownership transfer error:', error);
+        showResult('adminResult', `Ownership transfer failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+async function handleAcceptOwnership() {
+    if (!client) {
+        showResult('adminResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    try {
+        await runTransaction('Accept ownership', c => c.acceptOwnership());
+        showResult('adminResult', 'You are now the contract owner.', 'success');
+
+        await loadUserRoles();
+
+    } catch (error) {
+        console.error('Accept ownership error:', error);
+        showResult('adminResult', `Accepting ownership failed: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+// Transaction Manager
+// State-changing actions go through runTransaction: progress shows in the status list instead of
+// blocking the page, and sent transactions are kept in localStorage until they are mined.
+async function runTransaction(label, action) {
+    const entry = createTransactionEntry(label);
+
+    try {
+        const result = await action(client.withHooks(transactionHooks(entry)));
+        completeTransactionEntry(entry, result);
+        settlePendingTransaction(entry);
+        return result;
+    } catch (error) {
+        failTransactionEntry(entry, error);
+        settlePendingTransaction(entry, error);
+        throw error;
+    }
+}
+
+function settlePendingTransaction(entry, error = null) {
+    if (entry.transaction && (!error || FINAL_TRANSACTION_ERRORS.includes(error.code))) {
+        forgetPendingTransaction(entry.transaction.hash);
+    }
+}
+
+function transactionHooks(entry) {
+    return {
+        onTransactionEstimated: ({ gasLimit, cost }) => {
+            updateTransactionEntry(entry, 'estimated', `Estimated ${gasLimit.toLocaleString()} gas (≈ ${formatCost(cost)}). Confirm in your wallet...`);
+        },
+        onTransactionSubmitted: (transaction) => {
+            // Actions that send several transactions only keep the latest one pending
+            if (entry.transaction) forgetPendingTransaction(entry.transaction.hash);
+            entry.transaction = transaction;
+            rememberPendingTransaction(entry.label, transaction);
+            updateTransactionEntry(entry, 'pending', 'Waiting for confirmation...');
+        },
+        onTransactionReplaced: ({ hash, replacementHash }) => {
+            forgetPendingTransaction(hash);
+            entry.transaction = { ...entry.transaction, hash: replacementHash };
+            updateTransactionEntry(entry, 'pending', 'Sped up in your wallet. Waiting for the replacement...');
+        }
+    };
+}
+
+function resumePendingTransactions(chainId) {
+    const watching = new Set([...transactionEntries.values()].map(entry => entry.transaction?.hash));
+
+    loadPendingTransactions()
+        .filter(record => record.chainId === chainId
+            && record.from.toLowerCase() === userAddress.toLowerCase()
+            && record.to.toLowerCase() === contractAddress.toLowerCase()
+            && !watching.has(record.hash))
+        .forEach(record => {
+            const entry = createTransactionEntry(record.label);
+            entry.transaction = record;
+            updateTransactionEntry(entry, 'pending', 'Sent before the page was reloaded. Waiting for confirmation...');
+
+            client.withHooks(transactionHooks(entry)).resumeTransaction(record)
+                .then(result => {
+                    completeTransactionEntry(entry, result);
+                    settlePendingTransaction(entry);
+                    loadMyRequests();
+                    loadConsentGrants();
+                    loadIdentityMigration();
+                    loadUserRoles();
+                })
+                .catch(error => {
+                    failTransactionEntry(entry, error);
+                    settlePendingTransaction(entry, error);
+                });
+        });
+}
+
+function loadPendingTransactions() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_TX_STORAGE_KEY)) ?? [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function rememberPendingTransaction(label, transaction) {
+    const records = loadPendingTransactions().filter(record => record.hash !== transaction.hash);
+    records.push({ ...transaction, label, value: transaction.value.toString() });
+    localStorage.setItem(PENDING_TX_STORAGE_KEY, JSON.stringify(records));
+}
+
+function forgetPendingTransaction(hash) {
+    const records = loadPendingTransactions().filter(record => record.hash !== hash);
+    localStorage.setItem(PENDING_TX_STORAGE_KEY, JSON.stringify(records));
+}
+
+function createTransactionEntry(label) {
+    const entry = { id: nextTransactionEntryId++, label, state: null, transaction: null, element: document.createElement('li') };
+    transactionEntries.set(entry.id, entry);
+
+    const list = document.getElementById('transactionList');
+    list.prepend(entry.element);
+    list.classList.remove('hidden');
+
+    updateTransactionEntry(entry, 'preparing', 'Preparing transaction...');
+    return entry;
+}
+
+function updateTransactionEntry(entry, state, text) {
+    entry.state = state;
+    entry.element.className = `tx-entry tx-${state}`;
+
+    const title = document.createElement('strong');
+    title.textContent = entry.label;
+    const status = document.createElement('span');
+    status.className = 'tx-status';
+    status.textContent = text;
+    entry.element.replaceChildren(title, status);
+
+    if (entry.transaction) {
+        const url = getExplorerTxUrl(entry.transaction.chainId, entry.transaction.hash);
+        const hash = document.createElement(url ? 'a' : 'span');
+        hash.className = 'tx-hash';
+        hash.textContent = url ? `${shortenHash(entry.transaction.hash)} ↗` : shortenHash(entry.transaction.hash);
+        if (url) {
+            hash.href = url;
+            hash.target = '_blank';
+            hash.rel = 'noopener noreferrer';
+        }
+        entry.element.appendChild(hash);
+    }
+
+    if (!['preparing', 'estimated', 'pending'].includes(state)) {
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'tx-dismiss';
+        dismiss.title = 'Dismiss';
+        dismiss.textContent = '×';
+        dismiss.addEventListener('click', () => removeTransactionEntry(entry));
+        entry.element.appendChild(dismiss);
+    }
+}
+
+function completeTransactionEntry(entry, result) {
+    entry.transaction = entry.transaction && { ...entry.transaction, hash: result.hash };
+    updateTransactionEntry(entry, 'confirmed', `Confirmed in block ${result.blockNumber}`);
+    setTimeout(() => removeTransactionEntry(entry), TX_DISMISS_DELAY_MS);
+}
+
+function failTransactionEntry(entry, error) {
+    if (error.code === 'USER_REJECTED') {
+        updateTransactionEntry(entry, 'rejected', 'Rejected in your wallet');
+    } else if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'cancelled') {
+        updateTransactionEntry(entry, 'cancelled', 'Cancelled in your wallet');
+    } else if (error.code === 'TRANSACTION_REPLACED') {
+        updateTransactionEntry(entry, 'replaced', 'Replaced by a different transaction in your wallet');
+    } else if (error.code === 'TRANSACTION_DROPPED') {
+        updateTransactionEntry(entry, 'dropped', 'Dropped by the network before it was mined');
+    } else if (entry.transaction && !FINAL_TRANSACTION_ERRORS.includes(error.code)) {
+        updateTransactionEntry(entry, 'failed', `Could not check the transaction: ${getErrorMessage(error)}. It is checked again when you reload the page.`);
+    } else {
+        updateTransactionEntry(entry, 'failed', `Failed: ${getErrorMessage(error)}`);
+    }
+}
+
+function removeTransactionEntry(entry) {
+    if (!transactionEntries.delete(entry.id)) return;
+    entry.element.remove();
+    if (transactionEntries.size === 0) {
+        document.getElementById('transactionList').classList.add('hidden');
+    }
+}
+
+function getExplorerTxUrl(chainId, hash) {
+    const explorer = EXPLORER_URLS[chainId];
+    return explorer ? `${explorer.replace(/\/$/, '')}/tx/${hash}` : null;
+}
+
+function formatCost(wei) {
+    return `${Number(ethers.formatEther(wei)).toPrecision(3)} ETH`;
+}
+
+// Activity Feed
+async function loadActivity() {
+    if (!client || !userAddress) {
+        showResult('activityResult', 'Please connect your wallet first.', 'error');
+        return;
+    }
+
+    try {
+        showResult('activityResult', 'Loading past events...', 'info');
+
+        const latestBlock = await provider.getBlockNumber();
+        const fromBlock = contractDeployBlock ?? Math.max(0, latestBlock - ACTIVITY_LOOKBACK_BLOCKS);
+
+        // The contract-wide feed already contains this address's events; renderActivity splits them out
+        const events = await client.queryEvents({
+            fromBlock,
+            toBlock: latestBlock,
+            eventNames: ACTIVITY_EVENTS,
+            chunkSize: LOG_QUERY_CHUNK_SIZE
+        });
+
+        activityEntries = new Map();
+        events.forEach(addActivityEntry);
+        await renderActivity();
+
+        document.getElementById('activityResult').classList.add('hidden');
+    } catch (error) {
+        console.error('Activity load error:', error);
+        showResult('activityResult', `Failed to load activity: ${getErrorMessage(error)}`, 'error');
+    }
+}
+
+function subscribeToActivity() {
+    client.onEvent(async (event) => {
+        addActivityEntry(event);
+        await renderActivity();
+
+        if (event.name === 'VerificationCompleted') {
+            await handleVerificationCompleted(event.args);
+        } else if (['VerificationCancelled', 'VerificationExpired'].includes(event.name) && isUserActivity(event)) {
+            await loadMyRequests();
+        } else if (event.name === 'PolicyUpdated') {
+            await loadPolicy();
+        } else if (event.name === 'IdentityChecked' && isUserActivity(event)) {
+            await loadConsentGrants();
+        } else if (event.name.startsWith('IdentityMigration') && isUserActivity(event)) {
+            await loadIdentityMigration();
+        } else if (['IdentityRevoked', 'RegistrationBlockLifted', 'CredentialRotated'].includes(event.name) && isUserActivity(event)) {
+            await refreshIdentityStatus().catch(error => console.error('Status refresh error:', error));
+        } else if (event.name === 'RevocationCooldownUpdated') {
+            await loadRevocationCooldowns();
+        }
+    }, ACTIVITY_EVENTS);
+}
+
+async function handleVerificationCompleted({ requestId, approved, requester }) {
+    if (!userAddress || requester.toLowerCase() !== userAddress.toLowerCase()) return;
+
+    const message = approved
+        ? `✅ Verification #${requestId} approved! Your identity is now verified.`
+        : `❌ Verification #${requestId} was rejected. You can request a new challenge.`;
+    showResult('statusResult', message, approved ? 'success' : 'error');
+
+    await loadMyRequests();
+
+    try {
+        await refreshIdentityStatus();
+    } catch (error) {
+        console.error('Status refresh error:', error);
+    }
+}
+
+function addActivityEntry(event) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    activityEntries.set(key, { key, ...event });
+}
+
+async function renderActivity() {
+    const entries = [...activityEntries.values()]
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+        .slice(0, MAX_ACTIVITY_ITEMS);
+
+    await Promise.all(entries.map(entry => getBlockTimestamp(entry.blockNumber)));
+
+    const mine = entries.filter(entry => isUserActivity(entry));
+    renderActivityList('myActivity', mine, 'No activity for your address yet.');
+    renderActivityList('contractActivity', entries, 'No contract activity yet.');
+}
+
+function renderActivityList(elementId, entries, emptyText) {
+    const list = document.getElementById(elementId);
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'activity-empty';
+        empty.textContent = emptyText;
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `activity-item activity-${entry.name}`;
+
+        const description = document.createElement('span');
+        description.className = 'activity-description';
+        description.textContent = describeActivity(entry);
+
+        const meta = document.createElement('span');
+        meta.className = 'activity-meta';
+        meta.textContent = `${formatTimestamp(blockTimestamps.get(entry.blockNumber) ?? 0)} · block ${entry.blockNumber} · ${shortenHash(entry.transactionHash)}`;
+
+        item.append(description, meta);
+        list.appendChild(item);
+    });
+}
+
+function describeActivity({ name, args }) {
+    switch (name) {
+        case 'IdentityProofRegistered':
+            return `🆔 Identity proof registered by ${shortenAddress(args.user)}`;
+        case 'VerificationRequested':
+            return `📨 Verification #${args.requestId} requested by ${shortenAddress(args.requester)}`;
+        case 'VerificationCompleted':
+            return `${args.approved ? '✅' : '❌'} Verification #${args.requestId} ${args.approved ? 'approved' : 'rejected'} for ${shortenAddress(args.requester)}`;
+        case 'VerificationCancelled':
+            return `🗑️ Verification #${args.requestId} cancelled by ${shortenAddress(args.requester)}`;
+        case 'VerificationExpired':
+            return `⌛ Verification #${args.requestId} of ${shortenAddress(args.requester)} expired unanswered`;
+        case 'VerifierAuthorized':
+            return `🛡️ Verifier ${shortenAddress(args.verifier)} authorized`;
+        case 'VerifierRevoked':
+            return `🚫 Verifier ${shortenAddress(args.verifier)} revoked`;
+        case 'ProofExpired':
+            return `⌛ Identity proof of ${shortenAddress(args.user)} expired`;
+        case 'ConsentGranted':
+            return `🤝 ${shortenAddress(args.user)} granted ${shortenAddress(args.verifier)} access to their identity`;
+        case 'ConsentRevoked':
+            return `🔒 ${shortenAddress(args.user)} revoked access for ${shortenAddress(args.verifier)}`;
+        case 'IdentityChecked':
+            return `🔍 ${shortenAddress(args.verifier)} checked the ${IDENTITY_CHECK_LABELS[args.checkType]} of ${shortenAddress(args.user)}`;
+        case 'PolicyUpdated':
+            return `⚙️ Verification policy updated by ${shortenAddress(args.sender)}`;
+        case 'IdentityMigrationProposed':
+            return args.proposedBy === args.from
+                ? `📦 ${shortenAddress(args.from)} offered their identity proof to ${shortenAddress(args.to)}`
+                : `🛟 Verifier ${shortenAddress(args.proposedBy)} started recovering the identity of ${shortenAddress(args.from)} to ${shortenAddress(args.to)}`;
+        case 'IdentityMigrationCancelled':
+            return `↩️ Move of the identity proof of ${shortenAddress(args.from)} to ${shortenAddress(args.to)} cancelled`;
+        case 'IdentityMigrated':
+            return `📦 Identity proof moved from ${shortenAddress(args.from)} to ${shortenAddress(args.to)}`;
+        case 'IdentityRevoked':
+            return `🚫 Verifier ${shortenAddress(args.verifier)} revoked the identity proof of ${shortenAddress(args.user)} (${REVOCATION_REASONS[args.reasonCode]})`;
+        case 'RevocationCooldownUpdated':
+            return `⚙️ Re-registration cooldown for ${REVOCATION_REASONS[args.reason]} revocations updated by ${shortenAddress(args.sender)}`;
+        case 'RegistrationBlockLifted':
+            return `🔓 ${shortenAddress(args.sender)} let ${shortenAddress(args.user)} register again`;
+        case 'CredentialRotated':
+            return `🔄 ${shortenAddress(args.user)} rotated their credential (version ${args.version})`;
+        default:
+            return name;
+    }
+}
+
+function isUserActivity({ args }) {
+    const user = userAddress.toLowerCase();
+    return ['user', 'requester', 'verifier', 'from', 'to'].some(field => args[field]?.toLowerCase() === user);
+}
+
+async function getBlockTimestamp(blockNumber) {
+    if (!blockTimestamps.has(blockNumber)) {
+        const block = await provider.getBlock(blockNumber);
+        blockTimestamps.set(blockNumber, block ? block.timestamp : 0);
+    }
+    return blockTimestamps.get(blockNumber);
+}
+
+// Statistics Dashboard
+// History is served by the event indexer (scripts/indexer.js), which works without a wallet
+async function fetchIndexer(baseUrl, path) {
+    const response = await fetch(`${baseUrl}${path}`, { cache: 'no-store' });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.error ?? `Indexer responded with ${response.status}`);
+    return body;
+}
+
+async function loadDashboard() {
+    const baseUrl = document.getElementById('indexerUrl').value.trim().replace(/\/+$/, '') || DEFAULT_INDEXER_URL;
+    const days = document.getElementById('dashboardDays').value;
+
+    try {
+        showResult('dashboardResult', 'Loading statistics...', 'info');
+
+        const [status, summary, { days: daily }, { verifiers }] = await Promise.all([
+            fetchIndexer(baseUrl, '/api/status'),
+            fetchIndexer(baseUrl, '/api/stats/summary'),
+            fetchIndexer(baseUrl, `/api/stats/daily?days=${days}`),
+            fetchIndexer(baseUrl, '/api/stats/verifiers')
+        ]);
+        localStorage.setItem(INDEXER_URL_STORAGE_KEY, baseUrl);
+        dashboardData = { daily, verifiers };
+
+        renderDashboardSummary(summary);
+        renderBarChart('registrationsChart', daily, [{ key: 'registrations', label: 'Registrations', color: '#06b6d4' }]);
+        renderBarChart('outcomesChart', daily, OUTCOME_SERIES);
+        renderChartLegend('outcomesLegend', OUTCOME_SERIES);
+        renderVerifierActivity(verifiers);
+        document.getElementById('dashboard').classList.remove('hidden');
+
+        const indexed = `Indexed up to block ${status.lastBlock ?? '-'}, last synced ${formatTimestamp(status.syncedAt ?? 0)}.`;
+        if (contractAddress && status.contract !== contractAddress.toLowerCase()) {
+            showResult('dashboardResult', `⚠️ This indexer follows ${shortenAddress(status.contract)}, not the connected contract. ${indexed}`, 'error');
+        } else {
+            showResult('dashboardResult', indexed, 'info');
+        }
+    } catch (error) {
+        console.error('Dashboard error:', error);
+        showResult('dashboardResult', `Failed to load statistics from ${baseUrl}: ${error.message}. Is the indexer running?`, 'error');
+    }
+}
+
+function renderDashboardSummary(summary) {
+    const { completion } = summary;
+    const items = [
+        ['Registrations', summary.registrations],
+        ['Requests', summary.requests],
+        ['Approved / Rejected', `${summary.approved} / ${summary.rejected}`],
+        ['Approval Rate', summary.approvalRate === null ? '-' : `${(summary.approvalRate * 100).toFixed(1)}%`],
+        ['Avg. Time to Complete', completion.averageSeconds === null ? '-' : formatDuration(completion.averageSeconds)],
+        ['Median Time to Complete', completion.medianSeconds === null ? '-' : formatDuration(completion.medianSeconds)],
+        ['Requests Expired', summary.expired],
+        ['Proofs Expired', summary.proofsExpired],
+        ['Proofs Revoked', summary.revocations]
+    ];
+
+    const grid = document.getElementById('dashboardSummary');
+    grid.innerHTML = '';
+    items.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'status-item';
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'label';
+        labelSpan.textContent = `${label}:`;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'value';
+        valueSpan.textContent = value;
+        item.append(labelSpan, valueSpan);
+        grid.appendChild(item);
+    });
+}
+
+// One bar per day, with `series` stacked bottom to top; hovering a bar shows its numbers
+function renderBarChart(elementId, daily, series) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const barWidth = 12;
+    const gap = 4;
+    const width = daily.length * (barWidth + gap);
+    const max = Math.max(1, ...daily.map(day => series.reduce((sum, { key }) => sum + day[key], 0)));
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${CHART_HEIGHT}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    daily.forEach((day, i) => {
+        const bar = document.createElementNS(svgNs, 'g');
+        const title = document.createElementNS(svgNs, 'title');
+        title.textContent = [day.day, ...series.map(({ key, label }) => `${label}: ${day[key]}`)].join('\n');
+        bar.appendChild(title);
+
+        let y = CHART_HEIGHT;
+        series.forEach(({ key, color }) => {
+            const height = (day[key] / max) * CHART_HEIGHT;
+            if (height === 0) return;
+            y -= height;
+            const rect = document.createElementNS(svgNs, 'rect');
+            rect.setAttribute('x', i * (barWidth + gap));
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', barWidth);
+            rect.setAttribute('height', height);
+            rect.setAttribute('fill', color);
+            bar.appendChild(rect);
+        });
+
+        // Keeps empty days hoverable
+        const hitArea = document.createElementNS(svgNs, 'rect');
+        hitArea.setAttribute('x', i * (barWidth + gap));
+        hitArea.setAttribute('width', barWidth);
+        hitArea.setAttribute('height', CHART_HEIGHT);
+        hitArea.setAttribute('fill', 'transparent');
+        bar.appendChild(hitArea);
+
+        svg.appendChild(bar);
+    });
+
+    const axis = document.createElement('div');
+    axis.className = 'chart-axis';
+    axis.innerHTML = `<span>${daily[0].day}</span><span>max ${max} per day</span><span>${daily[daily.length - 1].day}</span>`;
+
+    const chart = document.getElementById(elementId);
+    chart.innerHTML = '';
+    chart.append(svg, axis);
+}
+
+function renderChartLegend(elementId, series) {
+    document.getElementById(elementId).innerHTML = series
+        .map(({ label, color }) => `<span><i style="background: ${color}"></i>${label}</span>`)
+        .join('');
+}
+
+function renderVerifierActivity(verifiers) {
+    const body = document.getElementById('verifierActivityBody');
+    body.innerHTML = '';
+    if (verifiers.length === 0) {
+        body.innerHTML = '<tr><td colspan="7">No identity checks indexed yet.</td></tr>';
+        return;
+    }
+
+    verifiers.forEach(activity => {
+        const row = document.createElement('tr');
+        const cells = [
+            shortenAddress(activity.verifier),
+            activity.checks,
+            activity.verificationChecks,
+            activity.thresholdChecks,
+            activity.rangeChecks,
+            activity.users,
+            formatTimestamp(activity.lastCheckAt)
+        ];
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        row.firstChild.title = activity.verifier;
+        body.appendChild(row);
+    });
+}
+
+// Columns are the keys of the first row
+function exportCsv(filename, rows) {
+    if (!rows || rows.length === 0) return;
+
+    const columns = Object.keys(rows[0]);
+    const escape = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    const csv = [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column] ?? '')).join(','))].join('\r\n');
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Utility Functions
+function showResult(elementId, message, type) {
+    const element = document.getElementById(elementId);
+    element.innerHTML = message;
+    element.className = `result ${type}`;
+    element.classList.remove('hidden');
+
+    // Auto-hide after 10 seconds for success messages
+    if (type === 'success') {
+        setTimeout(() => {
+            element.classList.add('hidden');
+        }, 10000);
+    }
+}
+
+function showLoading(show) {
+    const overlay = document.getElementById('loadingOverlay');
+    if (show) {
+        updateLoadingText('Processing transaction...');
+        overlay.classList.remove('hidden');
+    } else {
         overlay.classList.add('hidden');
     }
 }
 
+function updateLoadingText(text) {
+    document.getElementById('loadingText').textContent = text;
+}
+
 function formatTimestamp(timestamp) {
     if (timestamp == 0 || timestamp == 0n) return 'Not set';
     // Handle both regular numbers and BigInt
@@ -602,38 +2278,123 @@ function formatTimestamp(timestamp) {
     return date.toLocaleString();
 }
 
+function formatDuration(seconds) {
+    const total = Number(seconds);
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor((total % 86400) / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    if (minutes || parts.length === 0) parts.push(`${minutes}m`);
+    return parts.join(' ');
+}
+
+function shortenAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function shortenHash(hash) {
+    return `${hash.slice(0, 10)}…`;
+}
+
+// What each contract error means for the user and what to do next, from its decoded arguments
+const CONTRACT_ERROR_MESSAGES = {
+    Unauthorized: () => 'Only the contract owner or an admin can do this. Ask an admin to grant your account the Admin role.',
+    NotAuthorizedVerifier: () => 'Only authorized verifiers can do this. Ask an admin to authorize your account.',
+    NotPendingOwner: () => 'Only the account the ownership transfer was started for can accept it. Switch to that account.',
+    InvalidAddress: () => 'Enter a valid, non-zero address.',
+    UnknownRole: () => 'That role does not exist. Choose Admin, Verifier or Auditor.',
+    CannotRevokeOwner: () => 'The owner always keeps its roles. Transfer ownership first.',
+    InvalidPolicy: ({ field }) => `The policy value for ${field} is out of range.`,
+    NoActiveIdentityProof: ({ user }) => user === userAddress
+        ? 'You have no active identity proof. Register your identity first.'
+        : `${shortenAddress(user)} has no active identity proof.`,
+    IdentityProofExpired: ({ user, expiredAt }) => user === userAddress
+        ? `Your identity proof expired at ${formatTimestamp(expiredAt)}. Register again to get a new one.`
+        : `The identity proof of ${shortenAddress(user)} expired at ${formatTimestamp(expiredAt)}.`,
+    IdentityNotVerified: () => 'Only verified identities can be renewed. Complete a verification first.',
+    IdentityScoreTooLow: ({ score, minScore }) => `A score of ${score} is below the required minimum of ${minScore}.`,
+    InvalidCredential: () => 'The credential must be a positive number.',
+    RequestLimitExceeded: ({ maxRequests, nextRequestTime }) =>
+        `You have used all ${maxRequests} verification attempts in the current window. Your next attempt opens ${formatTimestamp(nextRequestTime)}.`,
+    AlreadyVerified: () => 'Your identity is already verified, so there is nothing to request.',
+    UnknownRequest: ({ requestId }) => `Request #${requestId} does not exist.`,
+    NotRequester: ({ requestId }) => `Request #${requestId} belongs to another account. Switch to the account that made it.`,
+    RequestNotPending: ({ requestId, status }) => REQUEST_STATUSES[status] === 'Submitted'
+        ? `A proof for request #${requestId} was already submitted and is awaiting the decryption oracle.`
+        : `Request #${requestId} is already ${REQUEST_STATUSES[status].toLowerCase()}. Refresh your requests to see its result.`,
+    ChallengeExpired: ({ requestId, expiredAt }) =>
+        `Your challenge for request #${requestId} expired at ${formatTimestamp(expiredAt)}. Request a new one.`,
+    ChallengeStillValid: ({ requestId, expiresAt }) =>
+        `Request #${requestId} can only be closed after ${formatTimestamp(expiresAt)}.`,
+    InvalidConsentExpiry: () => 'The access expiry must be in the future.',
+    NoConsent: ({ user, verifier }) => user === userAddress
+        ? `You have not granted ${shortenAddress(verifier)} access.`
+        : `${shortenAddress(user)} has not granted you access. Ask them to share their identity with you first.`,
+    ConsentExpired: ({ user, expiredAt }) =>
+        `Your access to ${shortenAddress(user)} expired at ${formatTimestamp(expiredAt)}. Ask them to grant it again.`,
+    ConsentUsesExhausted: ({ user, maxUses }) =>
+        `You have used all ${maxUses} checks ${shortenAddress(user)} allowed. Ask them to grant access again.`,
+    InvalidScoreRange: ({ minScore, maxScore }) => `The minimum score (${minScore}) must not be above the maximum (${maxScore}).`,
+    NotRegisteredConsumer: ({ account }) => `${shortenAddress(account)} is not a registered consumer contract. Ask an admin to register it.`,
+    InvalidMigrationTarget: () => 'Enter a new address that differs from the current one.',
+    IdentityAlreadyRegistered: ({ user }) => user === userAddress
+        ? 'You already have an active identity proof. Rotate your credential to replace it.'
+        : `${shortenAddress(user)} already has an active identity proof, so it cannot take over another one.`,
+    PendingVerificationRequests: ({ count }) =>
+        `Finish or cancel your ${count} pending verification request(s) before moving your identity, rotating your credential or registering again. A request the oracle never answered can be closed a day after its challenge expired.`,
+    NoPendingMigration: ({ from }) => `${shortenAddress(from)} has not offered its identity proof to this address.`,
+    MigrationNotReady: ({ executableAt }) => `This recovery can be accepted from ${formatTimestamp(executableAt)}.`,
+    RegistrationBlocked: ({ user, blockedUntil }) => {
+        const subject = user === userAddress ? 'Your identity proof was revoked, so you' : `${shortenAddress(user)} had its identity proof revoked and`;
+        return blockedUntil === PERMANENT_BLOCK
+            ? `${subject} cannot register again unless an admin lifts the block.`
+            : `${subject} cannot register again before ${formatTimestamp(blockedUntil)}.`;
+    },
+    RegistrationNotBlocked: ({ user }) => `${shortenAddress(user)} is not blocked from registering.`,
+    IdentityNotRegistered: ({ user }) => `${shortenAddress(user)} has never registered an identity proof, so there is nothing to revoke.`
+};
+
 function getErrorMessage(error) {
+    const describe = error.errorName && CONTRACT_ERROR_MESSAGES[error.errorName];
+    if (describe) return describe(error.errorArgs);
     if (error.reason) return error.reason;
     if (error.message) return error.message;
     return error.toString();
 }
 
-// Handle account changes
-if (typeof window.ethereum !== 'undefined') {
-    window.ethereum.on('accountsChanged', function (accounts) {
-        if (accounts.length === 0) {
-            // User disconnected
-            updateConnectionStatus(false);
-            document.getElementById('walletInfo').classList.add('hidden');
-            document.getElementById('connectWallet').textContent = 'Connect MetaMask';
-            document.getElementById('connectWallet').disabled = false;
-            contract = null;
-            userAddress = null;
-            showResult('walletInfo', '⚠️ MetaMask disconnected. Please reconnect to continue.', 'error');
-        } else {
-            // User changed account
-            showResult('walletInfo', '🔄 Account changed. Reconnecting...', 'info');
-            connectWallet();
-        }
-    });
+// Handle account changes (bound to the selected wallet in selectWallet)
+function handleAccountsChanged(accounts) {
+    if (accounts.length === 0) {
+        // User disconnected
+        updateConnectionStatus(false);
+        document.getElementById('walletInfo').classList.add('hidden');
+        document.getElementById('connectWallet').textContent = 'Connect Wallet';
+        document.getElementById('connectWallet').disabled = false;
+        if (client) client.close();
+        client = null;
+        userAddress = null;
+        userRoles = {};
+        applyRoleVisibility();
+        clearPresentation();
+        clearPendingRotation();
+        showResult('walletInfo', `⚠️ ${selectedWallet.info.name} disconnected. Please reconnect to continue.`, 'error');
+    } else {
+        // User changed account
+        showResult('walletInfo', '🔄 Account changed. Reconnecting...', 'info');
+        clearPresentation();
+        clearPendingRotation();
+        connectWallet();
+    }
+}
 
-    window.ethereum.on('chainChanged', function (chainId) {
-        if (chainId !== SEPOLIA_CHAIN_ID) {
-            showResult('walletInfo', '⚠️ Please switch back to Sepolia testnet to continue using the application.', 'error');
-            updateConnectionStatus(false);
-        } else {
-            // Reconnect when switched back to Sepolia
-            connectWallet();
-        }
-    });
+function handleChainChanged(chainId) {
+    if (!DEPLOYMENT_NETWORKS[chainId]) {
+        showResult('walletInfo', '⚠️ This network has no contract deployment. Please switch to Sepolia testnet to continue using the application.', 'error');
+        updateConnectionStatus(false);
+    } else {
+        // Reconnect against the deployment for the new network
+        connectWallet();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,326 @@
+// Admin command-line tool for AnonymousIdentityVerification.
+//
+//   node scripts/admin.js <command> [arguments] [options]
+//
+// The network is taken from --network (or HARDHAT_NETWORK) and the signer from that network's
+// accounts in hardhat.config.js. The contract address and ABI come from deployments/<network>.json
+// unless --address is given.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { IdentityVerificationClient, REVOCATION_REASONS } = require("../sdk/IdentityVerificationClient");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const DEFAULT_BATCH_SIZE = 200;
+const DEFAULT_MAX_GAS = 5_000_000n;
+
+const USAGE = `Usage: node scripts/admin.js <command> [arguments] [options]
+
+Commands:
+  authorize <file.csv>          Authorize every verifier listed in the CSV
+  revoke-verifiers <file.csv>   Revoke every verifier listed in the CSV
+  revoke-proofs <file.csv>      Revoke the identity proofs of every user listed in the CSV
+  stats                         Show contract statistics, policy and role members
+  sweep                         Deactivate expired identity proofs in gas-bounded batches
+
+Options:
+  --network <name>     Hardhat network to use (default: HARDHAT_NETWORK or hardhat)
+  --address <address>  Contract address, overriding the deployment registry
+  --from-block <n>     First block to scan for registrations (default: the deployment block)
+  --batch-size <n>     Maximum users per cleanup transaction (default: ${DEFAULT_BATCH_SIZE})
+  --max-gas <n>        Maximum estimated gas per cleanup transaction (default: ${DEFAULT_MAX_GAS})
+  --reason <reason>    Reason recorded by revoke-proofs: ${REVOCATION_REASONS.join(", ")} (default: Unspecified)
+  --dry-run            Report what would be sent without sending transactions
+  --json               Print the result as JSON
+  --help               Show this message
+
+CSV files list one address per line in the first column. A header row and lines starting with # are ignored.`;
+
+const FLAGS = new Set(["dry-run", "json", "help"]);
+const OPTIONS = new Set(["network", "address", "from-block", "batch-size", "max-gas", "reason"]);
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = { dryRun: false, json: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (FLAGS.has(name)) {
+      options[key] = true;
+    } else if (OPTIONS.has(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new Error(`Missing value for --${name}`);
+      options[key] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  for (const name of ["fromBlock", "batchSize"]) {
+    if (options[name] !== undefined) options[name] = parseInteger(options[name], name);
+  }
+  options.maxGas = options.maxGas === undefined ? DEFAULT_MAX_GAS : BigInt(parseInteger(options.maxGas, "maxGas"));
+  options.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+  if (options.batchSize < 1) throw new Error("--batch-size must be at least 1");
+  options.reason = options.reason ?? "Unspecified";
+  if (!REVOCATION_REASONS.includes(options.reason)) throw new Error(`Unknown revocation reason: ${options.reason}`);
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid ${name}: ${value}`);
+  return Number(value);
+}
+
+// One address per line in the first column; duplicates are dropped, order is kept
+function readAddressCsv(file) {
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const addresses = new Set();
+
+  lines.forEach((line, index) => {
+    const cell = line.split(",")[0].trim().replace(/^"(.*)"$/, "$1");
+    if (!cell || cell.startsWith("#")) return;
+
+    if (!ethers.isAddress(cell)) {
+      // Allow a header row such as "address,label"
+      if (addresses.size === 0 && !/^0x/i.test(cell)) return;
+      throw new Error(`${file}:${index + 1}: invalid address "${cell}"`);
+    }
+    addresses.add(ethers.getAddress(cell));
+  });
+
+  if (addresses.size === 0) throw new Error(`${file} does not list any addresses`);
+  return [...addresses];
+}
+
+function loadDeployment(networkName) {
+  const file = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment registry for ${networkName}. Deploy first or pass --address.`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Runs `action` for each address that `shouldProcess` accepts; failures are recorded, not thrown
+async function processAddresses(addresses, { shouldProcess, action, skipReason, dryRun }) {
+  const results = [];
+  for (const address of addresses) {
+    if (!(await shouldProcess(address))) {
+      results.push({ address, status: "skipped", reason: skipReason });
+    } else if (dryRun) {
+      results.push({ address, status: "pending" });
+    } else {
+      try {
+        const { hash } = await action(address);
+        results.push({ address, status: "done", hash });
+      } catch (error) {
+        results.push({ address, status: "failed", reason: error.reason ?? error.message });
+      }
+    }
+  }
+  return results;
+}
+
+async function authorizeVerifiers(client, addresses, { dryRun = false } = {}) {
+  return processAddresses(addresses, {
+    shouldProcess: async (address) => !(await client.getRoles(address)).verifier,
+    action: (address) => client.authorizeVerifier(address),
+    skipReason: "already a verifier",
+    dryRun,
+  });
+}
+
+async function revokeVerifiers(client, addresses, { dryRun = false } = {}) {
+  return processAddresses(addresses, {
+    shouldProcess: async (address) => (await client.getRoles(address)).verifier,
+    action: (address) => client.revokeVerifier(address),
+    skipReason: "not a verifier",
+    dryRun,
+  });
+}
+
+async function revokeProofs(client, addresses, { reason = "Unspecified", dryRun = false } = {}) {
+  return processAddresses(addresses, {
+    shouldProcess: async (address) => (await client.getIdentityStatus(address)).isActive,
+    action: (address) => client.revokeIdentityProof(address, reason),
+    skipReason: "no active identity proof",
+    dryRun,
+  });
+}
+
+async function getStats(client) {
+  const [stats, policy, revocationCooldowns, admins, verifiers, auditors, consumers, owner] = await Promise.all([
+    client.getContractStats(),
+    client.getPolicy(),
+    client.getRevocationCooldowns(),
+    client.getRoleMembers("ADMIN"),
+    client.getRoleMembers("VERIFIER"),
+    client.getRoleMembers("AUDITOR"),
+    client.getRoleMembers("CONSUMER"),
+    client.getOwner(),
+  ]);
+  return { ...stats, policy, revocationCooldowns, owner, roles: { admins, verifiers, auditors, consumers } };
+}
+
+// Users from registration and migration history whose proof is still active but past its expiry
+async function findExpiredProofs(client, { fromBlock = 0 } = {}) {
+  const events = await client.queryEvents({ fromBlock, eventNames: ["IdentityProofRegistered", "IdentityMigrated"] });
+  const users = [...new Set(events.map((event) => event.args.user ?? event.args.to))];
+  const { currentTime } = await client.getContractStats();
+
+  const expired = [];
+  for (const user of users) {
+    const { isActive, expiryTime } = await client.getIdentityStatus(user);
+    if (isActive && expiryTime <= currentTime) expired.push(user);
+  }
+  return { scanned: users.length, expired };
+}
+
+// Takes up to batchSize users at a time and halves the batch until its estimate fits under maxGas
+async function planSweepBatches(client, users, { batchSize = DEFAULT_BATCH_SIZE, maxGas = DEFAULT_MAX_GAS } = {}) {
+  const batches = [];
+  let remaining = users;
+
+  while (remaining.length > 0) {
+    let size = Math.min(batchSize, remaining.length);
+    let estimatedGas = await client.estimateCleanupGas(remaining.slice(0, size));
+    while (estimatedGas > maxGas && size > 1) {
+      size = Math.ceil(size / 2);
+      estimatedGas = await client.estimateCleanupGas(remaining.slice(0, size));
+    }
+    if (estimatedGas > maxGas) {
+      throw new Error(`Cleaning up a single proof needs ${estimatedGas} gas, above --max-gas ${maxGas}`);
+    }
+
+    batches.push({ users: remaining.slice(0, size), estimatedGas });
+    remaining = remaining.slice(size);
+  }
+  return batches;
+}
+
+async function sweep(client, { fromBlock = 0, batchSize, maxGas, dryRun = false } = {}) {
+  const { scanned, expired } = await findExpiredProofs(client, { fromBlock });
+  const batches = await planSweepBatches(client, expired, { batchSize, maxGas });
+
+  if (!dryRun) {
+    for (const batch of batches) {
+      const { hash, events } = await client.cleanupExpiredProofs(batch.users);
+      batch.hash = hash;
+      batch.cleaned = events.filter((event) => event.name === "ProofExpired").length;
+    }
+  }
+  return { scanned, expired: expired.length, batches };
+}
+
+const COMMANDS = {
+  authorize: { needsFile: true, run: (client, file, options) => authorizeVerifiers(client, readAddressCsv(file), options) },
+  "revoke-verifiers": { needsFile: true, run: (client, file, options) => revokeVerifiers(client, readAddressCsv(file), options) },
+  "revoke-proofs": { needsFile: true, run: (client, file, options) => revokeProofs(client, readAddressCsv(file), options) },
+  stats: { run: (client) => getStats(client) },
+  sweep: { run: (client, _file, options) => sweep(client, options) },
+};
+
+function printText(command, result, { dryRun }) {
+  if (command === "stats") {
+    console.log(`Owner:               ${result.owner}`);
+    console.log(`Total verifications: ${result.totalVerifications}`);
+    console.log(`Active requests:     ${result.activeRequests}`);
+    console.log("Policy:");
+    for (const [name, value] of Object.entries(result.policy)) console.log(`  ${name}: ${value}`);
+    console.log("Re-registration cooldowns after revocation (seconds):");
+    for (const [reason, cooldown] of Object.entries(result.revocationCooldowns)) console.log(`  ${reason}: ${cooldown}`);
+    for (const [role, members] of Object.entries(result.roles)) {
+      console.log(`${role[0].toUpperCase()}${role.slice(1)} (${members.length}):`);
+      members.forEach((member) => console.log(`  ${member}`));
+    }
+    return;
+  }
+
+  if (command === "sweep") {
+    console.log(`Scanned ${result.scanned} registered users, ${result.expired} with expired active proofs.`);
+    result.batches.forEach((batch, i) => {
+      const outcome = dryRun ? "would be sent" : `sent in ${batch.hash} (${batch.cleaned} cleaned)`;
+      console.log(`Batch ${i + 1}: ${batch.users.length} users, ~${batch.estimatedGas} gas, ${outcome}`);
+    });
+    return;
+  }
+
+  for (const { address, status, hash, reason } of result) {
+    const detail = hash ?? reason ?? (dryRun ? "would be sent" : "");
+    console.log(`${status.padEnd(8)} ${address} ${detail}`);
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function hasFailures(result) {
+  return Array.isArray(result) && result.some((entry) => entry.status === "failed");
+}
+
+async function main(argv) {
+  const { command, args, options } = parseArgs(argv);
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  if (definition.needsFile && !args[0]) throw new Error(`${command} needs a CSV file`);
+
+  // Select the network before Hardhat loads its runtime environment
+  if (options.network) process.env.HARDHAT_NETWORK = options.network;
+  const hre = require("hardhat");
+  const networkName = hre.network.name;
+
+  const deployment = options.address ? { address: options.address } : loadDeployment(networkName);
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) throw new Error(`No account configured for ${networkName}. Set PRIVATE_KEY.`);
+
+  const client = new IdentityVerificationClient(deployment.address, signer, { abi: deployment.abi });
+  const result = await definition.run(client, args[0], {
+    ...options,
+    fromBlock: options.fromBlock ?? deployment.deployBlock ?? 0,
+  });
+
+  if (options.json) {
+    console.log(toJson({ command, network: networkName, contract: deployment.address, dryRun: options.dryRun, result }));
+  } else {
+    console.log(`${command} on ${networkName} (${deployment.address})${options.dryRun ? " [dry run]" : ""}`);
+    printText(command, result, options);
+  }
+
+  if (hasFailures(result)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  readAddressCsv,
+  authorizeVerifiers,
+  revokeVerifiers,
+  revokeProofs,
+  getStats,
+  findExpiredProofs,
+  planSweepBatches,
+  sweep,
+};
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Defaults for the initial verification policy; each can be overridden with the env var of the same name
+const DEFAULT_POLICY = {
+  PROOF_VALIDITY_PERIOD: 30 * 24 * 60 * 60, // seconds
+  CHALLENGE_VALIDITY_PERIOD: 60 * 60, // seconds
+  MIN_IDENTITY_SCORE: 75,
+  MAX_REQUESTS_PER_USER: 5,
+  PROOF_TOLERANCE_PERCENT: 1,
+  REQUEST_WINDOW: 24 * 60 * 60, // seconds
+};
+
+// Comma-separated list of addresses to authorize right after deployment
+function parseInitialVerifiers() {
+  const raw = process.env.INITIAL_VERIFIERS || "";
+  const verifiers = raw
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  for (const verifier of verifiers) {
+    if (!hre.ethers.isAddress(verifier)) {
+      throw new Error(`Invalid address in INITIAL_VERIFIERS: ${verifier}`);
+    }
+  }
+  return verifiers;
+}
+
+function parsePolicy() {
+  const values = {};
+  for (const [name, fallback] of Object.entries(DEFAULT_POLICY)) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === "") {
+      values[name] = fallback;
+    } else if (/^\d+$/.test(raw.trim())) {
+      values[name] = Number(raw.trim());
+    } else {
+      throw new Error(`Invalid ${name}: ${raw}`);
+    }
+  }
+
+  return {
+    proofValidityPeriod: values.PROOF_VALIDITY_PERIOD,
+    challengeValidityPeriod: values.CHALLENGE_VALIDITY_PERIOD,
+    minIdentityScore: values.MIN_IDENTITY_SCORE,
+    maxRequestsPerUser: values.MAX_REQUESTS_PER_USER,
+    proofTolerancePercent: values.PROOF_TOLERANCE_PERCENT,
+    requestWindow: values.REQUEST_WINDOW,
+  };
+}
+
+function writeDeployment(networkName, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  return file;
+}
+
+async function main() {
+  const networkName = hre.network.name;
+  const initialVerifiers = parseInitialVerifiers();
+  const policy = parsePolicy();
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  console.log(`Deploying AnonymousIdentityVerification to ${networkName} (chain ${chainId})`);
+  console.log(`Deployer: ${deployer.address}`);
+  console.log("Policy:", policy);
+
+  const factory = await hre.ethers.getContractFactory("AnonymousIdentityVerification");
+  const contract = await factory.deploy(policy);
+  await contract.waitForDeployment();
+
+  const address = await contract.getAddress();
+  const receipt = await contract.deploymentTransaction().wait();
+  console.log(`Contract deployed to: ${address} (block ${receipt.blockNumber})`);
+
+  for (const verifier of initialVerifiers) {
+    const tx = await contract.authorizeVerifier(verifier);
+    await tx.wait();
+    console.log(`Authorized verifier: ${verifier}`);
+  }
+
+  if (networkName === "hardhat") {
+    console.log("In-process hardhat network is discarded on exit; skipping deployment registry.");
+    return;
+  }
+
+  const artifact = await hre.artifacts.readArtifact("AnonymousIdentityVerification");
+  const file = writeDeployment(networkName, {
+    network: networkName,
+    chainId: Number(chainId),
+    address,
+    deployBlock: receipt.blockNumber,
+    deployer: deployer.address,
+    policy,
+    transactionHash: receipt.hash,
+    deployedAt: new Date().toISOString(),
+    // The page reaches the local node directly for the FHEVM mock's relayer methods
+    ...(networkName === "localhost" && { rpcUrl: hre.network.config.url }),
+    abi: artifact.abi,
+  });
+  console.log(`Deployment registry written to ${path.relative(process.cwd(), file)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+// Local development mode: one command for an offline end-to-end setup.
+//
+//   npm run dev
+//
+// Starts a Hardhat node with the FHEVM mock, deploys the contract and seeds sample data
+// (scripts/deploy.js and scripts/seed.js against --network localhost), relays decryption
+// oracle requests on every new block, runs the event indexer (scripts/indexer.js) and serves
+// the page. Ctrl+C stops everything.
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const HARDHAT_CLI = require.resolve("hardhat/internal/cli/cli");
+
+// Hardhat's localhost network always points at this address
+const RPC_URL = "http://127.0.0.1:8545";
+const DEFAULT_WEB_PORT = 8080;
+const NODE_START_TIMEOUT_MS = 120_000;
+const ORACLE_POLL_INTERVAL_MS = 1000;
+const INDEXER_PORT = 8081;
+const INDEXER_POLL_INTERVAL_MS = 1000;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".cjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".svg": "image/svg+xml",
+  ".wasm": "application/wasm",
+};
+
+function hardhat(args, options = {}) {
+  return spawn(process.execPath, [HARDHAT_CLI, ...args], { cwd: ROOT_DIR, stdio: "inherit", ...options });
+}
+
+function runHardhat(args) {
+  return new Promise((resolve, reject) => {
+    const child = hardhat(args);
+    child.on("error", reject);
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`hardhat ${args.join(" ")} exited with ${code}`))));
+  });
+}
+
+async function rpc(method, params = []) {
+  const response = await fetch(RPC_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+  });
+  const { result, error } = await response.json();
+  if (error) throw new Error(error.message);
+  return result;
+}
+
+async function waitForNode(node) {
+  const deadline = Date.now() + NODE_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (node.exitCode !== null) throw new Error(`Hardhat node exited with ${node.exitCode}`);
+    try {
+      // Only answered once the FHEVM mock is set up, not just when the port is open
+      return await rpc("fhevm_relayer_metadata");
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error(`Hardhat node did not start within ${NODE_START_TIMEOUT_MS / 1000}s`);
+}
+
+// The mock decryption oracle only fulfils requests when asked; do that whenever a block is mined
+function relayDecryptionOracle() {
+  let lastBlock;
+  let busy = false;
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const block = await rpc("eth_blockNumber");
+      if (block !== lastBlock) {
+        lastBlock = block;
+        await rpc("fhevm_awaitDecryptionOracle");
+      }
+    } catch (error) {
+      console.error(`Decryption oracle relay failed: ${error.message}`);
+    } finally {
+      busy = false;
+    }
+  }, ORACLE_POLL_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+// Serves files below rootDir; anything outside it is a 404
+function createStaticServer(rootDir) {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    if (pathname.endsWith("/")) pathname += "index.html";
+
+    const file = path.join(rootDir, pathname);
+    if (!file.startsWith(rootDir + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("Not found");
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(file)] ?? "application/octet-stream",
+      // Deployments change on every run
+      "Cache-Control": "no-cache",
+    });
+    if (req.method === "HEAD") {
+      res.end();
+    } else {
+      fs.createReadStream(file).pipe(res);
+    }
+  });
+}
+
+async function main() {
+  const webPort = Number(process.env.PORT || DEFAULT_WEB_PORT);
+
+  console.log("Starting Hardhat node with the FHEVM mock...");
+  const node = hardhat(["node"], { stdio: ["ignore", "ignore", "inherit"] });
+  let stopOracle = () => {};
+  let indexer;
+  let server;
+  let stopping = false;
+
+  const shutdown = (code = 0) => {
+    stopping = true;
+    stopOracle();
+    if (indexer?.exitCode === null) indexer.kill();
+    if (server) server.close();
+    if (node.exitCode === null) node.kill();
+    process.exitCode = code;
+  };
+  process.once("SIGINT", () => shutdown());
+  process.once("SIGTERM", () => shutdown());
+  node.once("exit", (code) => {
+    if (!stopping && server) {
+      console.error(`Hardhat node exited with ${code}`);
+      shutdown(1);
+    }
+  });
+
+  let chainId;
+  try {
+    ({ chainId } = await waitForNode(node));
+    await runHardhat(["run", "scripts/deploy.js", "--network", "localhost"]);
+    await runHardhat(["run", "scripts/seed.js", "--network", "localhost"]);
+    stopOracle = relayDecryptionOracle();
+    // Every run starts a new chain; the indexer notices the replaced blocks and reindexes
+    indexer = spawn(process.execPath, [
+      path.join(__dirname, "indexer.js"), "--network", "localhost",
+      "--port", String(INDEXER_PORT), "--poll-interval", String(INDEXER_POLL_INTERVAL_MS),
+    ], { cwd: ROOT_DIR, stdio: ["ignore", "ignore", "inherit"] });
+
+    server = createStaticServer(ROOT_DIR);
+    await new Promise((resolve, reject) => server.once("error", reject).listen(webPort, "127.0.0.1", resolve));
+  } catch (error) {
+    shutdown(1);
+    throw error;
+  }
+
+  console.log("");
+  console.log(`App:     http://127.0.0.1:${webPort}/`);
+  console.log(`Network: ${RPC_URL} (chain ${chainId})`);
+  console.log(`Indexer: http://127.0.0.1:${INDEXER_PORT}/api/status`);
+  console.log("Add this network to your wallet and import a seeded account. Press Ctrl+C to stop.");
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
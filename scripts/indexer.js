@@ -0,0 +1,156 @@
+// Local event indexer: follows the contract's events into SQLite and serves statistics as JSON.
+//
+//   node scripts/indexer.js [options]
+//
+// The network is taken from --network (or HARDHAT_NETWORK). The contract address, ABI and
+// deployment block come from deployments/<network>.json unless --address is given. The Admin
+// Panel's statistics dashboard reads the API.
+const fs = require("fs");
+const path = require("path");
+
+const { EventStore } = require("../indexer/store");
+const { EventIndexer } = require("../indexer/indexer");
+const { createApiServer } = require("../indexer/api");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+const DEFAULT_PORT = 8081;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+const USAGE = `Usage: node scripts/indexer.js [options]
+
+Options:
+  --network <name>        Hardhat network to use (default: HARDHAT_NETWORK or hardhat)
+  --address <address>     Contract address, overriding the deployment registry
+  --from-block <n>        First block to index (default: the deployment block)
+  --db <file>             SQLite database (default: data/<network>.sqlite)
+  --port <n>              API port (default: ${DEFAULT_PORT})
+  --host <host>           API host (default: ${DEFAULT_HOST})
+  --confirmations <n>     Blocks to stay behind the chain head (default: 0)
+  --poll-interval <ms>    Time between syncs (default: ${DEFAULT_POLL_INTERVAL_MS})
+  --once                  Sync once and exit without serving the API
+  --help                  Show this message
+
+Endpoints:
+  GET /api/status
+  GET /api/stats/summary
+  GET /api/stats/daily?days=30
+  GET /api/stats/verifiers
+  GET /api/events?name=&limit=100&offset=0`;
+
+const FLAGS = new Set(["once", "help"]);
+const OPTIONS = new Set(["network", "address", "from-block", "db", "port", "host", "confirmations", "poll-interval"]);
+const INTEGER_OPTIONS = ["fromBlock", "port", "confirmations", "pollInterval"];
+
+function parseArgs(argv) {
+  const options = { once: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument: ${arg}`);
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (FLAGS.has(name)) {
+      options[key] = true;
+    } else if (OPTIONS.has(name)) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new Error(`Missing value for --${name}`);
+      options[key] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  for (const name of INTEGER_OPTIONS) {
+    if (options[name] === undefined) continue;
+    if (!/^\d+$/.test(options[name])) throw new Error(`Invalid ${name}: ${options[name]}`);
+    options[name] = Number(options[name]);
+  }
+  return {
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    confirmations: 0,
+    pollInterval: DEFAULT_POLL_INTERVAL_MS,
+    ...options,
+  };
+}
+
+function loadDeployment(networkName) {
+  const file = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment registry for ${networkName}. Deploy first or pass --address.`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function describeSync({ fromBlock, toBlock, events, rolledBackTo }) {
+  const reorg = rolledBackTo === null ? "" : `, reorg: rolled back to block ${rolledBackTo}`;
+  return toBlock < fromBlock ? null : `Indexed blocks ${fromBlock}-${toBlock}: ${events} events${reorg}`;
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Select the network before Hardhat loads its runtime environment
+  if (options.network) process.env.HARDHAT_NETWORK = options.network;
+  const hre = require("hardhat");
+  const networkName = hre.network.name;
+
+  const deployment = options.address ? { address: options.address } : loadDeployment(networkName);
+  const store = new EventStore(options.db ?? path.join(DATA_DIR, `${networkName}.sqlite`));
+  const indexer = new EventIndexer({
+    provider: hre.ethers.provider,
+    address: deployment.address,
+    abi: deployment.abi,
+    store,
+    fromBlock: options.fromBlock ?? deployment.deployBlock ?? 0,
+    confirmations: options.confirmations,
+  });
+
+  console.log(`Indexing ${deployment.address} on ${networkName}`);
+  if (options.once) {
+    try {
+      console.log(describeSync(await indexer.sync()) ?? "Already up to date");
+    } finally {
+      store.close();
+    }
+    return;
+  }
+
+  const server = createApiServer(store);
+  await new Promise((resolve, reject) => server.once("error", reject).listen(options.port, options.host, resolve));
+  console.log(`API:     http://${options.host}:${options.port}/api/status`);
+
+  indexer.start({
+    pollInterval: options.pollInterval,
+    onSync: (result) => {
+      const message = describeSync(result);
+      if (message) console.log(message);
+    },
+    onError: (error) => console.error(`Sync failed: ${error.message}`),
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+    store.close();
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs };
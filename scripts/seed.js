@@ -0,0 +1,88 @@
+// Seeds a local deployment with sample verifiers and identities for development.
+//
+//   npx hardhat run scripts/seed.js --network localhost
+//
+// Uses the Hardhat node's default accounts: #0 is the deployer and admin, #1-#2 become verifiers
+// and #3-#5 register encrypted identities. Run scripts/deploy.js first.
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+const { IdentityVerificationClient } = require("../sdk/IdentityVerificationClient");
+const { createLocalFhevmInstance } = require("../sdk/LocalFhevmInstance");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+const SAMPLE_VERIFIERS = 2;
+const SAMPLE_IDENTITIES = [
+  { credential: 123456, score: 90 },
+  { credential: 654321, score: 82 },
+  { credential: 111111, score: 76 },
+];
+
+async function main() {
+  const networkName = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`Refusing to seed sample data on ${networkName} (chain ${chainId}); this is for local nodes only.`);
+  }
+
+  const file = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No deployment registry at ${file}. Run scripts/deploy.js first.`);
+  const { address, abi } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  // Same route as the page: straight to the node, which answers the FHEVM mock relayer methods
+  const fhevm = await createLocalFhevmInstance(hre.network.config.url);
+  const signers = await hre.ethers.getSigners();
+  const clientFor = (signer) => new IdentityVerificationClient(address, signer, { abi, fhevm });
+
+  const [admin] = signers;
+  const verifiers = signers.slice(1, 1 + SAMPLE_VERIFIERS);
+  const users = signers.slice(1 + SAMPLE_VERIFIERS, 1 + SAMPLE_VERIFIERS + SAMPLE_IDENTITIES.length);
+
+  console.log(`Seeding ${address} on ${networkName}`);
+  for (const verifier of verifiers) {
+    if (!(await clientFor(admin).getRoles(verifier.address)).verifier) {
+      await clientFor(admin).authorizeVerifier(verifier.address);
+    }
+    printAccount("Verifier", verifier.address);
+  }
+
+  for (const [i, user] of users.entries()) {
+    const { credential, score } = SAMPLE_IDENTITIES[i];
+    const client = clientFor(user);
+    if (!(await client.getIdentityStatus(user.address)).isActive) {
+      await client.registerIdentity(credential, score);
+    }
+    // Let the first verifier run checks against every sample identity
+    await client.grantConsent(verifiers[0].address);
+    printAccount("Identity", user.address, `credential ${credential}, score ${score}`);
+  }
+
+  printAccount("Admin", admin.address);
+  console.log("Import these accounts into your wallet to use them from the page.");
+}
+
+// The node's accounts come from the hardhat network mnemonic, so their keys can be shown here
+function privateKeyOf(address) {
+  const { accounts } = hre.config.networks.hardhat;
+  if (!accounts.mnemonic) return undefined;
+
+  for (let i = accounts.initialIndex; i < accounts.initialIndex + accounts.count; i++) {
+    const wallet = hre.ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, accounts.passphrase, `${accounts.path}/${i}`);
+    if (wallet.address === address) return wallet.privateKey;
+  }
+  return undefined;
+}
+
+function printAccount(label, address, detail) {
+  console.log(`${label.padEnd(9)} ${address}${detail ? ` (${detail})` : ""}`);
+  const privateKey = privateKeyOf(address);
+  if (privateKey) console.log(`          key ${privateKey}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
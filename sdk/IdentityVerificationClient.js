@@ -0,0 +1,1349 @@
+// IdentityVerificationClient
+// Framework-free wrapper around the AnonymousIdentityVerification contract.
+// Works in Node (require('./sdk/IdentityVerificationClient')) and in the browser,
+// where it is exposed as window.IdentityVerificationSDK after ethers has loaded.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'));
+    } else {
+        root.IdentityVerificationSDK = factory(root.ethers);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ethers) {
+    'use strict';
+
+    // Used when no deployment ABI is supplied
+    const IDENTITY_VERIFICATION_ABI = [
+        // Events
+        'event IdentityProofRegistered(address indexed user, uint256 timestamp)',
+        'event VerificationRequested(uint32 indexed requestId, address indexed requester)',
+        'event VerificationCompleted(uint32 indexed requestId, bool approved, address indexed requester)',
+        'event VerificationCancelled(uint32 indexed requestId, address indexed requester)',
+        'event VerificationExpired(uint32 indexed requestId, address indexed requester, address indexed reclaimedBy)',
+        'event VerifierAuthorized(address indexed verifier)',
+        'event VerifierRevoked(address indexed verifier)',
+        'event ProofExpired(address indexed user)',
+        'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+        'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+        'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+        'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+        'event ConsentGranted(address indexed user, address indexed verifier, uint64 expiresAt, uint32 maxUses)',
+        'event ConsentRevoked(address indexed user, address indexed verifier)',
+        'event IdentityChecked(address indexed user, address indexed verifier, uint8 checkType)',
+        'event IdentityMigrationProposed(address indexed from, address indexed to, address indexed proposedBy, uint64 executableAt)',
+        'event IdentityMigrationCancelled(address indexed from, address indexed to, address indexed sender)',
+        'event IdentityMigrated(address indexed from, address indexed to, address indexed proposedBy)',
+        'event IdentityRevoked(address indexed user, address indexed verifier, uint8 reasonCode)',
+        'event RevocationCooldownUpdated(uint8 indexed reason, uint64 cooldown, address indexed sender)',
+        'event RegistrationBlockLifted(address indexed user, address indexed sender)',
+        'event CredentialRotated(address indexed user, uint32 version)',
+        'event ScorePredicateEvaluated(address indexed verifier, address indexed user, uint8 minScore, uint8 maxScore, bytes32 result)',
+        'event PolicyUpdated((uint64 proofValidityPeriod, uint64 challengeValidityPeriod, uint8 minIdentityScore, uint32 maxRequestsPerUser, uint8 proofTolerancePercent, uint64 requestWindow) policy, address indexed sender)',
+
+        // View Functions
+        'function owner() view returns (address)',
+        'function pendingOwner() view returns (address)',
+        'function hasRole(bytes32 role, address account) view returns (bool)',
+        'function getRoles(address account) view returns (bool isAdmin, bool isVerifier, bool isAuditor)',
+        'function getRoleMembers(bytes32 role) view returns (address[])',
+        'function getIdentityStatus(address user) view returns (bool isActive, bool isVerified, uint256 expiryTime, uint256 timestamp)',
+        'function getVerificationRequestInfo(uint32 requestId) view returns (address requester, bool isCompleted, bool isApproved, uint256 requestTime, uint256 challengeExpiryTime, uint8 status)',
+        'function getUserRequests(address user, uint256 offset, uint256 limit) view returns (uint32[] requestIds, uint256 total)',
+        'function getRequestAllowance(address user) view returns (uint32 remaining, uint256 nextRequestTime)',
+        'function getVerificationChallenge(uint32 requestId) view returns (bytes32)',
+        'function getContractStats() view returns (uint32 totalVerificationsCount, uint32 activeRequests, uint256 currentTime)',
+        'function getPolicy() view returns ((uint64 proofValidityPeriod, uint64 challengeValidityPeriod, uint8 minIdentityScore, uint32 maxRequestsPerUser, uint8 proofTolerancePercent, uint64 requestWindow))',
+        'function getConsentGrants(address user) view returns (address[] verifiers, (uint64 grantedAt, uint64 expiresAt, uint32 maxUses, uint32 useCount)[] grants)',
+        'function hasConsent(address user, address verifier) view returns (bool)',
+        'function isIdentityVerified(address user) view returns (bool)', // Registered consumer contracts only
+        'function isRegisteredConsumer(address consumer) view returns (bool)',
+        'function getIdentityMigration(address from) view returns ((address newAddress, address proposedBy, uint64 executableAt))',
+        'function getRevocation(address user) view returns ((address verifier, uint64 revokedAt, uint64 blockedUntil, uint8 reason))',
+        'function revocationCooldowns(uint8 reason) view returns (uint64)',
+        'function credentialVersions(address user) view returns (uint32)',
+
+        // Write Functions
+        'function registerIdentityProof(bytes32 encryptedCredentialInput, bytes32 encryptedScoreInput, bytes inputProof)',
+        'function registerIdentityProof(uint32 credential, uint8 score)', // Demo only: plaintext calldata
+        'function rotateCredential(bytes32 encryptedCredentialInput, bytes32 encryptedScoreInput, bytes inputProof)',
+        'function rotateCredential(uint32 credential, uint8 score)', // Demo only: plaintext calldata
+        'function requestVerification() returns (uint32 requestId)',
+        'function submitVerificationProof(uint32 requestId, uint32 proofData)',
+        'function cancelVerificationRequest(uint32 requestId)',
+        'function expireVerificationRequest(uint32 requestId)',
+        'function renewIdentityProof()',
+        'function proposeIdentityMigration(address newAddress)',
+        'function proposeIdentityRecovery(address lostAddress, address newAddress)',
+        'function acceptIdentityMigration(address from)',
+        'function cancelIdentityMigration(address from)',
+        'function grantConsent(address verifier, uint64 expiresAt, uint32 maxUses)',
+        'function revokeConsent(address verifier)',
+        'function verifyIdentityAnonymously(address user) returns (bool)',
+        'function checkScoreThreshold(address user, uint8 threshold) returns (bytes32)',
+        'function checkScoreRange(address user, uint8 minScore, uint8 maxScore) returns (bytes32)',
+        'function authorizeVerifier(address verifier)',
+        'function revokeVerifier(address verifier)',
+        'function registerConsumer(address consumer)',
+        'function unregisterConsumer(address consumer)',
+        'function grantRole(bytes32 role, address account)',
+        'function revokeRole(bytes32 role, address account)',
+        'function transferOwnership(address newOwner)',
+        'function acceptOwnership()',
+        'function updatePolicy((uint64 proofValidityPeriod, uint64 challengeValidityPeriod, uint8 minIdentityScore, uint32 maxRequestsPerUser, uint8 proofTolerancePercent, uint64 requestWindow) newPolicy)',
+        'function revokeIdentityProof(address user, uint8 reason)',
+        'function setRevocationCooldown(uint8 reason, uint64 cooldown)',
+        'function liftRegistrationBlock(address user)',
+        'function cleanupExpiredProofs(address[] calldata users)',
+
+        // Errors
+        'error Unauthorized(address account)',
+        'error NotAuthorizedVerifier(address account)',
+        'error NotPendingOwner(address account)',
+        'error InvalidAddress()',
+        'error UnknownRole(bytes32 role)',
+        'error CannotRevokeOwner()',
+        'error InvalidPolicy(string field)',
+        'error NoActiveIdentityProof(address user)',
+        'error IdentityProofExpired(address user, uint256 expiredAt)',
+        'error IdentityNotVerified(address user)',
+        'error IdentityScoreTooLow(uint8 score, uint8 minScore)',
+        'error InvalidCredential()',
+        'error RequestLimitExceeded(uint32 maxRequests, uint256 nextRequestTime)',
+        'error AlreadyVerified(address user)',
+        'error UnknownRequest(uint32 requestId)',
+        'error NotRequester(uint32 requestId, address requester)',
+        'error RequestNotPending(uint32 requestId, uint8 status)',
+        'error ChallengeExpired(uint32 requestId, uint256 expiredAt)',
+        'error ChallengeStillValid(uint32 requestId, uint256 expiresAt)',
+        'error UnknownDecryptionRequest(uint256 decryptionRequestId)',
+        'error InvalidConsentExpiry(uint64 expiresAt)',
+        'error NoConsent(address user, address verifier)',
+        'error ConsentExpired(address user, address verifier, uint64 expiredAt)',
+        'error ConsentUsesExhausted(address user, address verifier, uint32 maxUses)',
+        'error InvalidScoreRange(uint8 minScore, uint8 maxScore)',
+        'error NotRegisteredConsumer(address account)',
+        'error InvalidMigrationTarget(address to)',
+        'error IdentityAlreadyRegistered(address user)',
+        'error PendingVerificationRequests(address user, uint32 count)',
+        'error NoPendingMigration(address from, address to)',
+        'error MigrationNotReady(address from, uint64 executableAt)',
+        'error RegistrationBlocked(address user, uint64 blockedUntil)',
+        'error RegistrationNotBlocked(address user)',
+        'error IdentityNotRegistered(address user)'
+    ];
+
+    // The contract's custom errors are the same whichever ABI a client was given
+    const ERRORS_INTERFACE = new ethers.Interface(IDENTITY_VERIFICATION_ABI.filter(item => item.startsWith('error ')));
+
+    const ROLES = {
+        ADMIN: ethers.id('ADMIN_ROLE'),
+        VERIFIER: ethers.id('VERIFIER_ROLE'),
+        AUDITOR: ethers.id('AUDITOR_ROLE'),
+        CONSUMER: ethers.id('CONSUMER_ROLE')
+    };
+
+    // Index matches the contract's CheckType enum
+    const CHECK_TYPES = ['Verification', 'ScoreThreshold', 'ScoreRange'];
+
+    // Index matches the contract's RequestStatus enum
+    const REQUEST_STATUSES = ['Pending', 'Approved', 'Rejected', 'Cancelled', 'Expired', 'Submitted'];
+
+    // Index matches the contract's RevocationReason enum
+    const REVOCATION_REASONS = ['Unspecified', 'Fraud', 'KeyCompromised', 'InvalidDocuments', 'UserRequested'];
+
+    // Revocation cooldown (and blockedUntil) meaning the user may never register again
+    const PERMANENT_BLOCK = 2n ** 64n - 1n;
+
+    // Matches the contract's ORACLE_TIMEOUT: seconds after its challenge expires that a submitted
+    // request waits for the decryption oracle before anyone may expire it
+    const ORACLE_TIMEOUT = 24 * 60 * 60;
+
+    // EIP-712 type of a presentation; the domain binds it to one contract on one chain
+    const PRESENTATION_TYPES = {
+        Presentation: [
+            { name: 'holder', type: 'address' },
+            { name: 'nonce', type: 'bytes32' },
+            { name: 'issuedAt', type: 'uint64' },
+            { name: 'expiresAt', type: 'uint64' }
+        ]
+    };
+    const PRESENTATION_VERSION = 1;
+    const DEFAULT_PRESENTATION_TTL = 5 * 60;
+    // Longest lifetime verifyPresentation accepts by default, so a leaked presentation soon stops working
+    const MAX_PRESENTATION_TTL = 60 * 60;
+    // Allowed difference between the holder's and the checker's clocks
+    const PRESENTATION_CLOCK_SKEW = 60;
+
+    /**
+     * @typedef {Object} TransactionResult
+     * @property {string} hash
+     * @property {number} blockNumber
+     * @property {ContractEvent[]} events Events emitted by this contract in the transaction
+     */
+
+    /**
+     * @typedef {Object} TransactionEstimate
+     * @property {string} method
+     * @property {bigint} gasLimit
+     * @property {bigint} gasPrice Wei per gas used for the estimate
+     * @property {bigint} cost gasLimit * gasPrice, in wei
+     */
+
+    /**
+     * Everything needed to resume watching a sent transaction, e.g. after a page reload.
+     * @typedef {Object} SubmittedTransaction
+     * @property {string} hash
+     * @property {string} method
+     * @property {string} from
+     * @property {string} to
+     * @property {number} nonce
+     * @property {string} data
+     * @property {bigint} value
+     * @property {number} chainId
+     * @property {number} startBlock Latest block when the transaction was sent
+     */
+
+    /**
+     * @typedef {Object} TransactionHooks
+     * @property {(estimate: TransactionEstimate) => void} [onTransactionEstimated] Called before the transaction is sent
+     * @property {(tx: SubmittedTransaction) => void} [onTransactionSubmitted] Called once a transaction is sent, before it is mined
+     * @property {(replacement: { hash: string, replacementHash: string, reason: string, method: string }) => void} [onTransactionReplaced]
+     *     Called when the wallet sped up (reason "repriced") a transaction that is then still treated as successful
+     */
+
+    /**
+     * @typedef {Object} ContractEvent
+     * @property {string} name
+     * @property {Object<string, *>} args Integers of up to 32 bits are numbers, wider ones bigints
+     * @property {number} blockNumber
+     * @property {string} transactionHash
+     * @property {number} logIndex
+     */
+
+    /**
+     * @typedef {Object} IdentityStatus
+     * @property {boolean} isActive
+     * @property {boolean} isVerified
+     * @property {bigint} expiryTime
+     * @property {bigint} timestamp
+     */
+
+    /**
+     * @typedef {Object} VerificationRequestInfo
+     * @property {number} requestId
+     * @property {string} requester
+     * @property {boolean} isCompleted
+     * @property {boolean} isApproved
+     * @property {bigint} requestTime
+     * @property {bigint} challengeExpiryTime
+     * @property {number} status Index into REQUEST_STATUSES
+     */
+
+    /**
+     * @typedef {Object} Policy
+     * @property {bigint} proofValidityPeriod Seconds
+     * @property {bigint} challengeValidityPeriod Seconds
+     * @property {number} minIdentityScore
+     * @property {number} maxRequestsPerUser Per requestWindow
+     * @property {number} proofTolerancePercent
+     * @property {bigint} requestWindow Seconds
+     */
+
+    /**
+     * @typedef {Object} ConsentGrant
+     * @property {string} verifier
+     * @property {bigint} grantedAt
+     * @property {bigint} expiresAt 0n when the grant never expires
+     * @property {number} maxUses 0 when unlimited
+     * @property {number} useCount
+     */
+
+    /**
+     * @typedef {Object} IdentityMigration
+     * @property {string} newAddress
+     * @property {string} proposedBy The old address itself, or the verifier proposing a recovery
+     * @property {bigint} executableAt When newAddress may accept
+     */
+
+    /**
+     * Signed by the holder to show an off-chain checker that their address is verified.
+     * @typedef {Object} Presentation
+     * @property {number} chainId
+     * @property {string} contract
+     * @property {string} holder
+     * @property {string} nonce 32 random bytes, so a checker can recognize a presentation it has seen
+     * @property {number} issuedAt
+     * @property {number} expiresAt
+     * @property {string} signature EIP-712 signature of the holder
+     */
+
+    /**
+     * @typedef {Object} PresentationCheck
+     * @property {boolean} valid True only if every check passed
+     * @property {string|null} reason WRONG_CONTRACT, WRONG_CHAIN, NOT_YET_VALID, TTL_TOO_LONG, EXPIRED,
+     *     BAD_SIGNATURE or NOT_VERIFIED
+     * @property {string} holder
+     * @property {number} expiresAt
+     * @property {IdentityStatus|null} status The holder's on-chain status, once the signature checked out
+     */
+
+    /**
+     * @typedef {Object} Revocation
+     * @property {string} verifier Who revoked the proof
+     * @property {bigint} revokedAt
+     * @property {bigint} blockedUntil Registering again is refused before this time; 0n when allowed,
+     *     PERMANENT_BLOCK when never
+     * @property {string} reason One of REVOCATION_REASONS
+     */
+
+    /**
+     * Error thrown by every client method. `code` is one of USER_REJECTED, CONTRACT_REVERT,
+     * INSUFFICIENT_FUNDS, NETWORK_ERROR, TRANSACTION_REPLACED, TRANSACTION_DROPPED, SIGNER_REQUIRED,
+     * FHEVM_REQUIRED, EVENT_NOT_FOUND, TIMEOUT, INVALID_PRESENTATION or UNKNOWN; `reason` holds the contract's revert string
+     * when there is one, or "cancelled"/"replaced" for TRANSACTION_REPLACED. Reverts with one of the
+     * contract's custom errors set `errorName` (e.g. "ChallengeExpired") and `errorArgs`, its
+     * parameters by name with the same number/bigint conversion as event args.
+     */
+    class IdentityVerificationError extends Error {
+        constructor(message, { code = 'UNKNOWN', reason = null, errorName = null, errorArgs = null, cause } = {}) {
+            super(message);
+            this.name = 'IdentityVerificationError';
+            this.code = code;
+            this.reason = reason;
+            this.errorName = errorName;
+            this.errorArgs = errorArgs;
+            if (cause !== undefined) this.cause = cause;
+        }
+    }
+
+    // Some providers (e.g. Hardhat's in-process network) only hand back the raw Error(string) data
+    function decodeRevertReason(data) {
+        if (typeof data !== 'string' || !data.startsWith('0x08c379a0')) return null;
+        try {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], '0x' + data.slice(10))[0];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Wallets nest the revert data of a failed eth_call or estimate at different depths
+    function findRevertData(error) {
+        const candidates = [error?.data, error?.info?.error?.data, error?.error?.data];
+        for (const data of candidates) {
+            if (typeof data === 'string' && data.startsWith('0x')) return data;
+            if (typeof data?.data === 'string' && data.data.startsWith('0x')) return data.data;
+        }
+        return null;
+    }
+
+    function decodeCustomError(data) {
+        if (!data || data.length < 10) return null;
+        let parsed;
+        try {
+            parsed = ERRORS_INTERFACE.parseError(data);
+        } catch (error) {
+            return null;
+        }
+        // Error(string) and Panic(uint256) are builtins, not contract errors
+        if (!parsed || parsed.name === 'Error' || parsed.name === 'Panic') return null;
+        return { name: parsed.name, args: toPlainObject(parsed.fragment.inputs, parsed.args) };
+    }
+
+    function normalizeError(error) {
+        if (error instanceof IdentityVerificationError) return error;
+
+        const revertData = findRevertData(error);
+        const customError = decodeCustomError(revertData);
+        if (customError) {
+            const args = Object.entries(customError.args).map(([name, value]) => `${name}: ${value}`).join(', ');
+            return new IdentityVerificationError(`${customError.name}(${args})`, {
+                code: 'CONTRACT_REVERT', errorName: customError.name, errorArgs: customError.args, cause: error
+            });
+        }
+
+        const revertString = error?.revert?.name === 'Error' ? error.revert.args[0] : null;
+        const reason = error?.reason ?? revertString ?? decodeRevertReason(revertData) ?? null;
+        const message = reason ?? error?.shortMessage ?? error?.message ?? String(error);
+
+        if (error?.code === 'TRANSACTION_REPLACED') {
+            return new IdentityVerificationError(`Transaction ${error.hash} was ${error.reason} in the wallet`, {
+                code: 'TRANSACTION_REPLACED', reason: error.reason, cause: error
+            });
+        }
+
+        let code = 'UNKNOWN';
+        if (error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.info?.error?.code === 4001) {
+            code = 'USER_REJECTED';
+        } else if (error?.code === 'CALL_EXCEPTION' || reason) {
+            code = 'CONTRACT_REVERT';
+        } else if (error?.code === 'INSUFFICIENT_FUNDS') {
+            code = 'INSUFFICIENT_FUNDS';
+        } else if (['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(error?.code)) {
+            code = 'NETWORK_ERROR';
+        }
+
+        return new IdentityVerificationError(message, { code, reason, cause: error });
+    }
+
+    /** Mirrors the contract: uint32 multiplication wraps, then reduce modulo 1,000,000. */
+    function computeProof(challenge, credential) {
+        return ((BigInt(challenge) * BigInt(credential)) % 2n ** 32n) % 1000000n;
+    }
+
+    function presentationDomain(chainId, contract) {
+        return { name: 'AnonymousIdentityVerification', version: '1', chainId, verifyingContract: contract };
+    }
+
+    // Short field names keep the QR code small
+    const PRESENTATION_FIELDS = {
+        v: 'version',
+        c: 'chainId',
+        a: 'contract',
+        h: 'holder',
+        n: 'nonce',
+        i: 'issuedAt',
+        e: 'expiresAt',
+        s: 'signature'
+    };
+
+    /**
+     * Packs a presentation into a URL-safe string for a QR code or link.
+     * @param {Presentation} presentation
+     * @returns {string}
+     */
+    function encodePresentation(presentation) {
+        const compact = {};
+        for (const [key, field] of Object.entries(PRESENTATION_FIELDS)) {
+            compact[key] = field === 'version' ? PRESENTATION_VERSION : presentation[field];
+        }
+        return ethers.encodeBase64(ethers.toUtf8Bytes(JSON.stringify(compact)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Reverses encodePresentation. Only the format is checked; use verifyPresentation for the rest.
+     * @param {string} encoded
+     * @returns {Presentation}
+     */
+    function decodePresentation(encoded) {
+        let compact;
+        try {
+            const base64 = encoded.trim().replace(/-/g, '+').replace(/_/g, '/');
+            compact = JSON.parse(ethers.toUtf8String(ethers.decodeBase64(base64 + '='.repeat((4 - base64.length % 4) % 4))));
+        } catch (error) {
+            throw new IdentityVerificationError('Not a presentation', { code: 'INVALID_PRESENTATION', cause: error });
+        }
+        if (compact?.v !== PRESENTATION_VERSION) {
+            throw new IdentityVerificationError('Unsupported presentation version', { code: 'INVALID_PRESENTATION' });
+        }
+
+        const presentation = {};
+        for (const [key, field] of Object.entries(PRESENTATION_FIELDS)) {
+            if (field !== 'version') presentation[field] = compact[key];
+        }
+        const valid = [presentation.chainId, presentation.issuedAt, presentation.expiresAt].every(Number.isSafeInteger)
+            && ethers.isAddress(presentation.contract)
+            && ethers.isAddress(presentation.holder)
+            && ethers.isHexString(presentation.nonce, 32)
+            && ethers.isHexString(presentation.signature, 65);
+        if (!valid) {
+            throw new IdentityVerificationError('Malformed presentation', { code: 'INVALID_PRESENTATION' });
+        }
+        return presentation;
+    }
+
+    // ABI values to plain JS: ethers Results become objects/arrays, small integers become numbers
+    function toPlainValue(param, value) {
+        if (param.baseType === 'tuple') return toPlainObject(param.components, value);
+        if (param.baseType === 'array') return Array.from(value, item => toPlainValue(param.arrayChildren, item));
+        if (typeof value === 'bigint') {
+            const bits = Number(param.type.replace(/^u?int/, '') || 256);
+            return bits <= 32 ? Number(value) : value;
+        }
+        return value;
+    }
+
+    function toPlainObject(params, values) {
+        const result = {};
+        params.forEach((param, i) => {
+            result[param.name || i] = toPlainValue(param, values[i]);
+        });
+        return result;
+    }
+
+    function resolveRole(role) {
+        if (ROLES[role]) return ROLES[role];
+        if (ethers.isHexString(role, 32)) return role;
+        throw new IdentityVerificationError(`Unknown role: ${role}`, { code: 'UNKNOWN' });
+    }
+
+    function resolveRevocationReason(reason) {
+        const index = typeof reason === 'number' ? reason : REVOCATION_REASONS.indexOf(reason);
+        if (REVOCATION_REASONS[index] === undefined) {
+            throw new IdentityVerificationError(`Unknown revocation reason: ${reason}`, { code: 'UNKNOWN' });
+        }
+        return index;
+    }
+
+    class IdentityVerificationClient {
+        /**
+         * @param {string} address Contract address
+         * @param {ethers.Signer|ethers.Provider} runner A signer for transactions, or a provider for read-only use
+         * @param {Object} [options]
+         * @param {Array} [options.abi] ABI from the deployment registry; defaults to IDENTITY_VERIFICATION_ABI
+         * @param {Object|Function} [options.fhevm] Relayer SDK instance (or async factory) for encryption and user decryption
+         * @param {TransactionHooks['onTransactionEstimated']} [options.onTransactionEstimated]
+         * @param {TransactionHooks['onTransactionSubmitted']} [options.onTransactionSubmitted]
+         * @param {TransactionHooks['onTransactionReplaced']} [options.onTransactionReplaced]
+         */
+        constructor(address, runner, {
+            abi = IDENTITY_VERIFICATION_ABI,
+            fhevm = null,
+            onTransactionEstimated = null,
+            onTransactionSubmitted = null,
+            onTransactionReplaced = null
+        } = {}) {
+            this.address = address;
+            this.runner = runner;
+            this.contract = new ethers.Contract(address, abi, runner);
+            this._fhevm = fhevm;
+            this._hooks = { onTransactionEstimated, onTransactionSubmitted, onTransactionReplaced };
+        }
+
+        /**
+         * A view of this client whose transactions report to `hooks` (merged over the constructor's),
+         * so concurrent actions can be tracked separately. It shares the contract and FHEVM instance.
+         * @param {TransactionHooks} hooks
+         * @returns {IdentityVerificationClient}
+         */
+        withHooks(hooks) {
+            return Object.create(this, { _hooks: { value: { ...this._hooks, ...hooks } } });
+        }
+
+        // Identity Registration
+
+        /**
+         * Encrypts the credential and score locally and registers them. Fails with
+         * IdentityAlreadyRegistered while the caller has an active proof; use rotateCredential.
+         * @returns {Promise<TransactionResult>}
+         */
+        async registerIdentity(credential, score) {
+            const { handles, inputProof } = await this._encryptIdentityInputs(credential, score);
+            return this._send('registerIdentityProof(bytes32,bytes32,bytes)', [handles[0], handles[1], inputProof]);
+        }
+
+        /**
+         * DEMO ONLY: registers with plaintext calldata that anyone can read.
+         * @returns {Promise<TransactionResult>}
+         */
+        async registerIdentityPlaintext(credential, score) {
+            return this._send('registerIdentityProof(uint32,uint8)', [credential, score]);
+        }
+
+        /**
+         * Replaces the caller's active proof with a new encrypted credential and score. The proof
+         * becomes unverified, so the caller must verify again. Pending requests must be finished first.
+         * @returns {Promise<TransactionResult>}
+         */
+        async rotateCredential(credential, score) {
+            const { handles, inputProof } = await this._encryptIdentityInputs(credential, score);
+            return this._send('rotateCredential(bytes32,bytes32,bytes)', [handles[0], handles[1], inputProof]);
+        }
+
+        /**
+         * DEMO ONLY: rotates with plaintext calldata that anyone can read.
+         * @returns {Promise<TransactionResult>}
+         */
+        async rotateCredentialPlaintext(credential, score) {
+            return this._send('rotateCredential(uint32,uint8)', [credential, score]);
+        }
+
+        /** @returns {Promise<number>} Credentials the user has stored; 0 if they never registered */
+        async getCredentialVersion(user) {
+            return this._call('credentialVersions', [user]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async renewIdentityProof() {
+            return this._send('renewIdentityProof', []);
+        }
+
+        /** @returns {Promise<IdentityStatus>} */
+        async getIdentityStatus(user) {
+            return this._call('getIdentityStatus', [user]);
+        }
+
+        /**
+         * The user's latest revocation, or null if their proof was not revoked since they last registered.
+         * @returns {Promise<Revocation|null>}
+         */
+        async getRevocation(user) {
+            const revocation = await this._call('getRevocation', [user]);
+            if (revocation.revokedAt === 0n) return null;
+            return { ...revocation, reason: REVOCATION_REASONS[revocation.reason] };
+        }
+
+        // Identity Migration
+
+        /**
+         * Offers the caller's identity proof to `newAddress`, which takes it over with
+         * acceptIdentityMigration. Pending verification requests must be finished first.
+         * @returns {Promise<TransactionResult>}
+         */
+        async proposeIdentityMigration(newAddress) {
+            return this._send('proposeIdentityMigration', [newAddress]);
+        }
+
+        /**
+         * Verifiers only: lets `newAddress` take over the proof of `lostAddress` after
+         * RECOVERY_DELAY, during which the old address can still cancel.
+         * @returns {Promise<TransactionResult>}
+         */
+        async proposeIdentityRecovery(lostAddress, newAddress) {
+            return this._send('proposeIdentityRecovery', [lostAddress, newAddress]);
+        }
+
+        /**
+         * Sent from the new address. Moves the proof of `from`, including its verified flag,
+         * expiry and request history, to the caller.
+         * @returns {Promise<TransactionResult>}
+         */
+        async acceptIdentityMigration(from) {
+            return this._send('acceptIdentityMigration', [from]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async cancelIdentityMigration(from) {
+            return this._send('cancelIdentityMigration', [from]);
+        }
+
+        /** @returns {Promise<IdentityMigration|null>} The proposal for `from`, or null if there is none */
+        async getIdentityMigration(from) {
+            const migration = await this._call('getIdentityMigration', [from]);
+            return migration.newAddress === ethers.ZeroAddress ? null : migration;
+        }
+
+        /** @returns {Promise<Policy>} */
+        async getPolicy() {
+            return this._call('getPolicy', []);
+        }
+
+        // Presentations
+
+        /**
+         * Signs a short-lived presentation of the caller's address. Signing costs no gas; whether
+         * the address is verified is read on chain when the presentation is checked.
+         * @param {Object} [options]
+         * @param {number} [options.ttlSeconds] How long the presentation stays valid, at most MAX_PRESENTATION_TTL
+         * @returns {Promise<Presentation>}
+         */
+        async createPresentation({ ttlSeconds = DEFAULT_PRESENTATION_TTL } = {}) {
+            if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > MAX_PRESENTATION_TTL) {
+                throw new IdentityVerificationError(`The lifetime must be 1 to ${MAX_PRESENTATION_TTL} seconds`, { code: 'INVALID_PRESENTATION' });
+            }
+            const signer = this._requireSigner();
+            try {
+                const [holder, { chainId }] = await Promise.all([signer.getAddress(), signer.provider.getNetwork()]);
+                const issuedAt = Math.floor(Date.now() / 1000);
+                const message = {
+                    holder,
+                    nonce: ethers.hexlify(ethers.randomBytes(32)),
+                    issuedAt,
+                    expiresAt: issuedAt + ttlSeconds
+                };
+                const contract = ethers.getAddress(this.address);
+                const signature = await signer.signTypedData(presentationDomain(chainId, contract), PRESENTATION_TYPES, message);
+                return { chainId: Number(chainId), contract, ...message, signature };
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        /**
+         * Checks a presentation against this client's contract and chain: its validity period, the
+         * holder's signature, then the holder's identity status. Needs no signer.
+         * @param {Presentation} presentation
+         * @param {Object} [options]
+         * @param {number} [options.now] Unix time to check expiry against, defaults to the local clock
+         * @param {number} [options.maxTtlSeconds] Longest accepted lifetime from issuedAt to expiresAt
+         * @param {number} [options.clockSkewSeconds] How far in the future issuedAt may be
+         * @returns {Promise<PresentationCheck>}
+         */
+        async verifyPresentation(presentation, {
+            now = Math.floor(Date.now() / 1000),
+            maxTtlSeconds = MAX_PRESENTATION_TTL,
+            clockSkewSeconds = PRESENTATION_CLOCK_SKEW
+        } = {}) {
+            const { holder, expiresAt } = presentation;
+            const result = reason => ({ valid: false, reason, holder, expiresAt, status: null });
+
+            if (presentation.contract.toLowerCase() !== this.address.toLowerCase()) return result('WRONG_CONTRACT');
+            const provider = this.runner.provider ?? this.runner;
+            let chainId;
+            try {
+                ({ chainId } = await provider.getNetwork());
+            } catch (error) {
+                throw normalizeError(error);
+            }
+            if (Number(chainId) !== presentation.chainId) return result('WRONG_CHAIN');
+            // Only short-lived presentations count; a holder could otherwise sign one valid for years
+            if (presentation.issuedAt > now + clockSkewSeconds) return result('NOT_YET_VALID');
+            if (expiresAt - presentation.issuedAt > maxTtlSeconds) return result('TTL_TOO_LONG');
+            if (expiresAt <= now) return result('EXPIRED');
+
+            const message = {
+                holder,
+                nonce: presentation.nonce,
+                issuedAt: presentation.issuedAt,
+                expiresAt
+            };
+            let signer;
+            try {
+                const domain = presentationDomain(presentation.chainId, presentation.contract);
+                signer = ethers.verifyTypedData(domain, PRESENTATION_TYPES, message, presentation.signature);
+            } catch (error) {
+                return result('BAD_SIGNATURE');
+            }
+            if (signer.toLowerCase() !== holder.toLowerCase()) return result('BAD_SIGNATURE');
+
+            const status = await this.getIdentityStatus(holder);
+            const valid = status.isActive && status.isVerified && status.expiryTime > BigInt(now);
+            return { valid, reason: valid ? null : 'NOT_VERIFIED', holder, expiresAt, status };
+        }
+
+        // Verification Requests
+
+        /** @returns {Promise<TransactionResult & { requestId: number }>} */
+        async requestVerification() {
+            const result = await this._send('requestVerification', []);
+            const event = this._findEvent(result, 'VerificationRequested');
+            return { ...result, requestId: event.args.requestId };
+        }
+
+        /** Decrypts the caller's challenge for `requestId` through EIP-712 user decryption. */
+        async decryptChallenge(requestId) {
+            const handle = await this._call('getVerificationChallenge', [requestId]);
+            return BigInt(await this.userDecrypt(handle));
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async submitProof(requestId, proof) {
+            return this._send('submitVerificationProof', [requestId, proof]);
+        }
+
+        /**
+         * Decrypts the challenge, computes the proof from `credential` and submits it.
+         * The credential never leaves this process.
+         * @returns {Promise<TransactionResult & { proof: bigint }>}
+         */
+        async proveRequest(requestId, credential) {
+            const challenge = await this.decryptChallenge(requestId);
+            const proof = computeProof(challenge, credential);
+            const result = await this.submitProof(requestId, proof);
+            return { ...result, proof };
+        }
+
+        /**
+         * Withdraws a pending request. It still counts towards the request limit.
+         * @returns {Promise<TransactionResult>}
+         */
+        async cancelRequest(requestId) {
+            return this._send('cancelVerificationRequest', [requestId]);
+        }
+
+        /**
+         * Closes someone's pending request whose challenge has expired, or a submitted one the
+         * decryption oracle has not answered within ORACLE_TIMEOUT after that. Any account may call this.
+         * @returns {Promise<TransactionResult>}
+         */
+        async expireRequest(requestId) {
+            return this._send('expireVerificationRequest', [requestId]);
+        }
+
+        /**
+         * Requests `user` may still make in the current window. `nextRequestTime` is the Unix time
+         * the next one opens when none remain, and 0n otherwise.
+         * @returns {Promise<{ remaining: number, nextRequestTime: bigint }>}
+         */
+        async getRequestAllowance(user) {
+            return this._call('getRequestAllowance', [user]);
+        }
+
+        /** @returns {Promise<VerificationRequestInfo>} */
+        async getVerificationRequest(requestId) {
+            const info = await this._call('getVerificationRequestInfo', [requestId]);
+            return { requestId: Number(requestId), ...info };
+        }
+
+        /**
+         * Returns a page of the user's request IDs, oldest first. Omit `limit` to get all of them.
+         * @returns {Promise<{ requestIds: number[], total: number }>}
+         */
+        async getUserRequests(user, offset = 0, limit = ethers.MaxUint256) {
+            const { requestIds, total } = await this._call('getUserRequests', [user, offset, limit]);
+            return { requestIds, total: Number(total) };
+        }
+
+        /**
+         * Resolves once the decryption oracle has delivered the verdict for `requestId`, or once the
+         * request has been cancelled or expired (`status` tells which).
+         * @returns {Promise<{ requestId: number, approved: boolean, requester: string, status: string }>}
+         */
+        async waitForVerificationResult(requestId, { timeoutMs = 5 * 60 * 1000, pollIntervalMs = 4000 } = {}) {
+            const deadline = Date.now() + timeoutMs;
+
+            for (;;) {
+                const info = await this.getVerificationRequest(requestId);
+                if (info.isCompleted) {
+                    return {
+                        requestId: info.requestId,
+                        approved: info.isApproved,
+                        requester: info.requester,
+                        status: REQUEST_STATUSES[info.status]
+                    };
+                }
+                if (Date.now() + pollIntervalMs > deadline) {
+                    throw new IdentityVerificationError(`No verification result for request ${requestId} yet`, { code: 'TIMEOUT' });
+                }
+                await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+            }
+        }
+
+        // Consent
+
+        /**
+         * Lets `verifier` check the caller's identity.
+         * @param {Object} [limits]
+         * @param {number} [limits.expiresAt] Unix timestamp; 0 for no expiry
+         * @param {number} [limits.maxUses] Maximum number of checks; 0 for unlimited
+         * @returns {Promise<TransactionResult>}
+         */
+        async grantConsent(verifier, { expiresAt = 0, maxUses = 0 } = {}) {
+            return this._send('grantConsent', [verifier, expiresAt, maxUses]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async revokeConsent(verifier) {
+            return this._send('revokeConsent', [verifier]);
+        }
+
+        /** @returns {Promise<ConsentGrant[]>} */
+        async getConsentGrants(user) {
+            const { verifiers, grants } = await this._call('getConsentGrants', [user]);
+            return verifiers.map((verifier, i) => ({ verifier, ...grants[i] }));
+        }
+
+        /** @returns {Promise<boolean>} */
+        async hasConsent(user, verifier) {
+            return this._call('hasConsent', [user, verifier]);
+        }
+
+        // Verifier Checks
+
+        /**
+         * Checks whether `user` holds a verified identity. The call is simulated first to read
+         * the answer, then sent so the check is recorded.
+         * @param {Object} [options]
+         * @param {boolean} [options.record=true] Send the check. When false it is only simulated, so
+         *     it still requires consent but uses none of it; for a score check that follows and is recorded
+         * @returns {Promise<TransactionResult & { verified: boolean }>}
+         */
+        async verifyIdentity(user, { record = true } = {}) {
+            const verified = await this._simulate('verifyIdentityAnonymously', [user]);
+            if (!record) return { verified };
+            const result = await this._send('verifyIdentityAnonymously', [user]);
+            return { ...result, verified };
+        }
+
+        /**
+         * Compares the user's encrypted score with `threshold` and decrypts the answer.
+         * @returns {Promise<TransactionResult & { result: boolean, handle: string }>}
+         */
+        async checkScoreThreshold(user, threshold) {
+            return this._evaluateScorePredicate('checkScoreThreshold', [user, threshold]);
+        }
+
+        /** @returns {Promise<TransactionResult & { result: boolean, handle: string }>} */
+        async checkScoreRange(user, minScore, maxScore) {
+            return this._evaluateScorePredicate('checkScoreRange', [user, minScore, maxScore]);
+        }
+
+        /**
+         * Deactivates the user's proof. `reason` is a name from REVOCATION_REASONS or its index;
+         * its cooldown decides when the user may register again.
+         * @returns {Promise<TransactionResult>}
+         */
+        async revokeIdentityProof(user, reason = 'Unspecified') {
+            return this._send('revokeIdentityProof', [user, resolveRevocationReason(reason)]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async cleanupExpiredProofs(users) {
+            return this._send('cleanupExpiredProofs', [users]);
+        }
+
+        /**
+         * Gas estimate for `cleanupExpiredProofs(users)`, used to size sweep batches.
+         * @returns {Promise<bigint>}
+         */
+        async estimateCleanupGas(users) {
+            this._requireSigner();
+            try {
+                return await this.contract.cleanupExpiredProofs.estimateGas(users);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        // Roles & Administration
+
+        /** @returns {Promise<{ admin: boolean, verifier: boolean, auditor: boolean }>} */
+        async getRoles(account) {
+            const { isAdmin, isVerifier, isAuditor } = await this._call('getRoles', [account]);
+            return { admin: isAdmin, verifier: isVerifier, auditor: isAuditor };
+        }
+
+        /**
+         * @param {'ADMIN'|'VERIFIER'|'AUDITOR'|'CONSUMER'|string} role Role name or role hash
+         * @returns {Promise<string[]>}
+         */
+        async getRoleMembers(role) {
+            return this._call('getRoleMembers', [resolveRole(role)]);
+        }
+
+        /** @returns {Promise<string>} */
+        async getOwner() {
+            return this._call('owner', []);
+        }
+
+        /** @returns {Promise<string>} */
+        async getPendingOwner() {
+            return this._call('pendingOwner', []);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async authorizeVerifier(verifier) {
+            return this._send('authorizeVerifier', [verifier]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async revokeVerifier(verifier) {
+            return this._send('revokeVerifier', [verifier]);
+        }
+
+        /**
+         * Lets the contract at `consumer` (e.g. one built on IdentityGated) call isIdentityVerified.
+         * @returns {Promise<TransactionResult>}
+         */
+        async registerConsumer(consumer) {
+            return this._send('registerConsumer', [consumer]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async unregisterConsumer(consumer) {
+            return this._send('unregisterConsumer', [consumer]);
+        }
+
+        /** @returns {Promise<boolean>} */
+        async isRegisteredConsumer(consumer) {
+            return this._call('isRegisteredConsumer', [consumer]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async grantRole(role, account) {
+            return this._send('grantRole', [resolveRole(role), account]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async revokeRole(role, account) {
+            return this._send('revokeRole', [resolveRole(role), account]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async transferOwnership(newOwner) {
+            return this._send('transferOwnership', [newOwner]);
+        }
+
+        /** @returns {Promise<TransactionResult>} */
+        async acceptOwnership() {
+            return this._send('acceptOwnership', []);
+        }
+
+        /**
+         * @param {Policy} policy
+         * @returns {Promise<TransactionResult>}
+         */
+        async updatePolicy(policy) {
+            return this._send('updatePolicy', [policy]);
+        }
+
+        /**
+         * Seconds users must wait to register again after a revocation, by reason name.
+         * @returns {Promise<Object<string, bigint>>}
+         */
+        async getRevocationCooldowns() {
+            const cooldowns = await Promise.all(REVOCATION_REASONS.map((_, i) => this._call('revocationCooldowns', [i])));
+            return Object.fromEntries(REVOCATION_REASONS.map((reason, i) => [reason, cooldowns[i]]));
+        }
+
+        /**
+         * Applies to revocations made afterwards. 0 lets users register again right away,
+         * PERMANENT_BLOCK never.
+         * @returns {Promise<TransactionResult>}
+         */
+        async setRevocationCooldown(reason, cooldown) {
+            return this._send('setRevocationCooldown', [resolveRevocationReason(reason), cooldown]);
+        }
+
+        /**
+         * Lets a revoked user register again before their cooldown ends.
+         * @returns {Promise<TransactionResult>}
+         */
+        async liftRegistrationBlock(user) {
+            return this._send('liftRegistrationBlock', [user]);
+        }
+
+        /** @returns {Promise<{ totalVerifications: number, activeRequests: number, currentTime: bigint }>} */
+        async getContractStats() {
+            const stats = await this._call('getContractStats', []);
+            return {
+                totalVerifications: stats.totalVerificationsCount,
+                activeRequests: stats.activeRequests,
+                currentTime: stats.currentTime
+            };
+        }
+
+        // Events
+
+        /**
+         * Parses the logs this contract emitted, skipping logs from other contracts.
+         * @returns {ContractEvent[]}
+         */
+        parseEvents(logs) {
+            return logs
+                .filter(log => log.address?.toLowerCase() === this.address.toLowerCase())
+                .map(log => this._toEvent(log))
+                .filter(Boolean);
+        }
+
+        /**
+         * Loads past events in block chunks that stay under common eth_getLogs range limits. Each
+         * chunk is one eth_getLogs call matching any of the event topics, so public RPCs are not flooded.
+         * @param {Object} options
+         * @param {string[]} [options.eventNames] Defaults to every event in the ABI
+         * @returns {Promise<ContractEvent[]>} Oldest first
+         */
+        async queryEvents({ fromBlock = 0, toBlock = 'latest', eventNames = this._eventNames(), chunkSize = 10000 } = {}) {
+            try {
+                const provider = this.runner.provider ?? this.runner;
+                const lastBlock = toBlock === 'latest' ? await provider.getBlockNumber() : toBlock;
+                // A nested topic array matches any of its entries
+                const topics = [eventNames.map(name => this.contract.interface.getEvent(name).topicHash)];
+                const logs = [];
+
+                for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+                    const end = Math.min(start + chunkSize - 1, lastBlock);
+                    logs.push(...await provider.getLogs({ address: this.address, topics, fromBlock: start, toBlock: end }));
+                }
+
+                return logs
+                    .map(log => this._toEvent(log))
+                    .filter(Boolean)
+                    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        /**
+         * Calls `handler` with every new event. Returns a function that unsubscribes.
+         * @param {(event: ContractEvent) => void} handler
+         * @param {string[]} [eventNames] Defaults to every event in the ABI
+         */
+        onEvent(handler, eventNames = this._eventNames()) {
+            const listener = (...args) => {
+                const event = this._toEvent(args[args.length - 1].log);
+                if (event) handler(event);
+            };
+            eventNames.forEach(name => this.contract.on(name, listener));
+            return () => Promise.all(eventNames.map(name => this.contract.off(name, listener)));
+        }
+
+        /** Removes every event subscription made through this client. */
+        async close() {
+            await this.contract.removeAllListeners();
+        }
+
+        // Transactions
+
+        /**
+         * Waits for a transaction sent earlier (possibly before a page reload) and handles
+         * speed-ups like a live send does. Cancelled or replaced transactions reject with
+         * TRANSACTION_REPLACED, ones the node dropped with TRANSACTION_DROPPED.
+         * @param {SubmittedTransaction} submitted As passed to onTransactionSubmitted
+         * @returns {Promise<TransactionResult>}
+         */
+        async resumeTransaction(submitted) {
+            const provider = this.runner.provider ?? this.runner;
+            try {
+                let tx = await provider.getTransaction(submitted.hash);
+                if (!tx) {
+                    const replacement = await this._findReplacement(submitted);
+                    const { onTransactionReplaced } = this._hooks;
+                    if (onTransactionReplaced) {
+                        onTransactionReplaced({ hash: submitted.hash, replacementHash: replacement.hash, reason: 'repriced', method: submitted.method });
+                    }
+                    tx = replacement;
+                }
+                return await this._waitForReceipt(tx.replaceableTransaction(submitted.startBlock), submitted.method);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        // FHE Decryption
+
+        /**
+         * EIP-712 user decryption: the KMS re-encrypts the value under a throwaway keypair
+         * that only this process holds. The signer must be allowed on the handle.
+         */
+        async userDecrypt(handle) {
+            const instance = await this._getFhevm();
+            const signer = this._requireSigner();
+            const user = await signer.getAddress();
+
+            const keypair = instance.generateKeypair();
+            const contractAddresses = [this.address];
+            const startTimeStamp = Math.floor(Date.now() / 1000).toString();
+            const durationDays = '1';
+
+            try {
+                const eip712 = instance.createEIP712(keypair.publicKey, contractAddresses, startTimeStamp, durationDays);
+                const signature = await signer.signTypedData(
+                    eip712.domain,
+                    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+                    eip712.message
+                );
+
+                const result = await instance.userDecrypt(
+                    [{ handle, contractAddress: this.address }],
+                    keypair.privateKey,
+                    keypair.publicKey,
+                    signature.replace('0x', ''),
+                    contractAddresses,
+                    user,
+                    startTimeStamp,
+                    durationDays
+                );
+                return result[handle];
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        // Internals
+
+        async _evaluateScorePredicate(method, args) {
+            const result = await this._send(method, args);
+            const { args: { result: handle } } = this._findEvent(result, 'ScorePredicateEvaluated');
+            return { ...result, handle, result: Boolean(await this.userDecrypt(handle)) };
+        }
+
+        async _call(method, args) {
+            try {
+                const fragment = this.contract.interface.getFunction(method);
+                const value = await this.contract[method](...args);
+                return fragment.outputs.length === 1
+                    ? toPlainValue(fragment.outputs[0], value)
+                    : toPlainObject(fragment.outputs, value);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        async _simulate(method, args) {
+            this._requireSigner();
+            try {
+                return await this.contract[method].staticCall(...args);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        async _send(method, args) {
+            const signer = this._requireSigner();
+            const { onTransactionEstimated, onTransactionSubmitted } = this._hooks;
+            try {
+                // Simulate first so a known revert surfaces as a decoded error before the wallet prompts
+                await this.contract[method].staticCall(...args);
+                const request = await this.contract[method].populateTransaction(...args);
+                const [gasLimit, feeData, startBlock] = await Promise.all([
+                    signer.estimateGas(request),
+                    signer.provider.getFeeData(),
+                    signer.provider.getBlockNumber()
+                ]);
+                const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+                if (onTransactionEstimated) onTransactionEstimated({ method, gasLimit, gasPrice, cost: gasLimit * gasPrice });
+
+                const tx = await signer.sendTransaction({ ...request, gasLimit });
+                if (onTransactionSubmitted) {
+                    onTransactionSubmitted({
+                        hash: tx.hash,
+                        method,
+                        from: tx.from,
+                        to: tx.to,
+                        nonce: tx.nonce,
+                        data: tx.data,
+                        value: tx.value,
+                        chainId: Number(tx.chainId),
+                        startBlock
+                    });
+                }
+                return await this._waitForReceipt(tx.replaceableTransaction(startBlock), method);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        }
+
+        // ethers reports speed-ups as replacements too; those still carry out the original call
+        async _waitForReceipt(tx, method) {
+            let receipt;
+            try {
+                receipt = await tx.wait();
+            } catch (error) {
+                if (error?.code !== 'TRANSACTION_REPLACED' || error.reason !== 'repriced') throw error;
+                const { onTransactionReplaced } = this._hooks;
+                if (onTransactionReplaced) {
+                    onTransactionReplaced({ hash: tx.hash, replacementHash: error.replacement.hash, reason: error.reason, method });
+                }
+                receipt = error.receipt;
+                if (receipt.status !== 1) throw ethers.makeError('transaction execution reverted', 'CALL_EXCEPTION', { receipt });
+            }
+            return {
+                hash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                events: this.parseEvents(receipt.logs)
+            };
+        }
+
+        // Transactions the node no longer knows: find whatever used the nonce since startBlock.
+        // The sender's nonce passes `nonce` in the block that mined it, so a binary search over
+        // getTransactionCount finds that block in a few calls instead of reading every block.
+        async _findReplacement({ hash, from, to, nonce, data, value, startBlock }) {
+            const provider = this.runner.provider ?? this.runner;
+            if (await provider.getTransactionCount(from, 'latest') <= nonce) {
+                throw new IdentityVerificationError(`Transaction ${hash} was dropped before it was mined`, { code: 'TRANSACTION_DROPPED' });
+            }
+
+            let low = startBlock;
+            let high = await provider.getBlockNumber();
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (await provider.getTransactionCount(from, middle) > nonce) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+
+            const block = await provider.getBlock(low, true);
+            const replacement = block?.prefetchedTransactions.find(
+                tx => tx.from.toLowerCase() === from.toLowerCase() && tx.nonce === nonce
+            );
+            if (!replacement) {
+                throw new IdentityVerificationError(`Transaction ${hash} was replaced by one that could not be found`, {
+                    code: 'TRANSACTION_REPLACED', reason: 'replaced'
+                });
+            }
+
+            if (replacement.to?.toLowerCase() === to.toLowerCase() && replacement.data === data && replacement.value === BigInt(value)) {
+                return replacement;
+            }
+            const cancelled = replacement.to?.toLowerCase() === from.toLowerCase() && replacement.data === '0x' && replacement.value === 0n;
+            throw normalizeError(ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+                hash, reason: cancelled ? 'cancelled' : 'replaced', replacement, cancelled: true
+            }));
+        }
+
+        _findEvent(result, name) {
+            const event = result.events.find(e => e.name === name);
+            if (!event) {
+                throw new IdentityVerificationError(`Transaction ${result.hash} did not emit ${name}`, { code: 'EVENT_NOT_FOUND' });
+            }
+            return event;
+        }
+
+        _toEvent(log) {
+            let parsed;
+            try {
+                parsed = this.contract.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+            if (!parsed) return null;
+
+            return {
+                name: parsed.name,
+                args: toPlainObject(parsed.fragment.inputs, parsed.args),
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.index
+            };
+        }
+
+        _eventNames() {
+            const names = [];
+            this.contract.interface.forEachEvent(fragment => names.push(fragment.name));
+            return names;
+        }
+
+        _requireSigner() {
+            if (typeof this.runner?.sendTransaction !== 'function') {
+                throw new IdentityVerificationError('This operation needs a signer, not a read-only provider', { code: 'SIGNER_REQUIRED' });
+            }
+            return this.runner;
+        }
+
+        async _getSignerAddress() {
+            return this._requireSigner().getAddress();
+        }
+
+        async _getFhevm() {
+            if (!this._fhevm) {
+                throw new IdentityVerificationError('An FHEVM instance is required for encryption and decryption', { code: 'FHEVM_REQUIRED' });
+            }
+            if (typeof this._fhevm === 'function') {
+                this._fhevm = await this._fhevm();
+            }
+            return this._fhevm;
+        }
+
+        async _encryptIdentityInputs(credential, score) {
+            const instance = await this._getFhevm();
+            const user = await this._getSignerAddress();
+
+            // Handles are bound to this contract and sender; order matches the contract parameters
+            const input = instance.createEncryptedInput(this.address, user);
+            input.add32(credential);
+            input.add8(score);
+            return input.encrypt();
+        }
+    }
+
+    return {
+        IdentityVerificationClient,
+        IdentityVerificationError,
+        IDENTITY_VERIFICATION_ABI,
+        ROLES,
+        CHECK_TYPES,
+        REQUEST_STATUSES,
+        REVOCATION_REASONS,
+        PERMANENT_BLOCK,
+        ORACLE_TIMEOUT,
+        DEFAULT_PRESENTATION_TTL,
+        MAX_PRESENTATION_TTL,
+        computeProof,
+        encodePresentation,
+        decodePresentation,
+        normalizeError
+    };
+});
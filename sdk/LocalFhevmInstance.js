@@ -0,0 +1,210 @@
+// LocalFhevmInstance
+// Stand-in for the Zama relayer SDK instance when the contract runs on a local Hardhat node
+// with the FHEVM mock (npm run dev). Values are "encrypted" and decrypted through the node's
+// fhevm_relayer_* RPC methods, so nothing here is confidential; it only exists to exercise
+// the real contract flow offline. Exposed as window.LocalFhevm in the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'));
+    } else {
+        root.LocalFhevm = factory(root.ethers);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ethers) {
+    'use strict';
+
+    // FheType ids and plaintext widths used by the mock coprocessor
+    const FHE_TYPES = {
+        bool: { id: 0, byteLength: 1 },
+        uint8: { id: 2, byteLength: 1 },
+        uint16: { id: 3, byteLength: 2 },
+        uint32: { id: 4, byteLength: 4 },
+        uint64: { id: 5, byteLength: 8 }
+    };
+    const EXTRA_DATA = '0x00';
+
+    const ACL_ABI = ['function persistAllowed(bytes32 handle, address account) view returns (bool)'];
+    const KMS_VERIFIER_ABI = [
+        'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+    ];
+
+    const USER_DECRYPT_TYPES = {
+        UserDecryptRequestVerification: [
+            { name: 'publicKey', type: 'bytes' },
+            { name: 'contractAddresses', type: 'address[]' },
+            { name: 'contractsChainId', type: 'uint256' },
+            { name: 'startTimestamp', type: 'uint256' },
+            { name: 'durationDays', type: 'uint256' },
+            { name: 'extraData', type: 'bytes' }
+        ]
+    };
+
+    class LocalEncryptedInput {
+        constructor(instance, contractAddress, userAddress) {
+            this._instance = instance;
+            this._contractAddress = ethers.getAddress(contractAddress);
+            this._userAddress = ethers.getAddress(userAddress);
+            this._values = [];
+        }
+
+        addBool(value) { return this._add(value ? 1 : 0, FHE_TYPES.bool); }
+        add8(value) { return this._add(value, FHE_TYPES.uint8); }
+        add16(value) { return this._add(value, FHE_TYPES.uint16); }
+        add32(value) { return this._add(value, FHE_TYPES.uint32); }
+        add64(value) { return this._add(value, FHE_TYPES.uint64); }
+
+        _add(value, type) {
+            const clearValue = BigInt(value);
+            if (clearValue < 0n || clearValue >= 1n << BigInt(type.byteLength * 8)) {
+                throw new RangeError(`Value ${value} does not fit in ${type.byteLength * 8} bits`);
+            }
+            this._values.push({ clearValue, type });
+            return this;
+        }
+
+        /** @returns {Promise<{ handles: string[], inputProof: string }>} */
+        async encrypt() {
+            const { metadata, provider, chainId } = this._instance;
+            const random32List = this._values.map(() => ethers.hexlify(ethers.randomBytes(32)));
+
+            // The mock "ciphertext" commits to type, value and noise; the node derives the handles from it
+            const ciphertext = ethers.keccak256(ethers.concat(this._values.flatMap(({ clearValue, type }, i) => [
+                ethers.toBeHex(type.id, 1),
+                ethers.toBeHex(clearValue, type.byteLength),
+                random32List[i]
+            ])));
+
+            const response = await provider.send('fhevm_relayer_v1_input_proof', [{
+                contractAddress: this._contractAddress,
+                userAddress: this._userAddress,
+                ciphertextWithInputVerification: ciphertext,
+                contractChainId: ethers.toQuantity(chainId),
+                extraData: EXTRA_DATA,
+                mockData: {
+                    clearTextValuesBigIntHex: this._values.map(({ clearValue }) => ethers.toBeHex(clearValue)),
+                    metadatas: this._values.map(() => ({ blockNumber: 0, index: 0, transactionHash: ethers.ZeroHash })),
+                    fheTypes: this._values.map(({ type }) => type.id),
+                    fhevmTypes: this._values.map(({ type }) => type.id),
+                    aclContractAddress: metadata.ACLAddress,
+                    random32List
+                }
+            }]);
+
+            const handles = response.handles.map(ensure0x);
+            // Same layout as the relayer: handle count, signer count, handles, signatures, extra data
+            const inputProof = ethers.concat([
+                ethers.toBeHex(handles.length, 1),
+                ethers.toBeHex(response.signatures.length, 1),
+                ...handles,
+                ...response.signatures.map(ensure0x),
+                EXTRA_DATA
+            ]);
+            return { handles, inputProof };
+        }
+    }
+
+    class LocalFhevmInstance {
+        /**
+         * Use createLocalFhevmInstance(), which loads the node's FHEVM metadata first.
+         * @param {Object} provider JSON-RPC provider for the Hardhat node (needs send())
+         */
+        constructor(provider, metadata, decryptionDomain) {
+            this.provider = provider;
+            this.metadata = metadata;
+            this.chainId = Number(metadata.chainId);
+            this._decryptionDomain = decryptionDomain;
+        }
+
+        createEncryptedInput(contractAddress, userAddress) {
+            return new LocalEncryptedInput(this, contractAddress, userAddress);
+        }
+
+        // The mock never re-encrypts, so the keypair only has to be signed over
+        generateKeypair() {
+            return {
+                publicKey: ethers.hexlify(ethers.randomBytes(32)),
+                privateKey: ethers.hexlify(ethers.randomBytes(32))
+            };
+        }
+
+        createEIP712(publicKey, contractAddresses, startTimestamp, durationDays) {
+            return {
+                domain: { ...this._decryptionDomain, chainId: this.chainId },
+                types: USER_DECRYPT_TYPES,
+                primaryType: 'UserDecryptRequestVerification',
+                message: {
+                    publicKey: ensure0x(publicKey),
+                    contractAddresses,
+                    contractsChainId: this.chainId,
+                    startTimestamp: String(startTimestamp),
+                    durationDays: String(durationDays),
+                    extraData: EXTRA_DATA
+                }
+            };
+        }
+
+        /**
+         * Same arguments and result shape as the relayer SDK: { [handle]: bigint }.
+         * The ACL is checked here because the mock relayer only verifies the signature.
+         */
+        async userDecrypt(handleContractPairs, _privateKey, publicKey, signature, contractAddresses, userAddress, startTimestamp, durationDays) {
+            const acl = new ethers.Contract(this.metadata.ACLAddress, ACL_ABI, this.provider);
+            for (const { handle, contractAddress } of handleContractPairs) {
+                const [userAllowed, contractAllowed] = await Promise.all([
+                    acl.persistAllowed(handle, userAddress),
+                    acl.persistAllowed(handle, contractAddress)
+                ]);
+                if (!userAllowed || !contractAllowed) {
+                    throw new Error(`${userAllowed ? contractAddress : userAddress} is not allowed to decrypt handle ${handle}`);
+                }
+            }
+
+            const response = await this.provider.send('fhevm_relayer_v1_user_decrypt', [{
+                handleContractPairs,
+                requestValidity: { startTimestamp: String(startTimestamp), durationDays: String(durationDays) },
+                contractsChainId: String(this.chainId),
+                contractAddresses,
+                userAddress,
+                signature: ensure0x(signature),
+                publicKey: ensure0x(publicKey),
+                extraData: EXTRA_DATA
+            }]);
+
+            const results = {};
+            handleContractPairs.forEach(({ handle }, i) => {
+                results[handle] = BigInt(response.payload.decrypted_values[i]);
+            });
+            return results;
+        }
+    }
+
+    /**
+     * Connects to a Hardhat node running the FHEVM mock.
+     * @param {Object|string} providerOrUrl JSON-RPC provider (or its URL) that answers fhevm_relayer_* methods
+     * @returns {Promise<LocalFhevmInstance>}
+     */
+    async function createLocalFhevmInstance(providerOrUrl) {
+        const provider = typeof providerOrUrl === 'string' ? new ethers.JsonRpcProvider(providerOrUrl) : providerOrUrl;
+
+        let metadata;
+        try {
+            metadata = await provider.send('fhevm_relayer_metadata', []);
+        } catch (error) {
+            throw new Error(`This node does not run the FHEVM mock (${error.shortMessage ?? error.message}). Start it with npm run dev.`);
+        }
+
+        // User decryption is signed for the gateway Decryption contract named in the KMS verifier's domain
+        const kmsVerifier = new ethers.Contract(metadata.KMSVerifierAddress, KMS_VERIFIER_ABI, provider);
+        const { name, version, verifyingContract } = await kmsVerifier.eip712Domain();
+
+        return new LocalFhevmInstance(provider, metadata, { name, version, verifyingContract });
+    }
+
+    function ensure0x(value) {
+        return value.startsWith('0x') ? value : `0x${value}`;
+    }
+
+    return {
+        LocalFhevmInstance,
+        createLocalFhevmInstance
+    };
+});
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityVerificationClient } = require("../sdk/IdentityVerificationClient");
+const {
+  parseArgs,
+  readAddressCsv,
+  authorizeVerifiers,
+  revokeProofs,
+  getStats,
+  findExpiredProofs,
+  sweep,
+} = require("../scripts/admin");
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: 30 * 24 * 60 * 60,
+  challengeValidityPeriod: 60 * 60,
+  minIdentityScore: 75,
+  maxRequestsPerUser: 5,
+  proofTolerancePercent: 1,
+  requestWindow: 24 * 60 * 60,
+};
+
+describe("Admin CLI", function () {
+  let contractAddress;
+  let owner;
+  let verifier;
+  let users;
+  let tmpDir;
+
+  function clientFor(signer) {
+    return new IdentityVerificationClient(contractAddress, signer);
+  }
+
+  function writeCsv(name, lines) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, lines.join("\n"));
+    return file;
+  }
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-cli-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    let signers;
+    [owner, verifier, ...signers] = await ethers.getSigners();
+    users = signers.slice(0, 5);
+
+    const factory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    const contract = await factory.connect(owner).deploy(DEFAULT_POLICY);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  describe("arguments", function () {
+    it("parses commands, flags and options", function () {
+      const { command, args, options } = parseArgs(["sweep", "--dry-run", "--max-gas=300000", "--batch-size", "10"]);
+
+      expect(command).to.equal("sweep");
+      expect(args).to.deep.equal([]);
+      expect(options).to.include({ dryRun: true, json: false, batchSize: 10, maxGas: 300000n });
+    });
+
+    it("rejects unknown options and malformed numbers", function () {
+      expect(() => parseArgs(["stats", "--force"])).to.throw("Unknown option: --force");
+      expect(() => parseArgs(["sweep", "--max-gas", "lots"])).to.throw("Invalid maxGas: lots");
+      expect(() => parseArgs(["revoke-proofs", "users.csv", "--reason", "Spam"])).to.throw("Unknown revocation reason: Spam");
+    });
+  });
+
+  describe("CSV input", function () {
+    it("reads checksummed, de-duplicated addresses and skips the header and comments", function () {
+      const address = users[0].address;
+      const file = writeCsv("verifiers.csv", [
+        "address,label",
+        "# onboarding batch",
+        `${address.toLowerCase()},Acme`,
+        `"${address}",Acme again`,
+        `${users[1].address}`,
+        "",
+      ]);
+
+      expect(readAddressCsv(file)).to.deep.equal([address, users[1].address]);
+    });
+
+    it("reports the line of an invalid address", function () {
+      const file = writeCsv("broken.csv", [users[0].address, "0x1234"]);
+
+      expect(() => readAddressCsv(file)).to.throw(`${file}:2: invalid address "0x1234"`);
+    });
+  });
+
+  describe("verifier management", function () {
+    it("authorizes listed verifiers and skips existing ones", async function () {
+      const admin = clientFor(owner);
+      await admin.authorizeVerifier(users[0].address);
+
+      const addresses = [users[0].address, users[1].address];
+      const dryRun = await authorizeVerifiers(admin, addresses, { dryRun: true });
+      expect(dryRun.map((entry) => entry.status)).to.deep.equal(["skipped", "pending"]);
+      expect((await admin.getRoles(users[1].address)).verifier).to.equal(false);
+
+      const results = await authorizeVerifiers(admin, addresses);
+      expect(results.map((entry) => entry.status)).to.deep.equal(["skipped", "done"]);
+      expect(results[1].hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await admin.getRoleMembers("VERIFIER")).to.include.members([users[0].address, users[1].address]);
+    });
+
+    it("records failures without stopping the batch", async function () {
+      const results = await authorizeVerifiers(clientFor(verifier), [users[0].address]);
+
+      expect(results[0]).to.include({ status: "failed" });
+      expect(results[0].reason).to.be.a("string").and.not.be.empty;
+    });
+  });
+
+  describe("proof revocation and stats", function () {
+    it("revokes active proofs in bulk and reports stats", async function () {
+      const admin = clientFor(owner);
+      await admin.authorizeVerifier(verifier.address);
+      await clientFor(users[0]).registerIdentityPlaintext(123456, 90);
+
+      const results = await revokeProofs(clientFor(verifier), [users[0].address, users[1].address], { reason: "Fraud" });
+      expect(results.map((entry) => entry.status)).to.deep.equal(["done", "skipped"]);
+      expect((await admin.getIdentityStatus(users[0].address)).isActive).to.equal(false);
+      expect((await admin.getRevocation(users[0].address)).reason).to.equal("Fraud");
+
+      const stats = await getStats(admin);
+      expect(stats).to.include({ owner: owner.address, totalVerifications: 0, activeRequests: 0 });
+      expect(stats.roles.verifiers).to.deep.equal([owner.address, verifier.address]);
+      expect(stats.policy.minIdentityScore).to.equal(75);
+      expect(stats.revocationCooldowns).to.include({ Unspecified: 0n, Fraud: 0n });
+    });
+  });
+
+  describe("sweep", function () {
+    beforeEach(async function () {
+      await clientFor(owner).authorizeVerifier(verifier.address);
+      for (const user of users.slice(0, 3)) {
+        await clientFor(user).registerIdentityPlaintext(123456, 90);
+      }
+      await time.increase(DEFAULT_POLICY.proofValidityPeriod + 1);
+
+      // Registered again after the validity period, so it is not swept
+      await clientFor(users[2]).registerIdentityPlaintext(123456, 90);
+      await clientFor(users[3]).registerIdentityPlaintext(123456, 90);
+    });
+
+    it("finds expired proofs that are still marked active", async function () {
+      const { scanned, expired } = await findExpiredProofs(clientFor(verifier));
+
+      expect(scanned).to.equal(4);
+      expect(expired).to.deep.equal([users[0].address, users[1].address]);
+    });
+
+    it("follows proofs that moved to a new address", async function () {
+      await clientFor(users[3]).proposeIdentityMigration(users[4].address);
+      await clientFor(users[4]).acceptIdentityMigration(users[3].address);
+      await time.increase(DEFAULT_POLICY.proofValidityPeriod + 1);
+
+      const { scanned, expired } = await findExpiredProofs(clientFor(verifier));
+
+      expect(scanned).to.equal(5);
+      expect(expired).to.deep.equal([users[0].address, users[1].address, users[2].address, users[4].address]);
+    });
+
+    it("plans gas-bounded batches without sending in dry-run mode", async function () {
+      const client = clientFor(verifier);
+      // Room for one cleanup per transaction but not two
+      const maxGas = (await client.estimateCleanupGas([users[0].address])) + 5000n;
+      expect(await client.estimateCleanupGas([users[0].address, users[1].address])).to.be.above(maxGas);
+
+      const result = await sweep(client, { dryRun: true, maxGas });
+      expect(result.batches.map((batch) => batch.users)).to.deep.equal([[users[0].address], [users[1].address]]);
+      expect(result.batches.every((batch) => batch.estimatedGas <= maxGas)).to.equal(true);
+      expect((await client.getIdentityStatus(users[0].address)).isActive).to.equal(true);
+    });
+
+    it("deactivates expired proofs", async function () {
+      const client = clientFor(verifier);
+
+      const result = await sweep(client, { batchSize: 10 });
+      expect(result.batches).to.have.length(1);
+      expect(result.batches[0].cleaned).to.equal(2);
+      expect((await findExpiredProofs(client)).expired).to.deep.equal([]);
+      expect((await client.getIdentityStatus(users[2].address)).isActive).to.equal(true);
+    });
+  });
+});
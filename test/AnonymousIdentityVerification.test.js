@@ -0,0 +1,1393 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const PROOF_VALIDITY_PERIOD = 30 * 24 * 60 * 60;
+const CHALLENGE_VALIDITY_PERIOD = 60 * 60;
+const MAX_REQUESTS_PER_USER = 5;
+const REQUEST_WINDOW = 24 * 60 * 60;
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: PROOF_VALIDITY_PERIOD,
+  challengeValidityPeriod: CHALLENGE_VALIDITY_PERIOD,
+  minIdentityScore: 75,
+  maxRequestsPerUser: MAX_REQUESTS_PER_USER,
+  proofTolerancePercent: 1,
+  requestWindow: REQUEST_WINDOW,
+};
+
+const CREDENTIAL = 123456789n;
+const SCORE = 90;
+
+// Index matches the contract's RequestStatus enum
+const RequestStatus = { Pending: 0, Approved: 1, Rejected: 2, Cancelled: 3, Expired: 4, Submitted: 5 };
+
+// Index matches the contract's RevocationReason enum
+const RevocationReason = { Unspecified: 0, Fraud: 1, KeyCompromised: 2, InvalidDocuments: 3, UserRequested: 4 };
+const PERMANENT_BLOCK = 2n ** 64n - 1n;
+const ORACLE_TIMEOUT = 24 * 60 * 60;
+
+// Mirrors the contract's proof formula: wrapping uint32 multiply, then modulo 1,000,000
+function computeProof(challenge, credential) {
+  return ((challenge * credential) % 2n ** 32n) % 1000000n;
+}
+
+describe("AnonymousIdentityVerification", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let verifier;
+  let alice;
+  let bob;
+  let ADMIN_ROLE;
+  let VERIFIER_ROLE;
+  let AUDITOR_ROLE;
+
+  async function registerEncrypted(user, credential = CREDENTIAL, score = SCORE) {
+    const input = fhevm.createEncryptedInput(contractAddress, user.address);
+    input.add32(credential);
+    input.add8(score);
+    const { handles, inputProof } = await input.encrypt();
+
+    return contract
+      .connect(user)
+      ["registerIdentityProof(bytes32,bytes32,bytes)"](handles[0], handles[1], inputProof);
+  }
+
+  function registerPlaintext(user, credential = CREDENTIAL, score = SCORE) {
+    return contract.connect(user)["registerIdentityProof(uint32,uint8)"](credential, score);
+  }
+
+  async function rotateEncrypted(user, credential = CREDENTIAL, score = SCORE) {
+    const input = fhevm.createEncryptedInput(contractAddress, user.address);
+    input.add32(credential);
+    input.add8(score);
+    const { handles, inputProof } = await input.encrypt();
+
+    return contract.connect(user)["rotateCredential(bytes32,bytes32,bytes)"](handles[0], handles[1], inputProof);
+  }
+
+  function rotatePlaintext(user, credential = CREDENTIAL, score = SCORE) {
+    return contract.connect(user)["rotateCredential(uint32,uint8)"](credential, score);
+  }
+
+  async function requestVerification(user) {
+    const tx = await contract.connect(user).requestVerification();
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "VerificationRequested");
+    return event.args.requestId;
+  }
+
+  async function decryptChallenge(user, requestId) {
+    const handle = await contract.getVerificationChallenge(requestId);
+    return fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, user);
+  }
+
+  // Submits a proof and lets the mock decryption oracle deliver the processVerification callback
+  async function submitProof(user, requestId, proof) {
+    await (await contract.connect(user).submitVerificationProof(requestId, proof)).wait();
+    await fhevm.awaitDecryptionOracle();
+  }
+
+  async function completeVerification(user, credential = CREDENTIAL) {
+    const requestId = await requestVerification(user);
+    const challenge = await decryptChallenge(user, requestId);
+    await submitProof(user, requestId, computeProof(challenge, credential));
+    return requestId;
+  }
+
+  function forgedCleartexts(challenge, proof, credential) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(["uint32", "uint32", "uint32"], [challenge, proof, credential]);
+  }
+
+  beforeEach(async function () {
+    [owner, verifier, alice, bob] = await ethers.getSigners();
+
+    const factory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    contract = await factory.connect(owner).deploy(DEFAULT_POLICY);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await fhevm.assertCoprocessorInitialized(contract, "AnonymousIdentityVerification");
+
+    [ADMIN_ROLE, VERIFIER_ROLE, AUDITOR_ROLE] = await Promise.all([
+      contract.ADMIN_ROLE(),
+      contract.VERIFIER_ROLE(),
+      contract.AUDITOR_ROLE(),
+    ]);
+  });
+
+  describe("deployment", function () {
+    it("sets the deployer as owner and authorized verifier", async function () {
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.authorizedVerifiers(owner.address)).to.equal(true);
+    });
+
+    it("starts with empty statistics", async function () {
+      const stats = await contract.getContractStats();
+      expect(stats.totalVerificationsCount).to.equal(0);
+      expect(stats.activeRequests).to.equal(0);
+    });
+  });
+
+  describe("verifier management", function () {
+    it("lets the owner authorize and revoke verifiers", async function () {
+      await expect(contract.authorizeVerifier(verifier.address))
+        .to.emit(contract, "VerifierAuthorized")
+        .withArgs(verifier.address);
+      expect(await contract.authorizedVerifiers(verifier.address)).to.equal(true);
+
+      await expect(contract.revokeVerifier(verifier.address))
+        .to.emit(contract, "VerifierRevoked")
+        .withArgs(verifier.address);
+      expect(await contract.authorizedVerifiers(verifier.address)).to.equal(false);
+    });
+
+    it("rejects verifier changes from non-owners", async function () {
+      await expect(contract.connect(alice).authorizeVerifier(verifier.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(contract.connect(alice).revokeVerifier(verifier.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+    });
+
+    it("rejects the zero address and revoking the owner", async function () {
+      await expect(contract.authorizeVerifier(ethers.ZeroAddress)).to.be.revertedWithCustomError(contract, "InvalidAddress");
+      await expect(contract.revokeVerifier(owner.address)).to.be.revertedWithCustomError(contract, "CannotRevokeOwner");
+    });
+  });
+
+  describe("roles", function () {
+    it("grants the deployer the admin and verifier roles", async function () {
+      const roles = await contract.getRoles(owner.address);
+      expect(roles.isAdmin).to.equal(true);
+      expect(roles.isVerifier).to.equal(true);
+      expect(roles.isAuditor).to.equal(false);
+      expect(await contract.getRoleMembers(ADMIN_ROLE)).to.deep.equal([owner.address]);
+    });
+
+    it("lets admins grant and revoke roles and enumerates holders", async function () {
+      await expect(contract.grantRole(AUDITOR_ROLE, alice.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(AUDITOR_ROLE, alice.address, owner.address);
+      await contract.authorizeVerifier(verifier.address);
+      await contract.authorizeVerifier(bob.address);
+
+      expect(await contract.getRoleMembers(VERIFIER_ROLE)).to.deep.equal([
+        owner.address,
+        verifier.address,
+        bob.address,
+      ]);
+
+      await expect(contract.revokeRole(VERIFIER_ROLE, verifier.address))
+        .to.emit(contract, "VerifierRevoked")
+        .withArgs(verifier.address);
+      expect(await contract.getRoleMembers(VERIFIER_ROLE)).to.deep.equal([owner.address, bob.address]);
+      expect(await contract.hasRole(AUDITOR_ROLE, alice.address)).to.equal(true);
+    });
+
+    it("supports multiple admins", async function () {
+      await contract.grantRole(ADMIN_ROLE, alice.address);
+
+      await expect(contract.connect(alice).authorizeVerifier(verifier.address)).to.emit(contract, "VerifierAuthorized");
+      expect(await contract.getRoleMembers(ADMIN_ROLE)).to.deep.equal([owner.address, alice.address]);
+    });
+
+    it("lets auditors check identities without verifier powers", async function () {
+      await contract.grantRole(AUDITOR_ROLE, alice.address);
+      await contract.connect(bob).grantConsent(alice.address, 0, 0);
+
+      expect(await contract.connect(alice).verifyIdentityAnonymously.staticCall(bob.address)).to.equal(false);
+      await expect(contract.connect(alice).revokeIdentityProof(bob.address, RevocationReason.Unspecified))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(alice.address);
+    });
+
+    it("rejects role changes from non-admins, unknown roles and the owner's roles", async function () {
+      await expect(contract.connect(alice).grantRole(AUDITOR_ROLE, bob.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(contract.grantRole(ethers.id("UNKNOWN_ROLE"), bob.address))
+        .to.be.revertedWithCustomError(contract, "UnknownRole")
+        .withArgs(ethers.id("UNKNOWN_ROLE"));
+      await expect(contract.grantRole(AUDITOR_ROLE, ethers.ZeroAddress)).to.be.revertedWithCustomError(contract, "InvalidAddress");
+      await expect(contract.revokeRole(ADMIN_ROLE, owner.address)).to.be.revertedWithCustomError(contract, "CannotRevokeOwner");
+    });
+  });
+
+  describe("ownership transfer", function () {
+    it("requires the new owner to accept", async function () {
+      await expect(contract.transferOwnership(alice.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, alice.address);
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.pendingOwner()).to.equal(alice.address);
+
+      await expect(contract.connect(bob).acceptOwnership())
+        .to.be.revertedWithCustomError(contract, "NotPendingOwner")
+        .withArgs(bob.address);
+
+      await expect(contract.connect(alice).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, alice.address);
+      expect(await contract.owner()).to.equal(alice.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect((await contract.getRoles(alice.address)).isAdmin).to.equal(true);
+    });
+
+    it("lets the new owner revoke the previous owner's roles", async function () {
+      await contract.transferOwnership(alice.address);
+      await contract.connect(alice).acceptOwnership();
+
+      await contract.connect(alice).revokeRole(ADMIN_ROLE, owner.address);
+      await expect(contract.authorizeVerifier(bob.address)).to.be.revertedWithCustomError(contract, "Unauthorized");
+    });
+
+    it("is restricted to the owner", async function () {
+      await contract.grantRole(ADMIN_ROLE, alice.address);
+
+      await expect(contract.connect(alice).transferOwnership(alice.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(contract.transferOwnership(ethers.ZeroAddress)).to.be.revertedWithCustomError(contract, "InvalidAddress");
+    });
+  });
+
+  describe("policy", function () {
+    it("is set at construction", async function () {
+      const policy = await contract.getPolicy();
+      expect(policy.proofValidityPeriod).to.equal(PROOF_VALIDITY_PERIOD);
+      expect(policy.challengeValidityPeriod).to.equal(CHALLENGE_VALIDITY_PERIOD);
+      expect(policy.minIdentityScore).to.equal(75);
+      expect(policy.maxRequestsPerUser).to.equal(MAX_REQUESTS_PER_USER);
+      expect(policy.proofTolerancePercent).to.equal(1);
+      expect(policy.requestWindow).to.equal(REQUEST_WINDOW);
+    });
+
+    it("lets admins update it and applies it to new registrations and requests", async function () {
+      const oneWeek = 7 * 24 * 60 * 60;
+      const strictPolicy = { ...DEFAULT_POLICY, proofValidityPeriod: oneWeek, minIdentityScore: 95, maxRequestsPerUser: 1 };
+
+      await expect(contract.updatePolicy(strictPolicy)).to.emit(contract, "PolicyUpdated");
+      expect((await contract.getPolicy()).minIdentityScore).to.equal(95);
+
+      await expect(registerPlaintext(alice, CREDENTIAL, 90))
+        .to.be.revertedWithCustomError(contract, "IdentityScoreTooLow")
+        .withArgs(90, 95);
+      await registerPlaintext(alice, CREDENTIAL, 95);
+      const status = await contract.getIdentityStatus(alice.address);
+      expect(status.expiryTime - status.timestamp).to.equal(oneWeek);
+
+      const { requestTime } = await contract.getVerificationRequestInfo(await requestVerification(alice));
+      await expect(contract.connect(alice).requestVerification())
+        .to.be.revertedWithCustomError(contract, "RequestLimitExceeded")
+        .withArgs(1, requestTime + BigInt(REQUEST_WINDOW));
+    });
+
+    it("uses the configured tolerance when checking proofs", async function () {
+      await contract.updatePolicy({ ...DEFAULT_POLICY, proofTolerancePercent: 10 });
+      await registerEncrypted(alice);
+
+      const requestId = await requestVerification(alice);
+      const challenge = await decryptChallenge(alice, requestId);
+      const expected = computeProof(challenge, CREDENTIAL);
+      await submitProof(alice, requestId, expected + (expected * 10n) / 100n);
+
+      expect((await contract.getVerificationRequestInfo(requestId)).isApproved).to.equal(true);
+    });
+
+    it("rejects updates from non-admins and invalid values", async function () {
+      await expect(contract.connect(alice).updatePolicy(DEFAULT_POLICY)).to.be.revertedWithCustomError(contract, "Unauthorized");
+      await expect(contract.updatePolicy({ ...DEFAULT_POLICY, proofValidityPeriod: 0 }))
+        .to.be.revertedWithCustomError(contract, "InvalidPolicy")
+        .withArgs("proofValidityPeriod");
+      await expect(contract.updatePolicy({ ...DEFAULT_POLICY, challengeValidityPeriod: 0 }))
+        .to.be.revertedWithCustomError(contract, "InvalidPolicy")
+        .withArgs("challengeValidityPeriod");
+      await expect(contract.updatePolicy({ ...DEFAULT_POLICY, maxRequestsPerUser: 0 }))
+        .to.be.revertedWithCustomError(contract, "InvalidPolicy")
+        .withArgs("maxRequestsPerUser");
+      await expect(contract.updatePolicy({ ...DEFAULT_POLICY, proofTolerancePercent: 101 }))
+        .to.be.revertedWithCustomError(contract, "InvalidPolicy")
+        .withArgs("proofTolerancePercent");
+      await expect(contract.updatePolicy({ ...DEFAULT_POLICY, requestWindow: 0 }))
+        .to.be.revertedWithCustomError(contract, "InvalidPolicy")
+        .withArgs("requestWindow");
+    });
+  });
+
+  describe("registerIdentityProof", function () {
+    it("stores an encrypted proof and lets the user decrypt their score", async function () {
+      await expect(registerEncrypted(alice)).to.emit(contract, "IdentityProofRegistered");
+
+      const status = await contract.getIdentityStatus(alice.address);
+      expect(status.isActive).to.equal(true);
+      expect(status.isVerified).to.equal(false);
+      expect(status.expiryTime - status.timestamp).to.equal(PROOF_VALIDITY_PERIOD);
+
+      const proof = await contract.identityProofs(alice.address);
+      const score = await fhevm.userDecryptEuint(FhevmType.euint8, proof.identityScore, contractAddress, alice);
+      expect(score).to.equal(BigInt(SCORE));
+    });
+
+    it("accepts the plaintext demo path", async function () {
+      await expect(registerPlaintext(alice)).to.emit(contract, "IdentityProofRegistered");
+
+      const proof = await contract.identityProofs(alice.address);
+      const credential = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        proof.encryptedCredential,
+        contractAddress,
+        alice,
+      );
+      expect(credential).to.equal(CREDENTIAL);
+    });
+
+    it("rejects a plaintext score below the minimum", async function () {
+      await expect(registerPlaintext(alice, CREDENTIAL, 74))
+        .to.be.revertedWithCustomError(contract, "IdentityScoreTooLow")
+        .withArgs(74, 75);
+    });
+
+    it("rejects a zero plaintext credential", async function () {
+      await expect(registerPlaintext(alice, 0n)).to.be.revertedWithCustomError(contract, "InvalidCredential");
+    });
+
+    it("refuses to overwrite an active proof", async function () {
+      await registerEncrypted(alice);
+      await completeVerification(alice);
+
+      await expect(registerEncrypted(alice))
+        .to.be.revertedWithCustomError(contract, "IdentityAlreadyRegistered")
+        .withArgs(alice.address);
+      await expect(registerPlaintext(alice)).to.be.revertedWithCustomError(contract, "IdentityAlreadyRegistered");
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(true);
+      expect(await contract.credentialVersions(alice.address)).to.equal(1);
+    });
+
+    it("replaces an expired proof", async function () {
+      await registerPlaintext(alice);
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      await expect(registerPlaintext(alice, 987654n)).to.emit(contract, "IdentityProofRegistered");
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(true);
+      expect(await contract.credentialVersions(alice.address)).to.equal(2);
+    });
+
+    it("refuses to replace an expired proof while a request made under it is open", async function () {
+      await registerPlaintext(alice);
+      const requestId = await requestVerification(alice);
+      const challenge = await decryptChallenge(alice, requestId);
+      await contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL));
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      await expect(registerPlaintext(alice, 987654n))
+        .to.be.revertedWithCustomError(contract, "PendingVerificationRequests")
+        .withArgs(alice.address, 1);
+
+      // The old credential's verdict lands on the old proof, which a new registration then replaces unverified
+      await fhevm.awaitDecryptionOracle();
+      await registerPlaintext(alice, 987654n);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+
+    it("replaces an expired proof once a request the oracle never answered is expired", async function () {
+      await registerPlaintext(alice);
+      const requestId = await requestVerification(alice);
+      const challenge = await decryptChallenge(alice, requestId);
+      await contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL));
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      await contract.connect(alice).expireVerificationRequest(requestId);
+      await expect(registerPlaintext(alice, 987654n)).to.emit(contract, "IdentityProofRegistered");
+
+      // The lost verdict cannot verify the new proof if it turns up after all
+      await expect(fhevm.awaitDecryptionOracle())
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Expired);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+  });
+
+  describe("rotateCredential", function () {
+    const NEW_CREDENTIAL = 987654321n;
+
+    beforeEach(async function () {
+      await registerEncrypted(alice);
+    });
+
+    it("replaces the credential and requires verification again", async function () {
+      await completeVerification(alice);
+      await time.increase(60);
+
+      await expect(rotateEncrypted(alice, NEW_CREDENTIAL, 80))
+        .to.emit(contract, "CredentialRotated")
+        .withArgs(alice.address, 2);
+
+      const status = await contract.getIdentityStatus(alice.address);
+      expect(status.isActive).to.equal(true);
+      expect(status.isVerified).to.equal(false);
+      expect(status.timestamp).to.equal(await time.latest());
+      expect(status.expiryTime - status.timestamp).to.equal(PROOF_VALIDITY_PERIOD);
+
+      const proof = await contract.identityProofs(alice.address);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, proof.identityScore, contractAddress, alice)).to.equal(80n);
+
+      // Proofs for the old credential no longer pass
+      const requestId = await completeVerification(alice);
+      expect((await contract.getVerificationRequestInfo(requestId)).isApproved).to.equal(false);
+      await completeVerification(alice, NEW_CREDENTIAL);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(true);
+    });
+
+    it("validates plaintext rotations like registrations", async function () {
+      await expect(rotatePlaintext(alice, NEW_CREDENTIAL, 74))
+        .to.be.revertedWithCustomError(contract, "IdentityScoreTooLow")
+        .withArgs(74, 75);
+      await expect(rotatePlaintext(alice, 0n)).to.be.revertedWithCustomError(contract, "InvalidCredential");
+
+      await expect(rotatePlaintext(alice, NEW_CREDENTIAL))
+        .to.emit(contract, "CredentialRotated")
+        .withArgs(alice.address, 2);
+      const proof = await contract.identityProofs(alice.address);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint32, proof.encryptedCredential, contractAddress, alice))
+        .to.equal(NEW_CREDENTIAL);
+    });
+
+    it("requires an active, unexpired proof", async function () {
+      await expect(rotatePlaintext(bob))
+        .to.be.revertedWithCustomError(contract, "NoActiveIdentityProof")
+        .withArgs(bob.address);
+
+      await time.increase(PROOF_VALIDITY_PERIOD);
+      await expect(rotatePlaintext(alice)).to.be.revertedWithCustomError(contract, "IdentityProofExpired");
+    });
+
+    it("refuses while a verification request is pending and keeps the request history", async function () {
+      const requestId = await requestVerification(alice);
+      await expect(rotatePlaintext(alice, NEW_CREDENTIAL))
+        .to.be.revertedWithCustomError(contract, "PendingVerificationRequests")
+        .withArgs(alice.address, 1);
+
+      await contract.connect(alice).cancelVerificationRequest(requestId);
+      await rotatePlaintext(alice, NEW_CREDENTIAL);
+      expect((await contract.getUserRequests(alice.address, 0, 10)).total).to.equal(1);
+      expect((await contract.getRequestAllowance(alice.address)).remaining).to.equal(MAX_REQUESTS_PER_USER - 1);
+    });
+  });
+
+  describe("requestVerification", function () {
+    it("creates a request with a challenge only the requester can decrypt", async function () {
+      await registerEncrypted(alice);
+
+      await expect(contract.connect(alice).requestVerification())
+        .to.emit(contract, "VerificationRequested")
+        .withArgs(1, alice.address);
+
+      const info = await contract.getVerificationRequestInfo(1);
+      expect(info.requester).to.equal(alice.address);
+      expect(info.isCompleted).to.equal(false);
+      expect(info.status).to.equal(RequestStatus.Pending);
+      expect(info.challengeExpiryTime - info.requestTime).to.equal(CHALLENGE_VALIDITY_PERIOD);
+
+      const challenge = await decryptChallenge(alice, 1);
+      expect(challenge).to.be.a("bigint");
+
+      const stats = await contract.getContractStats();
+      expect(stats.totalVerificationsCount).to.equal(1);
+      expect(stats.activeRequests).to.equal(1);
+    });
+
+    it("requires an active identity proof", async function () {
+      await expect(contract.connect(alice).requestVerification())
+        .to.be.revertedWithCustomError(contract, "NoActiveIdentityProof")
+        .withArgs(alice.address);
+    });
+
+    it("rejects requests once the identity proof has expired", async function () {
+      await registerEncrypted(alice);
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      const { expiryTime } = await contract.getIdentityStatus(alice.address);
+      await expect(contract.connect(alice).requestVerification())
+        .to.be.revertedWithCustomError(contract, "IdentityProofExpired")
+        .withArgs(alice.address, expiryTime);
+    });
+
+    it("allows MAX_REQUESTS_PER_USER requests per rolling REQUEST_WINDOW", async function () {
+      await registerEncrypted(alice);
+      expect((await contract.getRequestAllowance(alice.address)).remaining).to.equal(MAX_REQUESTS_PER_USER);
+
+      const firstRequestId = await requestVerification(alice);
+      await time.increase(REQUEST_WINDOW / 2);
+      for (let i = 1; i < MAX_REQUESTS_PER_USER; i++) {
+        await contract.connect(alice).requestVerification();
+      }
+
+      const { requestTime } = await contract.getVerificationRequestInfo(firstRequestId);
+      const allowance = await contract.getRequestAllowance(alice.address);
+      expect(allowance.remaining).to.equal(0);
+      expect(allowance.nextRequestTime).to.equal(requestTime + BigInt(REQUEST_WINDOW));
+      await expect(contract.connect(alice).requestVerification())
+        .to.be.revertedWithCustomError(contract, "RequestLimitExceeded")
+        .withArgs(MAX_REQUESTS_PER_USER, allowance.nextRequestTime);
+
+      // Only the first request has left the window
+      await time.increaseTo(allowance.nextRequestTime);
+      expect((await contract.getRequestAllowance(alice.address)).remaining).to.equal(1);
+      await contract.connect(alice).requestVerification();
+      await expect(contract.connect(alice).requestVerification()).to.be.revertedWithCustomError(
+        contract,
+        "RequestLimitExceeded",
+      );
+    });
+
+    it("rejects users who are already verified", async function () {
+      await registerEncrypted(alice);
+      await completeVerification(alice);
+
+      await expect(contract.connect(alice).requestVerification())
+        .to.be.revertedWithCustomError(contract, "AlreadyVerified")
+        .withArgs(alice.address);
+    });
+  });
+
+  describe("getUserRequests", function () {
+    it("pages through a user's request IDs in order", async function () {
+      await registerEncrypted(alice);
+      await registerEncrypted(bob);
+      await requestVerification(alice);
+      await requestVerification(bob);
+      await requestVerification(alice);
+      await requestVerification(alice);
+
+      const firstPage = await contract.getUserRequests(alice.address, 0, 2);
+      expect(firstPage.requestIds).to.deep.equal([1n, 3n]);
+      expect(firstPage.total).to.equal(3);
+
+      const lastPage = await contract.getUserRequests(alice.address, 2, 2);
+      expect(lastPage.requestIds).to.deep.equal([4n]);
+
+      const pastEnd = await contract.getUserRequests(alice.address, 5, 2);
+      expect(pastEnd.requestIds).to.deep.equal([]);
+      expect(pastEnd.total).to.equal(3);
+    });
+
+    it("returns nothing for users without requests", async function () {
+      const page = await contract.getUserRequests(bob.address, 0, 10);
+      expect(page.requestIds).to.deep.equal([]);
+      expect(page.total).to.equal(0);
+    });
+  });
+
+  describe("submitVerificationProof", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      await registerEncrypted(alice);
+      requestId = await requestVerification(alice);
+    });
+
+    it("accepts a proof from the requester before the challenge expires", async function () {
+      const challenge = await decryptChallenge(alice, requestId);
+      await expect(contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL))).to
+        .not.be.reverted;
+    });
+
+    it("rejects proofs for someone else's request", async function () {
+      await expect(contract.connect(bob).submitVerificationProof(requestId, 1))
+        .to.be.revertedWithCustomError(contract, "NotRequester")
+        .withArgs(requestId, bob.address);
+    });
+
+    it("rejects proofs after CHALLENGE_VALIDITY_PERIOD", async function () {
+      await time.increase(CHALLENGE_VALIDITY_PERIOD + 1);
+
+      const { challengeExpiryTime } = await contract.getVerificationRequestInfo(requestId);
+      await expect(contract.connect(alice).submitVerificationProof(requestId, 1))
+        .to.be.revertedWithCustomError(contract, "ChallengeExpired")
+        .withArgs(requestId, challengeExpiryTime);
+    });
+
+    it("records the decryption request for the oracle callback", async function () {
+      await contract.connect(alice).submitVerificationProof(requestId, 1);
+
+      expect(await contract.decryptionRequests(0)).to.equal(requestId);
+    });
+
+    it("rejects proofs for completed requests", async function () {
+      await submitProof(alice, requestId, 0);
+
+      await expect(contract.connect(alice).submitVerificationProof(requestId, 1))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Rejected);
+    });
+  });
+
+  describe("request lifecycle", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      await registerEncrypted(alice);
+      requestId = await requestVerification(alice);
+    });
+
+    it("lets the requester cancel a pending request", async function () {
+      await expect(contract.connect(bob).cancelVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "NotRequester")
+        .withArgs(requestId, bob.address);
+
+      await expect(contract.connect(alice).cancelVerificationRequest(requestId))
+        .to.emit(contract, "VerificationCancelled")
+        .withArgs(requestId, alice.address);
+
+      const info = await contract.getVerificationRequestInfo(requestId);
+      expect(info.status).to.equal(RequestStatus.Cancelled);
+      expect(info.isCompleted).to.equal(true);
+      expect(info.isApproved).to.equal(false);
+      expect((await contract.getContractStats()).activeRequests).to.equal(0);
+
+      await expect(contract.connect(alice).submitVerificationProof(requestId, 1))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Cancelled);
+      await expect(contract.connect(alice).cancelVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Cancelled);
+    });
+
+    it("still counts cancelled requests towards the limit", async function () {
+      await contract.connect(alice).cancelVerificationRequest(requestId);
+
+      expect((await contract.getRequestAllowance(alice.address)).remaining).to.equal(MAX_REQUESTS_PER_USER - 1);
+    });
+
+    it("lets anyone reclaim a request once its challenge has expired", async function () {
+      const { challengeExpiryTime } = await contract.getVerificationRequestInfo(requestId);
+      await expect(contract.connect(bob).expireVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "ChallengeStillValid")
+        .withArgs(requestId, challengeExpiryTime);
+
+      await time.increase(CHALLENGE_VALIDITY_PERIOD + 1);
+      await expect(contract.connect(bob).expireVerificationRequest(requestId))
+        .to.emit(contract, "VerificationExpired")
+        .withArgs(requestId, alice.address, bob.address);
+
+      expect((await contract.getVerificationRequestInfo(requestId)).status).to.equal(RequestStatus.Expired);
+      expect((await contract.getContractStats()).activeRequests).to.equal(0);
+      await expect(contract.connect(bob).expireVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Expired);
+    });
+
+    it("cannot be cancelled or expired while a submitted proof awaits the oracle", async function () {
+      const challenge = await decryptChallenge(alice, requestId);
+      await contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL));
+      await time.increase(CHALLENGE_VALIDITY_PERIOD + 1);
+
+      const info = await contract.getVerificationRequestInfo(requestId);
+      expect(info.status).to.equal(RequestStatus.Submitted);
+      expect(info.isCompleted).to.equal(false);
+      await expect(contract.connect(alice).cancelVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Submitted);
+      await expect(contract.connect(bob).expireVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "ChallengeStillValid")
+        .withArgs(requestId, info.challengeExpiryTime + BigInt(ORACLE_TIMEOUT));
+
+      // The verdict still lands after the challenge expired
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getVerificationRequestInfo(requestId)).status).to.equal(RequestStatus.Approved);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(true);
+    });
+
+    it("lets anyone expire a submitted request the oracle never answered", async function () {
+      const challenge = await decryptChallenge(alice, requestId);
+      await contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL));
+      await time.increase(CHALLENGE_VALIDITY_PERIOD + ORACLE_TIMEOUT + 1);
+
+      await expect(contract.connect(bob).expireVerificationRequest(requestId))
+        .to.emit(contract, "VerificationExpired")
+        .withArgs(requestId, alice.address, bob.address);
+
+      expect((await contract.getVerificationRequestInfo(requestId)).status).to.equal(RequestStatus.Expired);
+      expect((await contract.getContractStats()).activeRequests).to.equal(0);
+
+      // A verdict delivered late is refused
+      await expect(fhevm.awaitDecryptionOracle())
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Expired);
+      expect((await contract.getVerificationRequestInfo(requestId)).status).to.equal(RequestStatus.Expired);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+
+    it("does not expire completed or unknown requests", async function () {
+      const challenge = await decryptChallenge(alice, requestId);
+      await submitProof(alice, requestId, computeProof(challenge, CREDENTIAL));
+      await time.increase(CHALLENGE_VALIDITY_PERIOD + 1);
+
+      expect((await contract.getVerificationRequestInfo(requestId)).status).to.equal(RequestStatus.Approved);
+      await expect(contract.expireVerificationRequest(requestId))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Approved);
+      await expect(contract.expireVerificationRequest(99))
+        .to.be.revertedWithCustomError(contract, "UnknownRequest")
+        .withArgs(99);
+    });
+  });
+
+  describe("processVerification", function () {
+    let requestId;
+    let challenge;
+
+    beforeEach(async function () {
+      await registerEncrypted(alice);
+      requestId = await requestVerification(alice);
+      challenge = await decryptChallenge(alice, requestId);
+    });
+
+    it("approves a correct proof and marks the identity verified", async function () {
+      await submitProof(alice, requestId, computeProof(challenge, CREDENTIAL));
+
+      const [event] = await contract.queryFilter(contract.filters.VerificationCompleted(requestId));
+      expect(event.args.approved).to.equal(true);
+      expect(event.args.requester).to.equal(alice.address);
+
+      const info = await contract.getVerificationRequestInfo(requestId);
+      expect(info.isCompleted).to.equal(true);
+      expect(info.isApproved).to.equal(true);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(true);
+      expect((await contract.getContractStats()).activeRequests).to.equal(0);
+    });
+
+    it("rejects an incorrect proof", async function () {
+      const wrongProof = (computeProof(challenge, CREDENTIAL) + 500000n) % 1000000n;
+      await submitProof(alice, requestId, wrongProof);
+
+      const [event] = await contract.queryFilter(contract.filters.VerificationCompleted(requestId));
+      expect(event.args.approved).to.equal(false);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+
+    it("never makes the credential or challenge publicly decryptable", async function () {
+      await submitProof(alice, requestId, computeProof(challenge, CREDENTIAL));
+
+      const proof = await contract.identityProofs(alice.address);
+      const request = await contract.verificationRequests(requestId);
+      await expect(fhevm.publicDecryptEuint(FhevmType.euint32, proof.encryptedCredential)).to.be.rejected;
+      await expect(fhevm.publicDecryptEuint(FhevmType.euint32, request.encryptedChallenge)).to.be.rejected;
+    });
+
+    it("reverts a forged callback for a pending request", async function () {
+      await contract.connect(alice).submitVerificationProof(requestId, 0);
+      const decryptionRequestId = 0;
+
+      await expect(
+        contract
+          .connect(bob)
+          .processVerification(decryptionRequestId, forgedCleartexts(1, 1, 1), ethers.hexlify(ethers.randomBytes(65))),
+      ).to.be.reverted;
+
+      expect((await contract.getVerificationRequestInfo(requestId)).isCompleted).to.equal(false);
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+
+    it("reverts callbacks for unknown decryption requests", async function () {
+      await expect(
+        contract.connect(bob).processVerification(42, forgedCleartexts(1, 1, 1), "0x"),
+      )
+        .to.be.revertedWithCustomError(contract, "UnknownDecryptionRequest")
+        .withArgs(42);
+    });
+
+    it("accepts one proof per request", async function () {
+      await contract.connect(alice).submitVerificationProof(requestId, computeProof(challenge, CREDENTIAL));
+
+      await expect(contract.connect(alice).submitVerificationProof(requestId, 0))
+        .to.be.revertedWithCustomError(contract, "RequestNotPending")
+        .withArgs(requestId, RequestStatus.Submitted);
+
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getVerificationRequestInfo(requestId)).isApproved).to.equal(true);
+      expect(await contract.decryptionRequests(1)).to.equal(0);
+    });
+
+    it("forgets the decryption request once it has been processed", async function () {
+      await submitProof(alice, requestId, computeProof(challenge, CREDENTIAL));
+
+      expect(await contract.decryptionRequests(0)).to.equal(0);
+      await expect(
+        contract.connect(bob).processVerification(0, forgedCleartexts(1, 1, 1), "0x"),
+      ).to.be.revertedWithCustomError(contract, "UnknownDecryptionRequest");
+    });
+  });
+
+  describe("homomorphic proof check", function () {
+    it("matches the plaintext reference at the tolerance boundaries", async function () {
+      const factory = await ethers.getContractFactory("AnonymousIdentityVerificationHarness");
+      contract = await factory.deploy(DEFAULT_POLICY);
+      await contract.waitForDeployment();
+      contractAddress = await contract.getAddress();
+
+      await registerEncrypted(alice);
+
+      // Just outside the window on each side, then exactly on the upper edge
+      const cases = [
+        { offset: (tolerance) => tolerance + 1n, approved: false },
+        { offset: (tolerance) => -tolerance - 1n, approved: false },
+        { offset: (tolerance) => tolerance, approved: true },
+      ];
+
+      for (const { offset, approved } of cases) {
+        const requestId = await requestVerification(alice);
+        const challenge = await decryptChallenge(alice, requestId);
+        const expected = computeProof(challenge, CREDENTIAL);
+        const proof = expected + offset(expected / 100n);
+        if (proof < 0n) continue;
+
+        await submitProof(alice, requestId, proof);
+
+        const info = await contract.getVerificationRequestInfo(requestId);
+        expect(info.isApproved).to.equal(approved);
+        expect(await contract.validateProof(challenge, proof, CREDENTIAL)).to.equal(approved);
+      }
+
+      expect((await contract.getIdentityStatus(alice.address)).isVerified).to.equal(true);
+    });
+
+    it("rejects every proof when the encrypted registration was ineligible", async function () {
+      await registerEncrypted(alice, CREDENTIAL, 50);
+      const requestId = await completeVerification(alice);
+
+      expect((await contract.getVerificationRequestInfo(requestId)).isApproved).to.equal(false);
+    });
+  });
+
+  describe("score predicates", function () {
+    // Sends the predicate transaction and returns the encrypted result handle from its event
+    async function evaluate(caller, call) {
+      const receipt = await (await call(contract.connect(caller))).wait();
+      const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "ScorePredicateEvaluated");
+      return event.args.result;
+    }
+
+    beforeEach(async function () {
+      await contract.authorizeVerifier(verifier.address);
+      await registerEncrypted(alice, CREDENTIAL, 100);
+      await contract.connect(alice).grantConsent(verifier.address, 0, 0);
+    });
+
+    it("compares the encrypted score against a verifier's threshold", async function () {
+      const passes = await evaluate(verifier, (c) => c.checkScoreThreshold(alice.address, 90));
+      const fails = await evaluate(verifier, (c) => c.checkScoreThreshold(alice.address, 120));
+
+      expect(await fhevm.userDecryptEbool(passes, contractAddress, verifier)).to.equal(true);
+      expect(await fhevm.userDecryptEbool(fails, contractAddress, verifier)).to.equal(false);
+    });
+
+    it("checks score ranges inclusively", async function () {
+      const inside = await evaluate(verifier, (c) => c.checkScoreRange(alice.address, 100, 110));
+      const above = await evaluate(verifier, (c) => c.checkScoreRange(alice.address, 80, 99));
+
+      expect(await fhevm.userDecryptEbool(inside, contractAddress, verifier)).to.equal(true);
+      expect(await fhevm.userDecryptEbool(above, contractAddress, verifier)).to.equal(false);
+      await expect(contract.connect(verifier).checkScoreRange(alice.address, 110, 100))
+        .to.be.revertedWithCustomError(contract, "InvalidScoreRange")
+        .withArgs(110, 100);
+    });
+
+    it("lets only the calling verifier decrypt the result", async function () {
+      const result = await evaluate(verifier, (c) => c.checkScoreThreshold(alice.address, 90));
+
+      await expect(contract.connect(verifier).checkScoreThreshold(alice.address, 90))
+        .to.emit(contract, "ScorePredicateEvaluated")
+        .withArgs(verifier.address, alice.address, 90, 255, anyValue);
+      expect(await fhevm.userDecryptEbool(result, contractAddress, verifier)).to.equal(true);
+      await expect(fhevm.userDecryptEbool(result, contractAddress, alice)).to.be.rejected;
+      await expect(fhevm.userDecryptEbool(result, contractAddress, owner)).to.be.rejected;
+    });
+
+    it("is restricted to verifiers and active identity proofs", async function () {
+      await expect(contract.connect(bob).checkScoreThreshold(alice.address, 90))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(bob.address);
+      await expect(contract.connect(verifier).checkScoreThreshold(bob.address, 90))
+        .to.be.revertedWithCustomError(contract, "NoActiveIdentityProof")
+        .withArgs(bob.address);
+    });
+
+    it("requires the user's consent", async function () {
+      await contract.connect(alice).revokeConsent(verifier.address);
+
+      await expect(contract.connect(verifier).checkScoreThreshold(alice.address, 90))
+        .to.be.revertedWithCustomError(contract, "NoConsent")
+        .withArgs(alice.address, verifier.address);
+    });
+  });
+
+  describe("verified identity lifecycle", function () {
+    beforeEach(async function () {
+      await contract.authorizeVerifier(verifier.address);
+      await registerEncrypted(alice);
+      await completeVerification(alice);
+      await contract.connect(alice).grantConsent(verifier.address, 0, 0);
+    });
+
+    it("reports verified identities to authorized verifiers only", async function () {
+      await contract.connect(bob).grantConsent(verifier.address, 0, 0);
+
+      expect(await contract.connect(verifier).verifyIdentityAnonymously.staticCall(alice.address)).to.equal(true);
+      expect(await contract.connect(verifier).verifyIdentityAnonymously.staticCall(bob.address)).to.equal(false);
+
+      await expect(contract.connect(bob).verifyIdentityAnonymously(alice.address))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(bob.address);
+    });
+
+    it("stops reporting an identity once PROOF_VALIDITY_PERIOD has passed", async function () {
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      expect(await contract.connect(verifier).verifyIdentityAnonymously.staticCall(alice.address)).to.equal(false);
+    });
+
+    it("renews the expiry", async function () {
+      await time.increase(PROOF_VALIDITY_PERIOD / 2);
+      await contract.connect(alice).renewIdentityProof();
+
+      const status = await contract.getIdentityStatus(alice.address);
+      expect(status.expiryTime).to.equal(BigInt(await time.latest()) + BigInt(PROOF_VALIDITY_PERIOD));
+    });
+
+    it("lets a verifier revoke an identity proof", async function () {
+      await expect(contract.connect(verifier).revokeIdentityProof(alice.address, RevocationReason.Fraud))
+        .to.emit(contract, "IdentityRevoked")
+        .withArgs(alice.address, verifier.address, RevocationReason.Fraud)
+        .and.not.to.emit(contract, "ProofExpired");
+
+      const status = await contract.getIdentityStatus(alice.address);
+      expect(status.isActive).to.equal(false);
+      expect(status.isVerified).to.equal(false);
+
+      const revocation = await contract.getRevocation(alice.address);
+      expect(revocation.verifier).to.equal(verifier.address);
+      expect(revocation.revokedAt).to.equal(await time.latest());
+      expect(revocation.blockedUntil).to.equal(0);
+      expect(revocation.reason).to.equal(RevocationReason.Fraud);
+    });
+  });
+
+  describe("consent", function () {
+    beforeEach(async function () {
+      await contract.authorizeVerifier(verifier.address);
+      await registerEncrypted(alice);
+    });
+
+    it("is required before a verifier can check an identity", async function () {
+      await expect(contract.connect(verifier).verifyIdentityAnonymously(alice.address))
+        .to.be.revertedWithCustomError(contract, "NoConsent")
+        .withArgs(alice.address, verifier.address);
+
+      await expect(contract.connect(alice).grantConsent(verifier.address, 0, 0))
+        .to.emit(contract, "ConsentGranted")
+        .withArgs(alice.address, verifier.address, 0, 0);
+      expect(await contract.hasConsent(alice.address, verifier.address)).to.equal(true);
+
+      await expect(contract.connect(verifier).verifyIdentityAnonymously(alice.address))
+        .to.emit(contract, "IdentityChecked")
+        .withArgs(alice.address, verifier.address, 0);
+    });
+
+    it("limits the number of checks", async function () {
+      await contract.connect(alice).grantConsent(verifier.address, 0, 2);
+
+      await contract.connect(verifier).verifyIdentityAnonymously(alice.address);
+      await contract.connect(verifier).verifyIdentityAnonymously(alice.address);
+
+      expect(await contract.hasConsent(alice.address, verifier.address)).to.equal(false);
+      await expect(contract.connect(verifier).verifyIdentityAnonymously(alice.address))
+        .to.be.revertedWithCustomError(contract, "ConsentUsesExhausted")
+        .withArgs(alice.address, verifier.address, 2);
+    });
+
+    it("expires", async function () {
+      const expiresAt = (await time.latest()) + 60 * 60;
+      await contract.connect(alice).grantConsent(verifier.address, expiresAt, 0);
+
+      await time.increaseTo(expiresAt);
+      await expect(contract.connect(verifier).verifyIdentityAnonymously(alice.address))
+        .to.be.revertedWithCustomError(contract, "ConsentExpired")
+        .withArgs(alice.address, verifier.address, expiresAt);
+      await expect(contract.connect(alice).grantConsent(verifier.address, expiresAt, 0))
+        .to.be.revertedWithCustomError(contract, "InvalidConsentExpiry")
+        .withArgs(expiresAt);
+    });
+
+    it("can be revoked by the user", async function () {
+      await contract.connect(alice).grantConsent(verifier.address, 0, 0);
+
+      await expect(contract.connect(alice).revokeConsent(verifier.address))
+        .to.emit(contract, "ConsentRevoked")
+        .withArgs(alice.address, verifier.address);
+      await expect(contract.connect(verifier).verifyIdentityAnonymously(alice.address))
+        .to.be.revertedWithCustomError(contract, "NoConsent");
+      await expect(contract.connect(alice).revokeConsent(verifier.address))
+        .to.be.revertedWithCustomError(contract, "NoConsent")
+        .withArgs(alice.address, verifier.address);
+    });
+
+    it("lists the user's grants and keeps the list dense after revocations", async function () {
+      await contract.connect(alice).grantConsent(verifier.address, 0, 3);
+      await contract.connect(alice).grantConsent(bob.address, 0, 0);
+      await contract.connect(alice).grantConsent(owner.address, 0, 0);
+      await contract.connect(verifier).verifyIdentityAnonymously(alice.address);
+
+      let [verifiers, grants] = await contract.getConsentGrants(alice.address);
+      expect(verifiers).to.deep.equal([verifier.address, bob.address, owner.address]);
+      expect(grants[0].maxUses).to.equal(3);
+      expect(grants[0].useCount).to.equal(1);
+
+      await contract.connect(alice).revokeConsent(verifier.address);
+      [verifiers] = await contract.getConsentGrants(alice.address);
+      expect(verifiers).to.deep.equal([owner.address, bob.address]);
+
+      // Granting again resets the use count without duplicating the entry
+      await contract.connect(alice).grantConsent(bob.address, 0, 1);
+      [verifiers, grants] = await contract.getConsentGrants(alice.address);
+      expect(verifiers).to.deep.equal([owner.address, bob.address]);
+      expect(grants[1].maxUses).to.equal(1);
+    });
+  });
+
+  describe("identity migration", function () {
+    let carol;
+    let RECOVERY_DELAY;
+
+    async function migrate(from, to) {
+      await contract.connect(from).proposeIdentityMigration(to.address);
+      return contract.connect(to).acceptIdentityMigration(from.address);
+    }
+
+    beforeEach(async function () {
+      [, , , , carol] = await ethers.getSigners();
+      RECOVERY_DELAY = Number(await contract.RECOVERY_DELAY());
+      await contract.authorizeVerifier(verifier.address);
+      await registerEncrypted(alice);
+    });
+
+    it("moves a verified proof and its request history to the accepting address", async function () {
+      await completeVerification(alice);
+      const before = await contract.getIdentityStatus(alice.address);
+
+      await expect(contract.connect(alice).proposeIdentityMigration(bob.address))
+        .to.emit(contract, "IdentityMigrationProposed")
+        .withArgs(alice.address, bob.address, alice.address, anyValue);
+      await expect(contract.connect(bob).acceptIdentityMigration(alice.address))
+        .to.emit(contract, "IdentityMigrated")
+        .withArgs(alice.address, bob.address, alice.address);
+
+      const after = await contract.getIdentityStatus(bob.address);
+      expect(after.isActive).to.equal(true);
+      expect(after.isVerified).to.equal(true);
+      expect(after.expiryTime).to.equal(before.expiryTime);
+      expect(after.timestamp).to.equal(before.timestamp);
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(false);
+      expect((await contract.getIdentityMigration(alice.address)).newAddress).to.equal(ethers.ZeroAddress);
+
+      expect((await contract.getUserRequests(bob.address, 0, 10)).total).to.equal(1);
+      expect((await contract.getUserRequests(alice.address, 0, 10)).total).to.equal(0);
+      expect(await contract.credentialVersions(bob.address)).to.equal(1);
+      expect(await contract.credentialVersions(alice.address)).to.equal(0);
+      expect((await contract.getRequestAllowance(bob.address)).remaining).to.equal(MAX_REQUESTS_PER_USER - 1);
+    });
+
+    it("merges the history of a new address that already made requests in request order", async function () {
+      await registerEncrypted(bob);
+      const order = [alice, bob, alice, bob, alice];
+      const requestIds = [];
+      for (const user of order) {
+        const requestId = await requestVerification(user);
+        await contract.connect(user).cancelVerificationRequest(requestId);
+        requestIds.push(requestId);
+      }
+      await contract.revokeIdentityProof(bob.address, RevocationReason.Unspecified);
+
+      await migrate(alice, bob);
+
+      expect((await contract.getUserRequests(bob.address, 0, 10)).requestIds).to.deep.equal(requestIds);
+      const { requestTime } = await contract.getVerificationRequestInfo(requestIds[0]);
+      const allowance = await contract.getRequestAllowance(bob.address);
+      expect(allowance.remaining).to.equal(0);
+      expect(allowance.nextRequestTime).to.equal(requestTime + BigInt(REQUEST_WINDOW));
+    });
+
+    it("refuses a new address with an open request from an earlier proof", async function () {
+      await registerEncrypted(bob);
+      const requestId = await requestVerification(bob);
+      await contract.revokeIdentityProof(bob.address, RevocationReason.Unspecified);
+
+      await expect(contract.connect(alice).proposeIdentityMigration(bob.address))
+        .to.be.revertedWithCustomError(contract, "PendingVerificationRequests")
+        .withArgs(bob.address, 1);
+      await contract.connect(bob).cancelVerificationRequest(requestId);
+      await expect(migrate(alice, bob)).to.emit(contract, "IdentityMigrated");
+    });
+
+    it("re-encrypts the score for the new address and keeps the credential usable", async function () {
+      const oldProof = await contract.identityProofs(alice.address);
+      await migrate(alice, bob);
+      const newProof = await contract.identityProofs(bob.address);
+
+      expect(newProof.identityScore).to.not.equal(oldProof.identityScore);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, newProof.identityScore, contractAddress, bob)).to.equal(BigInt(SCORE));
+      await expect(fhevm.userDecryptEuint(FhevmType.euint8, newProof.identityScore, contractAddress, alice)).to.be.rejected;
+      // Encrypted registrations never share the credential, so neither does the migration
+      await expect(fhevm.userDecryptEuint(FhevmType.euint32, newProof.encryptedCredential, contractAddress, bob)).to.be.rejected;
+
+      await completeVerification(bob);
+      expect((await contract.getIdentityStatus(bob.address)).isVerified).to.equal(true);
+    });
+
+    it("shares the credential when the old address could decrypt it", async function () {
+      await registerPlaintext(carol);
+      await migrate(carol, bob);
+
+      const proof = await contract.identityProofs(bob.address);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint32, proof.encryptedCredential, contractAddress, bob)).to.equal(CREDENTIAL);
+    });
+
+    it("can only be accepted by the proposed address", async function () {
+      await contract.connect(alice).proposeIdentityMigration(bob.address);
+
+      await expect(contract.connect(carol).acceptIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "NoPendingMigration")
+        .withArgs(alice.address, carol.address);
+    });
+
+    it("rejects invalid targets, addresses with a proof and pending requests", async function () {
+      await expect(contract.connect(alice).proposeIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "InvalidMigrationTarget")
+        .withArgs(alice.address);
+      await expect(contract.connect(alice).proposeIdentityMigration(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(contract, "InvalidMigrationTarget")
+        .withArgs(ethers.ZeroAddress);
+      await expect(contract.connect(carol).proposeIdentityMigration(bob.address))
+        .to.be.revertedWithCustomError(contract, "NoActiveIdentityProof")
+        .withArgs(carol.address);
+
+      await registerEncrypted(bob);
+      await expect(contract.connect(alice).proposeIdentityMigration(bob.address))
+        .to.be.revertedWithCustomError(contract, "IdentityAlreadyRegistered")
+        .withArgs(bob.address);
+
+      const requestId = await requestVerification(alice);
+      await expect(contract.connect(alice).proposeIdentityMigration(carol.address))
+        .to.be.revertedWithCustomError(contract, "PendingVerificationRequests")
+        .withArgs(alice.address, 1);
+
+      await contract.connect(alice).cancelVerificationRequest(requestId);
+      await expect(contract.connect(alice).proposeIdentityMigration(carol.address)).to.emit(contract, "IdentityMigrationProposed");
+    });
+
+    it("rechecks the new address when accepting", async function () {
+      await contract.connect(alice).proposeIdentityMigration(bob.address);
+      await registerEncrypted(bob);
+
+      await expect(contract.connect(bob).acceptIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "IdentityAlreadyRegistered")
+        .withArgs(bob.address);
+    });
+
+    it("lets a verifier recover a lost key after RECOVERY_DELAY", async function () {
+      await expect(contract.connect(bob).proposeIdentityRecovery(alice.address, bob.address))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(bob.address);
+
+      await contract.connect(verifier).proposeIdentityRecovery(alice.address, bob.address);
+      const { executableAt, proposedBy } = await contract.getIdentityMigration(alice.address);
+      expect(executableAt).to.equal(BigInt(await time.latest()) + BigInt(RECOVERY_DELAY));
+      expect(proposedBy).to.equal(verifier.address);
+
+      await expect(contract.connect(bob).acceptIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "MigrationNotReady")
+        .withArgs(alice.address, executableAt);
+
+      await time.increaseTo(executableAt);
+      await expect(contract.connect(bob).acceptIdentityMigration(alice.address))
+        .to.emit(contract, "IdentityMigrated")
+        .withArgs(alice.address, bob.address, verifier.address);
+    });
+
+    it("lets the old address cancel a recovery it did not ask for", async function () {
+      await contract.connect(verifier).proposeIdentityRecovery(alice.address, bob.address);
+
+      await expect(contract.connect(carol).cancelIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(carol.address);
+      await expect(contract.connect(alice).cancelIdentityMigration(alice.address))
+        .to.emit(contract, "IdentityMigrationCancelled")
+        .withArgs(alice.address, bob.address, alice.address);
+
+      await time.increase(RECOVERY_DELAY);
+      await expect(contract.connect(bob).acceptIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "NoPendingMigration")
+        .withArgs(alice.address, bob.address);
+    });
+  });
+
+  describe("renewIdentityProof", function () {
+    it("requires a verified identity", async function () {
+      await registerEncrypted(alice);
+
+      await expect(contract.connect(alice).renewIdentityProof())
+        .to.be.revertedWithCustomError(contract, "IdentityNotVerified")
+        .withArgs(alice.address);
+    });
+
+    it("requires an unexpired identity proof", async function () {
+      await registerEncrypted(alice);
+      await time.increase(PROOF_VALIDITY_PERIOD);
+
+      await expect(contract.connect(alice).renewIdentityProof()).to.be.revertedWithCustomError(
+        contract,
+        "IdentityProofExpired",
+      );
+    });
+  });
+
+  describe("revokeIdentityProof", function () {
+    it("is restricted to authorized verifiers", async function () {
+      await expect(contract.connect(bob).revokeIdentityProof(alice.address, RevocationReason.Unspecified))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(bob.address);
+    });
+
+    it("rejects the zero address", async function () {
+      await expect(contract.revokeIdentityProof(ethers.ZeroAddress, RevocationReason.Unspecified))
+        .to.be.revertedWithCustomError(contract, "InvalidAddress");
+    });
+
+    it("refuses addresses that never registered", async function () {
+      await contract.setRevocationCooldown(RevocationReason.Fraud, PERMANENT_BLOCK);
+
+      await expect(contract.revokeIdentityProof(alice.address, RevocationReason.Fraud))
+        .to.be.revertedWithCustomError(contract, "IdentityNotRegistered")
+        .withArgs(alice.address);
+      expect((await contract.getRevocation(alice.address)).revokedAt).to.equal(0);
+      await registerPlaintext(alice);
+    });
+  });
+
+  describe("re-registration after revocation", function () {
+    beforeEach(async function () {
+      await contract.setRevocationCooldown(RevocationReason.KeyCompromised, 7 * 24 * 60 * 60);
+      await contract.setRevocationCooldown(RevocationReason.Fraud, PERMANENT_BLOCK);
+      await registerEncrypted(alice);
+    });
+
+    it("is allowed right away for reasons without a cooldown", async function () {
+      await contract.revokeIdentityProof(alice.address, RevocationReason.UserRequested);
+      expect((await contract.getRevocation(alice.address)).blockedUntil).to.equal(0);
+
+      await registerEncrypted(alice);
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(true);
+      expect((await contract.getRevocation(alice.address)).revokedAt).to.equal(0);
+    });
+
+    it("waits for the cooldown of the revocation reason", async function () {
+      await contract.revokeIdentityProof(alice.address, RevocationReason.KeyCompromised);
+      const blockedUntil = BigInt(await time.latest()) + BigInt(7 * 24 * 60 * 60);
+      expect((await contract.getRevocation(alice.address)).blockedUntil).to.equal(blockedUntil);
+
+      await expect(registerPlaintext(alice))
+        .to.be.revertedWithCustomError(contract, "RegistrationBlocked")
+        .withArgs(alice.address, blockedUntil);
+
+      await time.increaseTo(blockedUntil);
+      await registerEncrypted(alice);
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(true);
+    });
+
+    it("blocks permanently until an admin lifts the block", async function () {
+      await contract.revokeIdentityProof(alice.address, RevocationReason.Fraud);
+      expect((await contract.getRevocation(alice.address)).blockedUntil).to.equal(PERMANENT_BLOCK);
+      await expect(registerEncrypted(alice))
+        .to.be.revertedWithCustomError(contract, "RegistrationBlocked")
+        .withArgs(alice.address, PERMANENT_BLOCK);
+
+      await expect(contract.connect(alice).liftRegistrationBlock(alice.address))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(contract.liftRegistrationBlock(alice.address))
+        .to.emit(contract, "RegistrationBlockLifted")
+        .withArgs(alice.address, owner.address);
+
+      await registerEncrypted(alice);
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(true);
+    });
+
+    it("refuses to lift a block that does not exist or has ended", async function () {
+      await expect(contract.liftRegistrationBlock(bob.address))
+        .to.be.revertedWithCustomError(contract, "RegistrationNotBlocked")
+        .withArgs(bob.address);
+
+      await contract.revokeIdentityProof(alice.address, RevocationReason.KeyCompromised);
+      await time.increase(7 * 24 * 60 * 60);
+      await expect(contract.liftRegistrationBlock(alice.address))
+        .to.be.revertedWithCustomError(contract, "RegistrationNotBlocked")
+        .withArgs(alice.address);
+    });
+
+    it("keeps blocked addresses from taking over another proof", async function () {
+      await contract.revokeIdentityProof(alice.address, RevocationReason.Fraud);
+      await registerEncrypted(bob);
+
+      await expect(contract.connect(bob).proposeIdentityMigration(alice.address))
+        .to.be.revertedWithCustomError(contract, "RegistrationBlocked")
+        .withArgs(alice.address, PERMANENT_BLOCK);
+    });
+
+    it("drops a migration proposed before the revocation", async function () {
+      await contract.connect(alice).proposeIdentityMigration(bob.address);
+      await contract.revokeIdentityProof(alice.address, RevocationReason.UserRequested);
+
+      expect((await contract.getIdentityMigration(alice.address)).newAddress).to.equal(ethers.ZeroAddress);
+    });
+
+    it("lets only admins set cooldowns", async function () {
+      await expect(contract.connect(alice).setRevocationCooldown(RevocationReason.Fraud, 0))
+        .to.be.revertedWithCustomError(contract, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(contract.setRevocationCooldown(RevocationReason.Fraud, 0))
+        .to.emit(contract, "RevocationCooldownUpdated")
+        .withArgs(RevocationReason.Fraud, 0, owner.address);
+      expect(await contract.revocationCooldowns(RevocationReason.Fraud)).to.equal(0);
+    });
+  });
+
+  describe("cleanupExpiredProofs", function () {
+    it("deactivates only expired proofs", async function () {
+      await registerEncrypted(alice);
+      await time.increase(PROOF_VALIDITY_PERIOD);
+      await registerEncrypted(bob);
+
+      await expect(contract.cleanupExpiredProofs([alice.address, bob.address]))
+        .to.emit(contract, "ProofExpired")
+        .withArgs(alice.address);
+
+      expect((await contract.getIdentityStatus(alice.address)).isActive).to.equal(false);
+      expect((await contract.getIdentityStatus(bob.address)).isActive).to.equal(true);
+    });
+
+    it("is restricted to authorized verifiers", async function () {
+      await expect(contract.connect(bob).cleanupExpiredProofs([alice.address]))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedVerifier")
+        .withArgs(bob.address);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityVerificationClient } = require("../sdk/IdentityVerificationClient");
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: 30 * 24 * 60 * 60,
+  challengeValidityPeriod: 60 * 60,
+  minIdentityScore: 75,
+  maxRequestsPerUser: 5,
+  proofTolerancePercent: 1,
+  requestWindow: 24 * 60 * 60,
+};
+
+const CREDENTIAL = 123456789n;
+const SCORE = 90;
+
+describe("IdentityGated", function () {
+  let identity;
+  let identityAddress;
+  let membership;
+  let membershipAddress;
+  let owner;
+  let alice;
+  let bob;
+
+  function clientFor(signer) {
+    return new IdentityVerificationClient(identityAddress, signer, { fhevm });
+  }
+
+  async function verify(user) {
+    const client = clientFor(user);
+    await client.registerIdentity(CREDENTIAL, SCORE);
+    const { requestId } = await client.requestVerification();
+    await client.proveRequest(requestId, CREDENTIAL);
+    await fhevm.awaitDecryptionOracle();
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const identityFactory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    identity = await identityFactory.connect(owner).deploy(DEFAULT_POLICY);
+    await identity.waitForDeployment();
+    identityAddress = await identity.getAddress();
+    await fhevm.assertCoprocessorInitialized(identity, "AnonymousIdentityVerification");
+
+    const membershipFactory = await ethers.getContractFactory("VerifiedMembership");
+    membership = await membershipFactory.deploy(identityAddress);
+    await membership.waitForDeployment();
+    membershipAddress = await membership.getAddress();
+  });
+
+  describe("consumer registration", function () {
+    it("is required before a contract can query verification status", async function () {
+      await verify(alice);
+
+      await expect(membership.connect(alice).join())
+        .to.be.revertedWithCustomError(identity, "NotRegisteredConsumer")
+        .withArgs(membershipAddress);
+      await expect(identity.isIdentityVerified(alice.address))
+        .to.be.revertedWithCustomError(identity, "NotRegisteredConsumer")
+        .withArgs(owner.address);
+
+      await expect(clientFor(owner).registerConsumer(membershipAddress)).to.not.be.rejected;
+      expect(await clientFor(owner).isRegisteredConsumer(membershipAddress)).to.equal(true);
+      expect(await clientFor(owner).getRoleMembers("CONSUMER")).to.deep.equal([membershipAddress]);
+      await expect(membership.connect(alice).join()).to.emit(membership, "MemberJoined").withArgs(alice.address);
+    });
+
+    it("is restricted to admins and can be withdrawn", async function () {
+      await expect(identity.connect(alice).registerConsumer(membershipAddress))
+        .to.be.revertedWithCustomError(identity, "Unauthorized")
+        .withArgs(alice.address);
+      await expect(identity.registerConsumer(ethers.ZeroAddress)).to.be.revertedWithCustomError(identity, "InvalidAddress");
+
+      await identity.registerConsumer(membershipAddress);
+      await verify(alice);
+      await identity.unregisterConsumer(membershipAddress);
+
+      expect(await identity.isRegisteredConsumer(membershipAddress)).to.equal(false);
+      await expect(membership.connect(alice).join()).to.be.revertedWithCustomError(identity, "NotRegisteredConsumer");
+    });
+  });
+
+  describe("onlyVerifiedIdentity", function () {
+    beforeEach(async function () {
+      await identity.registerConsumer(membershipAddress);
+    });
+
+    it("admits verified callers once", async function () {
+      await verify(alice);
+
+      await membership.connect(alice).join();
+      expect(await membership.isMember(alice.address)).to.equal(true);
+      expect(await membership.memberCount()).to.equal(1);
+      await expect(membership.connect(alice).join())
+        .to.be.revertedWithCustomError(membership, "AlreadyMember")
+        .withArgs(alice.address);
+    });
+
+    it("rejects callers without a verified identity", async function () {
+      await expect(membership.connect(bob).join())
+        .to.be.revertedWithCustomError(membership, "IdentityVerificationRequired")
+        .withArgs(bob.address);
+
+      // Registered but not yet verified is not enough
+      await clientFor(bob).registerIdentity(CREDENTIAL, SCORE);
+      await expect(membership.connect(bob).join()).to.be.revertedWithCustomError(membership, "IdentityVerificationRequired");
+    });
+
+    it("stops admitting members whose proof expired or was revoked", async function () {
+      await verify(alice);
+      await verify(bob);
+      await membership.connect(alice).join();
+      await membership.connect(bob).join();
+
+      await identity.revokeIdentityProof(alice.address, 0);
+      expect(await membership.isMember(alice.address)).to.equal(false);
+      expect(await membership.isMember(bob.address)).to.equal(true);
+
+      await time.increase(DEFAULT_POLICY.proofValidityPeriod);
+      expect(await membership.isMember(bob.address)).to.equal(false);
+    });
+  });
+
+  it("requires an identity contract address", async function () {
+    const factory = await ethers.getContractFactory("VerifiedMembership");
+
+    await expect(factory.deploy(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+      membership,
+      "InvalidIdentityVerification",
+    );
+  });
+});
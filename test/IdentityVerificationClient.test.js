@@ -0,0 +1,508 @@
+const { expect } = require("chai");
+const { ethers, fhevm, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  IdentityVerificationClient,
+  IdentityVerificationError,
+  PERMANENT_BLOCK,
+  MAX_PRESENTATION_TTL,
+  computeProof,
+  encodePresentation,
+  decodePresentation,
+  normalizeError,
+} = require("../sdk/IdentityVerificationClient");
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: 30 * 24 * 60 * 60,
+  challengeValidityPeriod: 60 * 60,
+  minIdentityScore: 75,
+  maxRequestsPerUser: 5,
+  proofTolerancePercent: 1,
+  requestWindow: 24 * 60 * 60,
+};
+
+const CREDENTIAL = 123456789n;
+const SCORE = 90;
+
+describe("IdentityVerificationClient", function () {
+  let contractAddress;
+  let owner;
+  let verifier;
+  let alice;
+  let bob;
+
+  function clientFor(signer) {
+    return new IdentityVerificationClient(contractAddress, signer, { fhevm });
+  }
+
+  beforeEach(async function () {
+    [owner, verifier, alice, bob] = await ethers.getSigners();
+
+    const factory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    const contract = await factory.connect(owner).deploy(DEFAULT_POLICY);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await fhevm.assertCoprocessorInitialized(contract, "AnonymousIdentityVerification");
+  });
+
+  describe("identity registration", function () {
+    it("encrypts and registers an identity and reads it back as plain values", async function () {
+      const result = await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+
+      expect(result.hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(result.events.map((event) => event.name)).to.deep.equal(["IdentityProofRegistered"]);
+      expect(result.events[0].args.user).to.equal(alice.address);
+
+      const status = await clientFor(alice).getIdentityStatus(alice.address);
+      expect(status).to.include({ isActive: true, isVerified: false });
+      expect(status.expiryTime - status.timestamp).to.equal(BigInt(DEFAULT_POLICY.proofValidityPeriod));
+    });
+
+    it("refuses to overwrite an active proof and rotates the credential instead", async function () {
+      const client = clientFor(alice);
+      await client.registerIdentity(CREDENTIAL, SCORE);
+
+      const error = await client.registerIdentity(CREDENTIAL, SCORE).catch((e) => e);
+      expect(error.errorName).to.equal("IdentityAlreadyRegistered");
+
+      const { events } = await client.rotateCredential(987654321n, 80);
+      expect(events[0]).to.deep.include({ name: "CredentialRotated", args: { user: alice.address, version: 2 } });
+      expect(await client.getCredentialVersion(alice.address)).to.equal(2);
+      expect((await client.getIdentityStatus(alice.address)).isVerified).to.equal(false);
+    });
+
+    it("returns the policy with small integers as numbers", async function () {
+      const policy = await clientFor(alice).getPolicy();
+
+      expect(policy.minIdentityScore).to.equal(75);
+      expect(policy.maxRequestsPerUser).to.equal(5);
+      expect(policy.proofValidityPeriod).to.equal(BigInt(DEFAULT_POLICY.proofValidityPeriod));
+    });
+  });
+
+  describe("verification flow", function () {
+    it("requests, proves and waits for the verification result", async function () {
+      const client = clientFor(alice);
+      await client.registerIdentity(CREDENTIAL, SCORE);
+
+      const { requestId } = await client.requestVerification();
+      expect(requestId).to.equal(1);
+
+      const challenge = await client.decryptChallenge(requestId);
+      const { proof } = await client.proveRequest(requestId, CREDENTIAL);
+      expect(proof).to.equal(computeProof(challenge, CREDENTIAL));
+
+      await fhevm.awaitDecryptionOracle();
+      const result = await client.waitForVerificationResult(requestId, { timeoutMs: 0 });
+      expect(result).to.deep.equal({ requestId: 1, approved: true, requester: alice.address, status: "Approved" });
+
+      expect(await client.getUserRequests(alice.address)).to.deep.equal({ requestIds: [1], total: 1 });
+      expect((await client.getVerificationRequest(requestId)).isApproved).to.equal(true);
+    });
+
+    it("cancels a request and reports the remaining allowance", async function () {
+      const client = clientFor(alice);
+      await client.registerIdentity(CREDENTIAL, SCORE);
+      const { requestId } = await client.requestVerification();
+
+      const { events } = await client.cancelRequest(requestId);
+      expect(events[0]).to.deep.include({ name: "VerificationCancelled", args: { requestId, requester: alice.address } });
+      expect((await client.waitForVerificationResult(requestId, { timeoutMs: 0 })).status).to.equal("Cancelled");
+      expect(await client.getRequestAllowance(alice.address)).to.deep.equal({ remaining: 4, nextRequestTime: 0n });
+    });
+
+    it("times out while the verdict is still pending", async function () {
+      const client = clientFor(alice);
+      await client.registerIdentity(CREDENTIAL, SCORE);
+      const { requestId } = await client.requestVerification();
+
+      const error = await client
+        .waitForVerificationResult(requestId, { timeoutMs: 0 })
+        .catch((e) => e);
+      expect(error).to.be.instanceOf(IdentityVerificationError);
+      expect(error.code).to.equal("TIMEOUT");
+    });
+  });
+
+  describe("verifier checks", function () {
+    beforeEach(async function () {
+      await clientFor(owner).authorizeVerifier(verifier.address);
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+    });
+
+    it("checks an identity once the user has granted consent", async function () {
+      await clientFor(alice).grantConsent(verifier.address, { maxUses: 2 });
+
+      const result = await clientFor(verifier).verifyIdentity(alice.address);
+      expect(result.verified).to.equal(false);
+      expect(result.events[0]).to.deep.include({
+        name: "IdentityChecked",
+        args: { user: alice.address, verifier: verifier.address, checkType: 0 },
+      });
+
+      const [grant] = await clientFor(alice).getConsentGrants(alice.address);
+      expect(grant).to.include({ verifier: verifier.address, maxUses: 2, useCount: 1 });
+      expect(grant.expiresAt).to.equal(0n);
+    });
+
+    it("charges a single use for a read-only check followed by a score check", async function () {
+      await clientFor(alice).grantConsent(verifier.address, { maxUses: 1 });
+
+      expect(await clientFor(verifier).verifyIdentity(alice.address, { record: false })).to.deep.equal({ verified: false });
+      expect((await clientFor(verifier).checkScoreThreshold(alice.address, 80)).result).to.equal(true);
+
+      const [grant] = await clientFor(alice).getConsentGrants(alice.address);
+      expect(grant.useCount).to.equal(1);
+    });
+
+    it("decrypts score predicate results for the verifier", async function () {
+      await clientFor(alice).grantConsent(verifier.address);
+
+      expect((await clientFor(verifier).checkScoreThreshold(alice.address, 80)).result).to.equal(true);
+      expect((await clientFor(verifier).checkScoreRange(alice.address, 91, 120)).result).to.equal(false);
+    });
+  });
+
+  describe("identity migration", function () {
+    it("moves an identity to the address that accepts it", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      expect(await clientFor(alice).getIdentityMigration(alice.address)).to.equal(null);
+
+      await clientFor(alice).proposeIdentityMigration(bob.address);
+      const migration = await clientFor(bob).getIdentityMigration(alice.address);
+      expect(migration).to.include({ newAddress: bob.address, proposedBy: alice.address });
+      expect(migration.executableAt).to.be.a("bigint");
+
+      const { events } = await clientFor(bob).acceptIdentityMigration(alice.address);
+      expect(events[0]).to.deep.include({
+        name: "IdentityMigrated",
+        args: { from: alice.address, to: bob.address, proposedBy: alice.address },
+      });
+      expect((await clientFor(bob).getIdentityStatus(bob.address)).isActive).to.equal(true);
+    });
+
+    it("decodes migration errors", async function () {
+      const error = await clientFor(bob).acceptIdentityMigration(alice.address).catch((e) => e);
+
+      expect(error.errorName).to.equal("NoActiveIdentityProof");
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      const notProposed = await clientFor(bob).acceptIdentityMigration(alice.address).catch((e) => e);
+      expect(notProposed.errorName).to.equal("NoPendingMigration");
+      expect(notProposed.errorArgs).to.deep.equal({ from: alice.address, to: bob.address });
+    });
+  });
+
+  describe("presentations", function () {
+    let checker;
+
+    beforeEach(function () {
+      checker = new IdentityVerificationClient(contractAddress, ethers.provider);
+    });
+
+    it("signs a presentation that a read-only client verifies", async function () {
+      const client = clientFor(alice);
+      await client.registerIdentity(CREDENTIAL, SCORE);
+      const { requestId } = await client.requestVerification();
+      await client.proveRequest(requestId, CREDENTIAL);
+      await fhevm.awaitDecryptionOracle();
+
+      const presentation = await client.createPresentation({ ttlSeconds: 60 });
+      expect(presentation).to.include({ chainId: 31337, contract: contractAddress, holder: alice.address });
+      expect(presentation.expiresAt - presentation.issuedAt).to.equal(60);
+
+      const check = await checker.verifyPresentation(decodePresentation(encodePresentation(presentation)));
+      expect(check).to.include({ valid: true, reason: null, holder: alice.address });
+      expect(check.status.isVerified).to.equal(true);
+    });
+
+    it("rejects unverified, expired, forged and foreign presentations", async function () {
+      const presentation = await clientFor(bob).createPresentation();
+
+      expect(await checker.verifyPresentation(presentation)).to.include({ valid: false, reason: "NOT_VERIFIED" });
+      expect((await checker.verifyPresentation(presentation, { now: presentation.expiresAt })).reason).to.equal("EXPIRED");
+      expect((await checker.verifyPresentation({ ...presentation, holder: alice.address })).reason).to.equal("BAD_SIGNATURE");
+      expect((await checker.verifyPresentation({ ...presentation, contract: alice.address })).reason).to.equal("WRONG_CONTRACT");
+      expect((await checker.verifyPresentation({ ...presentation, chainId: 1 })).reason).to.equal("WRONG_CHAIN");
+      expect(() => decodePresentation("not-a-presentation")).to.throw(IdentityVerificationError, "Not a presentation");
+    });
+
+    it("accepts only short-lived presentations that are already valid", async function () {
+      const error = await clientFor(bob).createPresentation({ ttlSeconds: MAX_PRESENTATION_TTL + 1 }).catch((e) => e);
+      expect(error).to.include({ code: "INVALID_PRESENTATION" });
+
+      // Signed by hand, as a holder bypassing createPresentation would
+      const now = Math.floor(Date.now() / 1000);
+      const domain = { name: "AnonymousIdentityVerification", version: "1", chainId: 31337, verifyingContract: contractAddress };
+      const types = {
+        Presentation: [
+          { name: "holder", type: "address" },
+          { name: "nonce", type: "bytes32" },
+          { name: "issuedAt", type: "uint64" },
+          { name: "expiresAt", type: "uint64" },
+        ],
+      };
+      async function sign(issuedAt, expiresAt) {
+        const message = { holder: bob.address, nonce: ethers.hexlify(ethers.randomBytes(32)), issuedAt, expiresAt };
+        const signature = await bob.signTypedData(domain, types, message);
+        return { chainId: 31337, contract: contractAddress, ...message, signature };
+      }
+
+      const longLived = await sign(now, now + 365 * 24 * 60 * 60);
+      expect((await checker.verifyPresentation(longLived)).reason).to.equal("TTL_TOO_LONG");
+      expect((await checker.verifyPresentation(longLived, { maxTtlSeconds: 400 * 24 * 60 * 60 })).reason).to.equal("NOT_VERIFIED");
+
+      const future = await sign(now + 600, now + 900);
+      expect((await checker.verifyPresentation(future, { now })).reason).to.equal("NOT_YET_VALID");
+      expect((await checker.verifyPresentation(future, { now: now + 600 })).reason).to.equal("NOT_VERIFIED");
+    });
+  });
+
+  describe("revocation", function () {
+    it("records the reason by name and reports the registration block", async function () {
+      await clientFor(owner).setRevocationCooldown("Fraud", PERMANENT_BLOCK);
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      expect(await clientFor(alice).getRevocation(alice.address)).to.equal(null);
+
+      const { events } = await clientFor(owner).revokeIdentityProof(alice.address, "Fraud");
+      expect(events[0]).to.deep.include({
+        name: "IdentityRevoked",
+        args: { user: alice.address, verifier: owner.address, reasonCode: 1 },
+      });
+      expect(await clientFor(alice).getRevocation(alice.address)).to.deep.include({
+        verifier: owner.address,
+        blockedUntil: PERMANENT_BLOCK,
+        reason: "Fraud",
+      });
+      expect((await clientFor(owner).getRevocationCooldowns()).Fraud).to.equal(PERMANENT_BLOCK);
+
+      const error = await clientFor(alice).registerIdentity(CREDENTIAL, SCORE).catch((e) => e);
+      expect(error.errorName).to.equal("RegistrationBlocked");
+      const unknown = await clientFor(owner).revokeIdentityProof(alice.address, "Spam").catch((e) => e);
+      expect(unknown.message).to.equal("Unknown revocation reason: Spam");
+    });
+  });
+
+  describe("roles", function () {
+    it("accepts role names and reports roles as plain flags", async function () {
+      const admin = clientFor(owner);
+      await admin.grantRole("AUDITOR", bob.address);
+
+      expect(await admin.getRoles(bob.address)).to.deep.equal({ admin: false, verifier: false, auditor: true });
+      expect(await admin.getRoleMembers("AUDITOR")).to.deep.equal([bob.address]);
+      expect(await admin.getOwner()).to.equal(owner.address);
+    });
+  });
+
+  describe("events", function () {
+    it("queries past events oldest first in block chunks", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await clientFor(bob).registerIdentity(CREDENTIAL, SCORE);
+      await clientFor(alice).requestVerification();
+
+      const events = await clientFor(alice).queryEvents({
+        eventNames: ["IdentityProofRegistered", "VerificationRequested"],
+        chunkSize: 2,
+      });
+
+      expect(events.map((event) => event.name)).to.deep.equal([
+        "IdentityProofRegistered",
+        "IdentityProofRegistered",
+        "VerificationRequested",
+      ]);
+      expect(events[2].args).to.deep.equal({ requestId: 1, requester: alice.address });
+    });
+
+    it("sends one eth_getLogs call per chunk whatever the number of event names", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await clientFor(alice).requestVerification();
+      const toBlock = await ethers.provider.getBlockNumber();
+
+      const send = network.provider.send;
+      let logQueries = 0;
+      network.provider.send = function (method, params) {
+        if (method === "eth_getLogs") logQueries++;
+        return send.call(this, method, params);
+      };
+      let events;
+      try {
+        events = await clientFor(alice).queryEvents({ toBlock, chunkSize: 2 });
+      } finally {
+        network.provider.send = send;
+      }
+
+      expect(logQueries).to.equal(Math.ceil((toBlock + 1) / 2));
+      expect(events[0].name).to.equal("RoleGranted");
+      expect(events.slice(-2).map((event) => event.name)).to.deep.equal(["IdentityProofRegistered", "VerificationRequested"]);
+    });
+  });
+
+  describe("transactions", function () {
+    // Sends requestVerification outside the client, as a wallet would, and records it like onTransactionSubmitted
+    async function sendPending(signer) {
+      const contract = clientFor(signer).contract;
+      const request = await contract.requestVerification.populateTransaction();
+      const startBlock = await ethers.provider.getBlockNumber();
+      const tx = await signer.sendTransaction({ ...request, gasLimit: 1_000_000n, maxFeePerGas: 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n });
+      return {
+        hash: tx.hash,
+        method: "requestVerification",
+        from: tx.from,
+        to: tx.to,
+        nonce: tx.nonce,
+        data: tx.data,
+        value: tx.value.toString(),
+        chainId: Number(tx.chainId),
+        startBlock,
+      };
+    }
+
+    function speedUp(signer, submitted, overrides = {}) {
+      return signer.sendTransaction({
+        to: submitted.to,
+        data: submitted.data,
+        nonce: submitted.nonce,
+        gasLimit: 1_000_000n,
+        maxFeePerGas: 10n ** 10n,
+        maxPriorityFeePerGas: 10n ** 10n,
+        ...overrides,
+      });
+    }
+
+    beforeEach(async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+    });
+
+    afterEach(async function () {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("estimates gas and cost before sending and reports the submitted transaction", async function () {
+      const estimates = [];
+      const submitted = [];
+      const client = clientFor(alice).withHooks({
+        onTransactionEstimated: (estimate) => estimates.push(estimate),
+        onTransactionSubmitted: (tx) => submitted.push(tx),
+      });
+
+      const result = await client.requestVerification();
+
+      expect(estimates).to.have.length(1);
+      expect(estimates[0].method).to.equal("requestVerification");
+      expect(estimates[0].gasLimit).to.be.above(0n);
+      expect(estimates[0].cost).to.equal(estimates[0].gasLimit * estimates[0].gasPrice);
+      expect(submitted).to.have.length(1);
+      expect(submitted[0]).to.include({ hash: result.hash, method: "requestVerification", from: alice.address, to: contractAddress });
+      expect(submitted[0].startBlock).to.be.below(result.blockNumber);
+    });
+
+    it("resumes a sped-up transaction and returns the replacement's result", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const submitted = await sendPending(alice);
+      const replacement = await speedUp(alice, submitted);
+      await ethers.provider.send("evm_mine", []);
+
+      const replaced = [];
+      const result = await clientFor(alice)
+        .withHooks({ onTransactionReplaced: (event) => replaced.push(event) })
+        .resumeTransaction(submitted);
+
+      expect(result.hash).to.equal(replacement.hash);
+      expect(result.events[0]).to.deep.include({ name: "VerificationRequested", args: { requestId: 1, requester: alice.address } });
+      expect(replaced).to.deep.equal([
+        { hash: submitted.hash, replacementHash: replacement.hash, reason: "repriced", method: "requestVerification" },
+      ]);
+    });
+
+    it("finds a replacement mined long after the original without reading every block", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const submitted = await sendPending(alice);
+      await ethers.provider.send("hardhat_dropTransaction", [submitted.hash]);
+      await ethers.provider.send("hardhat_mine", ["0x200"]);
+      const replacement = await speedUp(alice, submitted);
+      await ethers.provider.send("evm_mine", []);
+
+      const provider = alice.provider;
+      const getBlock = provider.getBlock;
+      const blocksRead = [];
+      provider.getBlock = function (block, prefetch) {
+        blocksRead.push(block);
+        return getBlock.call(this, block, prefetch);
+      };
+      let result;
+      try {
+        result = await clientFor(alice).resumeTransaction(submitted);
+      } finally {
+        provider.getBlock = getBlock;
+      }
+
+      expect(result.hash).to.equal(replacement.hash);
+      expect(blocksRead.filter((block) => typeof block === "number")).to.deep.equal([result.blockNumber]);
+    });
+
+    it("rejects a transaction that was cancelled in the wallet", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const submitted = await sendPending(alice);
+      await speedUp(alice, submitted, { to: alice.address, data: "0x" });
+      await ethers.provider.send("evm_mine", []);
+
+      const error = await clientFor(alice).resumeTransaction(submitted).catch((e) => e);
+      expect(error).to.be.instanceOf(IdentityVerificationError);
+      expect(error).to.include({ code: "TRANSACTION_REPLACED", reason: "cancelled" });
+    });
+  });
+
+  describe("errors", function () {
+    it("decodes custom errors in a preflight before anything is sent", async function () {
+      const estimates = [];
+      const client = clientFor(alice).withHooks({ onTransactionEstimated: (estimate) => estimates.push(estimate) });
+      const nonce = await alice.getNonce();
+
+      const error = await client.requestVerification().catch((e) => e);
+
+      expect(error).to.be.instanceOf(IdentityVerificationError);
+      expect(error).to.include({ code: "CONTRACT_REVERT", errorName: "NoActiveIdentityProof" });
+      expect(error.errorArgs).to.deep.equal({ user: alice.address });
+      expect(error.message).to.equal(`NoActiveIdentityProof(user: ${alice.address})`);
+      expect(estimates).to.be.empty;
+      expect(await alice.getNonce()).to.equal(nonce);
+    });
+
+    it("converts custom error arguments like event args", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      const { requestId } = await clientFor(alice).requestVerification();
+      const { challengeExpiryTime } = await clientFor(alice).getVerificationRequest(requestId);
+      await time.increase(DEFAULT_POLICY.challengeValidityPeriod + 1);
+
+      const error = await clientFor(alice).submitProof(requestId, 1).catch((e) => e);
+      expect(error.errorName).to.equal("ChallengeExpired");
+      expect(error.errorArgs).to.deep.equal({ requestId, expiredAt: challengeExpiryTime });
+    });
+
+    it("requires a signer for transactions but not for reads", async function () {
+      const readOnly = new IdentityVerificationClient(contractAddress, ethers.provider);
+
+      expect((await readOnly.getContractStats()).totalVerifications).to.equal(0);
+      const error = await readOnly.renewIdentityProof().catch((e) => e);
+      expect(error.code).to.equal("SIGNER_REQUIRED");
+    });
+
+    it("requires an FHEVM instance for encryption", async function () {
+      const client = new IdentityVerificationClient(contractAddress, alice);
+
+      const error = await client.registerIdentity(CREDENTIAL, SCORE).catch((e) => e);
+      expect(error.code).to.equal("FHEVM_REQUIRED");
+    });
+
+    it("recognizes wallet rejections", function () {
+      expect(normalizeError({ code: "ACTION_REJECTED", message: "user rejected action" }).code).to.equal("USER_REJECTED");
+      expect(normalizeError({ code: 4001, message: "User denied" }).code).to.equal("USER_REJECTED");
+    });
+  });
+
+  it("computes proofs with uint32 wrap-around", function () {
+    expect(computeProof(2n ** 31n, 3n)).to.equal(((2n ** 31n * 3n) % 2n ** 32n) % 1000000n);
+    expect(computeProof(7, 11)).to.equal(77n);
+  });
+});
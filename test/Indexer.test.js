@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers, fhevm, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityVerificationClient, computeProof } = require("../sdk/IdentityVerificationClient");
+const { EventStore } = require("../indexer/store");
+const { EventIndexer } = require("../indexer/indexer");
+const { createApiServer } = require("../indexer/api");
+const { parseArgs } = require("../scripts/indexer");
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: 30 * 24 * 60 * 60,
+  challengeValidityPeriod: 60 * 60,
+  minIdentityScore: 75,
+  maxRequestsPerUser: 5,
+  proofTolerancePercent: 1,
+  requestWindow: 24 * 60 * 60,
+};
+
+const CREDENTIAL = 123456789n;
+const SCORE = 90;
+const CheckType = { Verification: 0, Threshold: 1, Range: 2 };
+
+describe("Event indexer", function () {
+  let contractAddress;
+  let deployBlock;
+  let owner;
+  let verifier;
+  let alice;
+  let bob;
+  let carol;
+  let store;
+  let indexer;
+
+  function clientFor(signer) {
+    return new IdentityVerificationClient(contractAddress, signer, { fhevm });
+  }
+
+  async function completeVerification(signer, { approve }) {
+    const client = clientFor(signer);
+    const { requestId } = await client.requestVerification();
+    await time.increase(90);
+    const proof = computeProof(await client.decryptChallenge(requestId), CREDENTIAL);
+    await client.submitProof(requestId, approve ? proof : (proof + 500000n) % 1000000n);
+    await fhevm.awaitDecryptionOracle();
+    return requestId;
+  }
+
+  beforeEach(async function () {
+    [owner, verifier, alice, bob, carol] = await ethers.getSigners();
+
+    const factory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    const contract = await factory.connect(owner).deploy(DEFAULT_POLICY);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+    deployBlock = (await contract.deploymentTransaction().wait()).blockNumber;
+
+    await fhevm.assertCoprocessorInitialized(contract, "AnonymousIdentityVerification");
+
+    store = new EventStore(":memory:");
+    indexer = new EventIndexer({ provider: ethers.provider, address: contractAddress, store, fromBlock: deployBlock, chunkSize: 3 });
+  });
+
+  afterEach(function () {
+    indexer.stop();
+    store.close();
+  });
+
+  describe("indexing", function () {
+    it("indexes every event from the deployment block in chunks", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await clientFor(bob).registerIdentity(CREDENTIAL, SCORE);
+
+      const head = await ethers.provider.getBlockNumber();
+      const result = await indexer.sync();
+      // The constructor's role grants come first
+      expect(result).to.deep.include({ fromBlock: deployBlock, toBlock: head, rolledBackTo: null });
+      expect(result.events).to.equal(store.countEvents());
+      expect(store.getEvents({ limit: 1000 }).events.at(-1).blockNumber).to.equal(deployBlock);
+
+      const { events, total } = store.getEvents({ name: "IdentityProofRegistered" });
+      expect(total).to.equal(2);
+      expect(events.map((event) => event.args.user)).to.deep.equal([bob.address, alice.address]);
+      expect(events[0].timestamp).to.equal((await ethers.provider.getBlock(events[0].blockNumber)).timestamp);
+    });
+
+    it("continues from the last indexed block", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await indexer.sync();
+      const lastBlock = store.getLastBlock();
+
+      await clientFor(bob).registerIdentity(CREDENTIAL, SCORE);
+      const result = await indexer.sync();
+
+      expect(result.fromBlock).to.equal(lastBlock + 1);
+      expect(result.events).to.equal(1);
+      expect(store.countEvents("IdentityProofRegistered")).to.equal(2);
+    });
+
+    it("stays the given number of blocks behind the head", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      const confirmed = new EventIndexer({ provider: ethers.provider, address: contractAddress, store, fromBlock: deployBlock, confirmations: 1 });
+
+      await confirmed.sync();
+      expect(store.countEvents("IdentityProofRegistered")).to.equal(0);
+      await network.provider.send("evm_mine");
+      expect((await confirmed.sync()).events).to.equal(1);
+      expect(store.countEvents("IdentityProofRegistered")).to.equal(1);
+    });
+
+    it("rolls back events from blocks a reorg replaced", async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await indexer.sync();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await clientFor(bob).registerIdentity(CREDENTIAL, SCORE);
+      await indexer.sync();
+      expect(store.countEvents("IdentityProofRegistered")).to.equal(2);
+
+      // Replace bob's block with a longer branch in which carol registers instead
+      await network.provider.send("evm_revert", [snapshot]);
+      await network.provider.send("evm_mine");
+      await clientFor(carol).registerIdentity(CREDENTIAL, SCORE);
+
+      const result = await indexer.sync();
+      const { events } = store.getEvents({ name: "IdentityProofRegistered" });
+
+      expect(result.rolledBackTo).to.be.a("number");
+      expect(events.map((event) => event.args.user)).to.deep.equal([carol.address, alice.address]);
+    });
+
+    it("refuses a database that indexes another contract", async function () {
+      await indexer.sync();
+      const other = new EventIndexer({ provider: ethers.provider, address: alice.address, store });
+
+      const error = await other.sync().catch((e) => e);
+      expect(error.message).to.include(`The database indexes ${contractAddress.toLowerCase()}`);
+    });
+  });
+
+  describe("statistics", function () {
+    beforeEach(async function () {
+      await clientFor(owner).authorizeVerifier(verifier.address);
+      for (const signer of [alice, bob, carol]) await clientFor(signer).registerIdentity(CREDENTIAL, SCORE);
+
+      await completeVerification(alice, { approve: true });
+      await completeVerification(bob, { approve: false });
+      const { requestId } = await clientFor(carol).requestVerification();
+      await clientFor(carol).cancelRequest(requestId);
+      await clientFor(owner).revokeIdentityProof(carol.address, "Fraud");
+
+      await clientFor(alice).grantConsent(verifier.address);
+      await clientFor(bob).grantConsent(verifier.address);
+      await clientFor(verifier).checkScoreThreshold(alice.address, 80);
+      await clientFor(verifier).checkScoreThreshold(bob.address, 80);
+      await clientFor(verifier).verifyIdentity(alice.address);
+
+      await indexer.sync();
+    });
+
+    it("summarizes outcomes and completion times", function () {
+      const summary = store.getSummary();
+
+      expect(summary).to.include({
+        registrations: 3,
+        requests: 3,
+        approved: 1,
+        rejected: 1,
+        cancelled: 1,
+        expired: 0,
+        proofsExpired: 0,
+        revocations: 1,
+        identityChecks: 3,
+        approvalRate: 0.5,
+      });
+      expect(summary.completion.count).to.equal(2);
+      expect(summary.completion.averageSeconds).to.be.at.least(90);
+      expect(summary.completion.medianSeconds).to.equal(summary.completion.averageSeconds);
+    });
+
+    it("groups history by day including days without events", async function () {
+      const now = await time.latest();
+      const daily = store.getDailyStats({ days: 3, now });
+
+      expect(daily.map((day) => day.day)).to.deep.equal([2, 1, 0].map((ago) =>
+        new Date((now - ago * 24 * 60 * 60) * 1000).toISOString().slice(0, 10),
+      ));
+      expect(daily.reduce((sum, day) => sum + day.registrations, 0)).to.equal(3);
+      expect(daily.reduce((sum, day) => sum + day.approved + day.rejected, 0)).to.equal(2);
+      expect(daily.reduce((sum, day) => sum + day.revocations, 0)).to.equal(1);
+    });
+
+    it("reports identity checks per verifier", function () {
+      const [activity, ...others] = store.getVerifierActivity();
+
+      expect(others).to.be.empty;
+      expect(activity).to.include({
+        verifier: verifier.address,
+        checks: 3,
+        verificationChecks: 1,
+        thresholdChecks: 2,
+        rangeChecks: 0,
+        users: 2,
+      });
+      expect(activity.lastCheckAt).to.equal(store.getEvents({ name: "IdentityChecked", limit: 1 }).events[0].timestamp);
+      expect(store.getEvents({ name: "IdentityChecked" }).events.map((event) => event.args.checkType))
+        .to.deep.equal([CheckType.Verification, CheckType.Threshold, CheckType.Threshold]);
+    });
+  });
+
+  describe("API", function () {
+    let server;
+    let baseUrl;
+
+    async function get(path, options) {
+      const response = await fetch(`${baseUrl}${path}`, options);
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    beforeEach(async function () {
+      await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+      await indexer.sync();
+
+      server = createApiServer(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("serves the indexing status and statistics as JSON", async function () {
+      const status = await get("/api/status");
+      expect(status.status).to.equal(200);
+      expect(status.headers.get("access-control-allow-origin")).to.equal("*");
+      expect(status.body).to.include({
+        contract: contractAddress.toLowerCase(),
+        chainId: "31337",
+        fromBlock: deployBlock,
+        lastBlock: store.getLastBlock(),
+        events: store.countEvents(),
+      });
+
+      expect((await get("/api/stats/summary")).body.registrations).to.equal(1);
+      expect((await get("/api/stats/daily?days=7")).body.days).to.have.length(7);
+      expect((await get("/api/stats/verifiers")).body.verifiers).to.deep.equal([]);
+
+      const { body } = await get("/api/events?name=IdentityProofRegistered&limit=1");
+      expect(body.total).to.equal(1);
+      expect(body.events[0].args).to.include({ user: alice.address });
+    });
+
+    it("rejects invalid parameters, unknown endpoints and writes", async function () {
+      const invalid = await get("/api/stats/daily?days=0");
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.error).to.equal("days must be an integer from 1 to 365");
+
+      expect((await get("/api/unknown")).status).to.equal(404);
+      expect((await get("/api/status", { method: "POST" })).status).to.equal(405);
+    });
+  });
+
+  describe("CLI options", function () {
+    it("parses options with defaults", function () {
+      expect(parseArgs(["--network", "localhost", "--from-block=12", "--once"])).to.include({
+        network: "localhost",
+        fromBlock: 12,
+        once: true,
+        port: 8081,
+        confirmations: 0,
+      });
+      expect(() => parseArgs(["--port", "http"])).to.throw("Invalid port: http");
+      expect(() => parseArgs(["--verbose"])).to.throw("Unknown option: --verbose");
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+
+const { IdentityVerificationClient, computeProof } = require("../sdk/IdentityVerificationClient");
+const { createLocalFhevmInstance } = require("../sdk/LocalFhevmInstance");
+
+const DEFAULT_POLICY = {
+  proofValidityPeriod: 30 * 24 * 60 * 60,
+  challengeValidityPeriod: 60 * 60,
+  minIdentityScore: 75,
+  maxRequestsPerUser: 5,
+  proofTolerancePercent: 1,
+  requestWindow: 24 * 60 * 60,
+};
+
+const CREDENTIAL = 123456789n;
+const SCORE = 90;
+
+// The page uses this instance on a local node; here it talks to the in-process mock the same way
+describe("LocalFhevmInstance", function () {
+  let contractAddress;
+  let owner;
+  let verifier;
+  let alice;
+  let instance;
+
+  function clientFor(signer) {
+    return new IdentityVerificationClient(contractAddress, signer, { fhevm: instance });
+  }
+
+  beforeEach(async function () {
+    [owner, verifier, alice] = await ethers.getSigners();
+
+    const factory = await ethers.getContractFactory("AnonymousIdentityVerification");
+    const contract = await factory.connect(owner).deploy(DEFAULT_POLICY);
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+
+    await fhevm.assertCoprocessorInitialized(contract, "AnonymousIdentityVerification");
+    instance = await createLocalFhevmInstance(ethers.provider);
+  });
+
+  it("registers an encrypted identity and proves a decrypted challenge", async function () {
+    const client = clientFor(alice);
+    await client.registerIdentity(CREDENTIAL, SCORE);
+
+    const { requestId } = await client.requestVerification();
+    const challenge = await client.decryptChallenge(requestId);
+    const { proof } = await client.proveRequest(requestId, CREDENTIAL);
+    expect(proof).to.equal(computeProof(challenge, CREDENTIAL));
+
+    await fhevm.awaitDecryptionOracle();
+    expect((await client.waitForVerificationResult(requestId, { timeoutMs: 0 })).approved).to.equal(true);
+  });
+
+  it("decrypts the same values as the Hardhat FHEVM API", async function () {
+    await clientFor(owner).authorizeVerifier(verifier.address);
+    await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+    await clientFor(alice).grantConsent(verifier.address);
+
+    const { handle, result } = await clientFor(verifier).checkScoreThreshold(alice.address, 80);
+    expect(result).to.equal(true);
+    expect(await fhevm.userDecryptEbool(handle, contractAddress, verifier)).to.equal(true);
+  });
+
+  it("refuses to decrypt handles the caller is not allowed on", async function () {
+    await clientFor(alice).registerIdentity(CREDENTIAL, SCORE);
+    const { requestId } = await clientFor(alice).requestVerification();
+
+    const handle = await new ethers.Contract(
+      contractAddress,
+      ["function getVerificationChallenge(uint32) view returns (bytes32)"],
+      alice,
+    ).getVerificationChallenge(requestId);
+
+    const error = await clientFor(verifier).userDecrypt(handle).catch((e) => e);
+    expect(error.message).to.include(`${verifier.address} is not allowed to decrypt`);
+  });
+
+  it("rejects values wider than the encrypted type", function () {
+    const input = instance.createEncryptedInput(contractAddress, alice.address);
+
+    expect(() => input.add8(256)).to.throw("does not fit in 8 bits");
+  });
+});
@@ -0,0 +1,203 @@
+// Checks a presentation from the status tab's QR code or link: the holder's signature, then their
+// identity status read on chain. Needs no wallet; the chain is read over the network's public RPC.
+const { IdentityVerificationClient, decodePresentation } = window.IdentityVerificationSDK;
+
+// Chain ID => deployment registry (deployments/<key>.json) and RPC used when it names none
+const PRESENTATION_NETWORKS = {
+    11155111: { name: 'Sepolia', deployment: 'sepolia', rpcUrl: 'https://rpc.sepolia.org' },
+    8009: { name: 'Zama Devnet', deployment: 'zama', rpcUrl: 'https://devnet.zama.ai' },
+    31337: { name: 'Localhost', deployment: 'localhost', rpcUrl: 'http://127.0.0.1:8545' },
+    1337: { name: 'Localhost', deployment: 'localhost', rpcUrl: 'http://127.0.0.1:8545' }
+};
+const CHECKED_STORAGE_KEY = 'checkedPresentations'; // nonce => { checkedAt, expiresAt }
+const SCAN_INTERVAL_MS = 300;
+
+const FAILURE_MESSAGES = {
+    WRONG_CONTRACT: () => 'It was signed for another contract than the official deployment, so it proves nothing here.',
+    WRONG_CHAIN: () => 'The RPC endpoint serves another chain than the presentation names.',
+    NOT_YET_VALID: () => 'It is dated in the future. Check the clock of this device, or ask the holder for a new one.',
+    TTL_TOO_LONG: () => 'It stays valid for longer than one hour, which proves nothing about the holder being present now.',
+    EXPIRED: ({ expiresAt }) => `It expired at ${formatTimestamp(expiresAt)}. Ask the holder for a new one.`,
+    BAD_SIGNATURE: () => 'The signature does not match the holder address. The presentation was altered or forged.',
+    NOT_VERIFIED: ({ status }) => status.isActive
+        ? 'The holder has an identity proof, but it is not verified or has expired.'
+        : 'The holder has no active identity proof.'
+};
+
+let scanStream = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('verifyPresentation').addEventListener('click', () => {
+        verifyEncoded(document.getElementById('presentationInput').value);
+    });
+    document.getElementById('scanPresentation').addEventListener('click', toggleScan);
+
+    // Camera scanning needs the Barcode Detection API; elsewhere the phone's camera app opens the link
+    if ('BarcodeDetector' in window && navigator.mediaDevices?.getUserMedia) {
+        document.getElementById('scanPresentation').classList.remove('hidden');
+    }
+
+    // The link carries the presentation in the fragment, which is never sent to the server
+    if (extractPresentation(window.location.hash)) {
+        document.getElementById('presentationInput').value = window.location.href;
+        verifyEncoded(window.location.hash);
+    }
+});
+
+// Accepts a full link, a #p= fragment or the bare code
+function extractPresentation(text) {
+    const match = text.trim().match(/[#&?]p=([\w-]+)/);
+    if (match) return match[1];
+    return /^[\w-]{100,}$/.test(text.trim()) ? text.trim() : null;
+}
+
+async function verifyEncoded(text) {
+    const encoded = extractPresentation(text);
+    showVerdict(null);
+    if (!encoded) {
+        showResult('Paste a presentation link or scan its QR code.', 'error');
+        return;
+    }
+
+    showResult('Checking...', 'info');
+    try {
+        const presentation = decodePresentation(encoded);
+        const network = PRESENTATION_NETWORKS[presentation.chainId];
+        if (!network) throw new Error(`Presentations on chain ${presentation.chainId} are not supported.`);
+
+        const deployment = await loadDeployment(network);
+        const provider = new ethers.JsonRpcProvider(deployment.rpcUrl ?? network.rpcUrl);
+        const client = new IdentityVerificationClient(deployment.address, provider, { abi: deployment.abi });
+        const check = await client.verifyPresentation(presentation);
+
+        showDetails(presentation, network);
+        if (check.valid) {
+            const previousCheck = recordCheck(presentation);
+            showVerdict(true, previousCheck
+                ? `This presentation was already checked on this device at ${formatTimestamp(previousCheck)}. If you expected a new one, it may be a copy.`
+                : `${shortenAddress(check.holder)} holds a verified identity.`);
+        } else {
+            showVerdict(false, FAILURE_MESSAGES[check.reason](check));
+        }
+        document.getElementById('verifyResult').classList.add('hidden');
+    } catch (error) {
+        console.error('Presentation check error:', error);
+        showResult(`Could not check the presentation: ${error.message}`, 'error');
+    }
+}
+
+async function loadDeployment(network) {
+    const response = await fetch(`deployments/${network.deployment}.json`, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`No contract deployment is published for ${network.name}.`);
+
+    const deployment = await response.json();
+    if (!ethers.isAddress(deployment.address)) {
+        throw new Error(`deployments/${network.deployment}.json does not contain a valid contract address.`);
+    }
+    return deployment;
+}
+
+// Remembers presentations checked on this device so a replayed one stands out.
+// Returns when this one was first checked, or null.
+function recordCheck({ nonce, expiresAt }) {
+    const now = Math.floor(Date.now() / 1000);
+    let checked;
+    try {
+        checked = JSON.parse(localStorage.getItem(CHECKED_STORAGE_KEY)) ?? {};
+    } catch (error) {
+        checked = {};
+    }
+
+    const previous = checked[nonce]?.checkedAt ?? null;
+    for (const [key, entry] of Object.entries(checked)) {
+        if (entry.expiresAt <= now) delete checked[key];
+    }
+    if (previous === null) checked[nonce] = { checkedAt: now, expiresAt };
+    localStorage.setItem(CHECKED_STORAGE_KEY, JSON.stringify(checked));
+    return previous;
+}
+
+// Scanning
+async function toggleScan() {
+    if (scanStream) {
+        stopScan();
+        return;
+    }
+
+    const video = document.getElementById('scanVideo');
+    try {
+        scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (error) {
+        showResult(`The camera is not available: ${error.message}`, 'error');
+        return;
+    }
+    video.srcObject = scanStream;
+    video.classList.remove('hidden');
+    await video.play();
+    document.getElementById('scanPresentation').textContent = 'Stop Scanning';
+
+    const detector = new BarcodeDetector({ formats: ['qr_code'] });
+    const scan = async () => {
+        if (!scanStream) return;
+        try {
+            const [code] = await detector.detect(video);
+            if (code && extractPresentation(code.rawValue)) {
+                stopScan();
+                document.getElementById('presentationInput').value = code.rawValue;
+                await verifyEncoded(code.rawValue);
+                return;
+            }
+        } catch (error) {
+            console.error('Scan error:', error);
+        }
+        setTimeout(scan, SCAN_INTERVAL_MS);
+    };
+    scan();
+}
+
+function stopScan() {
+    scanStream?.getTracks().forEach(track => track.stop());
+    scanStream = null;
+    const video = document.getElementById('scanVideo');
+    video.srcObject = null;
+    video.classList.add('hidden');
+    document.getElementById('scanPresentation').textContent = 'Scan QR Code';
+}
+
+// Rendering
+function showVerdict(valid, detail) {
+    const verdict = document.getElementById('verdict');
+    verdict.classList.toggle('hidden', valid === null);
+    if (valid === null) {
+        document.getElementById('presentationDetails').classList.add('hidden');
+        return;
+    }
+
+    verdict.classList.toggle('verdict-yes', valid);
+    verdict.classList.toggle('verdict-no', !valid);
+    document.getElementById('verdictIcon').textContent = valid ? '✅' : '❌';
+    document.getElementById('verdictTitle').textContent = valid ? 'Yes, verified' : 'No, not verified';
+    document.getElementById('verdictDetail').textContent = detail;
+}
+
+function showDetails(presentation, network) {
+    document.getElementById('presentationHolder').textContent = presentation.holder;
+    document.getElementById('presentationNetwork').textContent = network.name;
+    document.getElementById('presentationIssued').textContent = formatTimestamp(presentation.issuedAt);
+    document.getElementById('presentationExpires').textContent = formatTimestamp(presentation.expiresAt);
+    document.getElementById('presentationDetails').classList.remove('hidden');
+}
+
+function showResult(message, type) {
+    const element = document.getElementById('verifyResult');
+    element.textContent = message;
+    element.className = `result ${type}`;
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(Number(timestamp) * 1000).toLocaleString();
+}
+
+function shortenAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}